@@ -0,0 +1,327 @@
+/**
+ * Trial balance account classifier.
+ * Finds the account, debit, credit and balance columns in spreadsheet tables and maps
+ * each ledger account to a Corporate Tax category.
+ */
+
+// Categories a trial balance account can be mapped to
+export const CT_CATEGORIES = {
+  revenue: { label: 'Revenue', kind: 'income' },
+  other_income: { label: 'Other income', kind: 'income' },
+  interest_income: { label: 'Interest income', kind: 'income' },
+  exempt_dividends: { label: 'Exempt dividends and participation income', kind: 'income' },
+  cogs: { label: 'Cost of goods sold', kind: 'expense' },
+  operating_expenses: { label: 'Operating expenses', kind: 'expense' },
+  entertainment: { label: 'Entertainment (50% non-deductible)', kind: 'expense' },
+  fines_penalties: { label: 'Fines and penalties', kind: 'expense' },
+  donations: { label: 'Donations', kind: 'expense' },
+  depreciation: { label: 'Depreciation and amortisation', kind: 'expense' },
+  interest_expense: { label: 'Interest expense', kind: 'expense' },
+  related_party: { label: 'Related-party charges', kind: 'expense' },
+  provisions: { label: 'Provisions', kind: 'expense' },
+  corporate_tax: { label: 'Corporate Tax expense', kind: 'expense' },
+  balance_sheet: { label: 'Balance sheet item', kind: 'balance_sheet' }
+};
+
+// Keyword rules used when no stored mapping exists (first match wins). Balance sheet and equity
+// accounts named after a P&L item ("Accumulated depreciation", "Interest payable", "Dividends paid",
+// "Deferred income", "Corporate tax payable") are matched before the P&L rules.
+const CATEGORY_KEYWORDS = [
+  ['corporate_tax', /tax (expense|charge)/i],
+  ['balance_sheet', /accumulated|payable|receivable|accrued|accruals?\b|deferred|unearned|prepaid|prepayment|dividends? (paid|declared|distributed)|retained earnings/i],
+  ['corporate_tax', /corporate tax|income tax/i],
+  ['fines_penalties', /\bfines?\b|penalt/i],
+  ['entertainment', /entertain|hospitality/i],
+  ['donations', /donation|charit/i],
+  ['depreciation', /depreciation|amorti[sz]ation/i],
+  ['interest_income', /interest (income|received|earned)/i],
+  ['interest_expense', /interest|finance cost|bank charges/i],
+  ['exempt_dividends', /dividend/i],
+  ['provisions', /provision/i],
+  ['related_party', /related party|management fee|intercompany|inter-company|shareholder charge/i],
+  ['cogs', /cost of (sales|goods|revenue)|cogs|purchases|direct cost/i],
+  ['revenue', /revenue|sales|turnover/i],
+  ['other_income', /income|gain/i],
+  ['balance_sheet', /cash|bank|receivable|payable|debtor|creditor|inventory|stock|capital|reserve|retained|loan|accrual|prepaid|prepayment|property|equipment|vat|deposit|drawings|accumulated/i],
+  ['operating_expenses', /expense|salar|wage|rent|utilit|fee|cost|insurance|travel|repair|office|telephone|marketing|advertis/i]
+];
+
+const HEADER_PATTERNS = {
+  code: /^(account |a\/c |gl )?(code|no\.?|number|#)$/,
+  name: /account name|account title|account description|description|particulars|ledger|^account$|^name$/,
+  debit: /debit|^dr\.?$/,
+  credit: /credit|^cr\.?$/,
+  balance: /balance|amount|closing|net/
+};
+
+const TOTAL_ROW_PATTERN = /^(sub[\s-]?)?total\b|^grand total|^net (profit|loss)\b/i;
+
+// How many leading rows are scanned for a header row
+const HEADER_SCAN_ROWS = 25;
+
+/**
+ * Convert a ledger amount (number or string such as "(1,234.50)" or "1,234.50 Cr") to fils
+ */
+export const parseAmount = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value * 100) : 0;
+
+  let text = String(value).trim();
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bcr\.?$/i.test(text)) {
+    sign = -sign;
+    text = text.replace(/\bcr\.?$/i, '');
+  }
+  text = text.replace(/\bdr\.?$/i, '').replace(/[^0-9.-]/g, '');
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? sign * Math.round(number * 100) : 0;
+};
+
+const isNumericCell = (value) =>
+  typeof value === 'number' || (typeof value === 'string' && /^\(?-?[\d,]+(\.\d+)?\)?(\s*(dr|cr)\.?)?$/i.test(value.trim()));
+
+/**
+ * Normalise an account name so the same ledger account matches across uploads
+ */
+export const normaliseAccountName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/^\d[\d.\-/]*\s*[-–:]?\s*/, '')
+    .replace(/[^a-z0-9&% ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Guess a Corporate Tax category from an account name
+ */
+export const guessCategory = (accountName) => {
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(accountName || ''));
+  return match ? match[0] : null;
+};
+
+// Pick one column for a role, preferring closing-balance columns when several match
+const pickColumn = (headers, pattern, exclude) => {
+  const matches = headers
+    .map((header, index) => ({ header, index }))
+    .filter(({ header }) => pattern.test(header) && !(exclude && exclude.test(header)));
+  if (matches.length === 0) return -1;
+  const closing = matches.find(({ header }) => /closing|ending|final|ytd/.test(header));
+  return (closing || matches[matches.length - 1]).index;
+};
+
+/**
+ * Find the header row and the account, debit, credit and balance columns of a table
+ */
+export const detectColumns = (rows) => {
+  const scanLimit = Math.min(rows.length, HEADER_SCAN_ROWS);
+
+  for (let i = 0; i < scanLimit; i++) {
+    const row = rows[i];
+    if (!Array.isArray(row)) continue;
+
+    const headers = Array.from(row, cell => String(cell ?? '').trim().toLowerCase());
+    const name = headers.findIndex(h => HEADER_PATTERNS.name.test(h));
+    if (name === -1) continue;
+
+    const columns = {
+      headerRow: i,
+      code: headers.findIndex((h, index) => index !== name && HEADER_PATTERNS.code.test(h)),
+      name,
+      debit: pickColumn(headers, HEADER_PATTERNS.debit),
+      credit: pickColumn(headers, HEADER_PATTERNS.credit),
+      balance: pickColumn(headers, HEADER_PATTERNS.balance, /debit|credit|^dr\.?$|^cr\.?$/),
+      detection: 'header'
+    };
+    if (columns.debit !== -1 || columns.credit !== -1 || columns.balance !== -1) {
+      return columns;
+    }
+  }
+
+  // No recognisable header: infer from cell types
+  const sample = rows.filter(Array.isArray).slice(0, 50);
+  const width = Math.max(0, ...sample.map(row => row.length));
+  const textCounts = new Array(width).fill(0);
+  const numericCounts = new Array(width).fill(0);
+  sample.forEach(row => {
+    for (let col = 0; col < width; col++) {
+      const cell = row[col];
+      if (cell === undefined || cell === null || cell === '') continue;
+      if (isNumericCell(cell)) numericCounts[col]++;
+      else textCounts[col]++;
+    }
+  });
+
+  const name = textCounts.indexOf(Math.max(0, ...textCounts));
+  const numericColumns = numericCounts
+    .map((count, index) => ({ count, index }))
+    .filter(({ count, index }) => index > name && count > 0);
+  if (name === -1 || textCounts[name] === 0 || numericColumns.length === 0) return null;
+
+  const lastTwo = numericColumns.slice(-2).map(({ index }) => index);
+  return {
+    headerRow: -1,
+    code: -1,
+    name,
+    debit: lastTwo.length === 2 ? lastTwo[0] : -1,
+    credit: lastTwo.length === 2 ? lastTwo[1] : -1,
+    balance: lastTwo.length === 1 ? lastTwo[0] : -1,
+    detection: 'inferred'
+  };
+};
+
+// Other comprehensive income follows profit for the year and is outside taxable income
+const OTHER_COMPREHENSIVE_INCOME_PATTERN = /^other comprehensive (income|loss)/i;
+
+/**
+ * Read the profit or loss lines of an income statement extracted from a PDF (see pdfTables.mjs),
+ * taking the current year column. Statements show income as positive figures and expenses either
+ * in brackets or as positive figures under an expenses heading, so the figures are turned into
+ * debit-positive balances by that convention, or by the account category when none is bracketed.
+ */
+const extractStatementAccounts = (table) => {
+  const { column } = table.periods.current;
+  const lines = [];
+
+  for (let index = table.headerRow + 1; index < table.rows.length; index++) {
+    const row = table.rows[index];
+    const name = String(row[0] ?? '').trim();
+    if (OTHER_COMPREHENSIVE_INCOME_PATTERN.test(name)) break;
+    if (table.rowTypes[index] !== 'data' || !name || TOTAL_ROW_PATTERN.test(name) || !isNumericCell(row[column])) continue;
+    lines.push({ row: index + 1, name, amount: parseAmount(row[column]) });
+  }
+
+  const bracketed = lines.some(line => line.amount < 0);
+  return lines.map(({ row, name, amount }) => {
+    const income = CT_CATEGORIES[guessCategory(name)]?.kind === 'income';
+    const balance = bracketed || income ? -amount : amount;
+    return {
+      sheet: table.name,
+      row,
+      code: null,
+      name,
+      debit: Math.max(balance, 0) / 100,
+      credit: Math.max(-balance, 0) / 100,
+      balance: balance / 100
+    };
+  });
+};
+
+/**
+ * Read ledger accounts out of the tables produced by processExcel/processCSV, and out of the
+ * income statements and trial balances of PDFs. Other PDF tables (balance sheets, notes) are
+ * skipped, as their lines restate or break down the statement figures.
+ */
+export const extractAccounts = (tables) => {
+  const accounts = [];
+  const columnsByTable = [];
+
+  (tables || []).forEach(table => {
+    if (table.source === 'pdf' && table.statement === 'income_statement' && table.periods?.current) {
+      columnsByTable.push({
+        table: table.name,
+        columns: { headerRow: table.headerRow, code: -1, name: 0, debit: -1, credit: -1, balance: table.periods.current.column, detection: 'statement' }
+      });
+      accounts.push(...extractStatementAccounts(table));
+      return;
+    }
+
+    const rows = table.rows || [];
+    let columns = detectColumns(rows);
+    if (table.source === 'pdf' && columns && (columns.detection !== 'header' || (columns.debit === -1 && columns.credit === -1))) {
+      columns = null;
+    }
+    columnsByTable.push({ table: table.name, columns });
+    if (!columns) return;
+
+    rows.slice(columns.headerRow + 1).forEach((row, offset) => {
+      if (!Array.isArray(row)) return;
+      // Structured tables already flag subtotal and total rows
+      const rowType = table.rowTypes?.[columns.headerRow + 1 + offset];
+      if (rowType === 'total' || rowType === 'subtotal') return;
+      let name = String(row[columns.name] ?? '').trim();
+      if (!name || TOTAL_ROW_PATTERN.test(name)) return;
+
+      let code = columns.code !== -1 ? String(row[columns.code] ?? '').trim() : '';
+      const embeddedCode = name.match(/^(\d[\d.\-/]*)\s*[-–:]?\s+(.+)$/);
+      if (!code && embeddedCode) {
+        code = embeddedCode[1];
+        name = embeddedCode[2];
+      }
+
+      const debit = columns.debit !== -1 ? parseAmount(row[columns.debit]) : 0;
+      const credit = columns.credit !== -1 ? parseAmount(row[columns.credit]) : 0;
+      const balance = columns.debit === -1 && columns.credit === -1
+        ? parseAmount(row[columns.balance])
+        : debit - credit;
+
+      // Section headings carry no figures
+      const figures = [columns.debit, columns.credit, columns.balance].filter(index => index !== -1).map(index => row[index]);
+      if (!figures.some(isNumericCell)) return;
+
+      accounts.push({
+        sheet: table.name,
+        row: columns.headerRow + 2 + offset,
+        code: code || null,
+        name,
+        debit: debit / 100,
+        credit: credit / 100,
+        balance: balance / 100
+      });
+    });
+  });
+
+  return { accounts, columns: columnsByTable };
+};
+
+/**
+ * Classify the accounts of a processed spreadsheet.
+ * Stored overrides (keyed by normalised account name) take precedence over keyword rules.
+ */
+export const classifyTrialBalance = (processedData, overrides = {}) => {
+  const { accounts, columns } = extractAccounts(processedData.tables);
+
+  const classified = accounts.map(account => {
+    const normalisedName = normaliseAccountName(account.name);
+    // Overrides are only trusted for known categories; names such as "constructor" are not keys of either
+    const override = Object.hasOwn(overrides, normalisedName) && Object.hasOwn(CT_CATEGORIES, overrides[normalisedName])
+      ? overrides[normalisedName]
+      : null;
+    const ruleCategory = guessCategory(account.name);
+    return {
+      ...account,
+      normalisedName,
+      category: override || ruleCategory,
+      source: override ? 'override' : ruleCategory ? 'rule' : null
+    };
+  });
+
+  return {
+    columns,
+    accounts: classified,
+    unclassified: classified.filter(account => !account.category).length
+  };
+};
+
+/**
+ * Build a trial balance from the accounts saved for a conversation (see getTrialBalanceAccounts).
+ * Every upload with tables saves its accounts, so a conversation may hold a trial balance next to
+ * the income statement, or a draft next to the final one; adding them up would count profit twice.
+ * The accounts must therefore come from one file.
+ */
+export const savedTrialBalance = (accounts) => {
+  const files = [...new Set(accounts.map(account => account.file_name))];
+  if (files.length > 1) {
+    throw new Error(`Invalid trial balance: accounts are saved from ${files.length} files in this conversation; choose one with fileName: ${files.join(', ')}`);
+  }
+
+  return accounts.map(account => ({
+    code: account.account_code,
+    name: account.account_name,
+    balance: account.balance,
+    category: account.category
+  }));
+};
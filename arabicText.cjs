@@ -0,0 +1,118 @@
+// arabicText.cjs
+// Arabic text handling shared by ingestion, uploads and chat.
+// PDF text often arrives with Arabic presentation forms (the shaped glyphs rather than letters),
+// tatweel, bidi control characters, and lines stored in visual order, i.e. reversed. These helpers
+// normalise the letters, put visual-order lines back in reading order and tag the language of a text.
+
+const ARABIC_PATTERN = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFC]/;
+const ARABIC_LETTERS = /[\u0620-\u064A\u066E-\u06D3\u06FA-\u06FF]/g;
+const LATIN_LETTERS = /\p{Script=Latin}/gu;
+
+// Characters other than tab, line feed and carriage return below the space, and DEL
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Left-to-right runs (Latin words, numbers, dates) keep their order when a line is reversed
+const LTR_RUN = /[\p{Script=Latin}\p{Nd}]+(?:[\s.,:/%-]+[\p{Script=Latin}\p{Nd}]+)*|[\s\S]/gu;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+/**
+ * Replace presentation forms with the letters they shape (including the lam-alef ligatures),
+ * and drop tatweel, zero-width spaces, byte order marks and bidi control characters
+ */
+function normaliseArabic(text) {
+  return String(text || '')
+    .replace(/[\uFB50-\uFDFF\uFE70-\uFEFC]+/g, forms => forms.normalize('NFKC'))
+    .replace(/[\u200B\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
+    .replace(/\u0640/g, '');
+}
+
+/**
+ * Whether the Arabic of a (normalised) line reads backwards. Taa marbuta and alef maqsura only
+ * end words and the article "al-" only starts them, so their reversed positions give visual order away.
+ */
+function isVisualOrder(text) {
+  const words = text.match(/[\u0621-\u064A]{2,}/g) || [];
+  let visual = 0;
+  let logical = 0;
+  words.forEach(word => {
+    if (/^[ةى]/.test(word) || (word.length > 3 && word.endsWith('لا'))) visual += 1;
+    if (/[ةى]$/.test(word) || (word.length > 3 && word.startsWith('ال'))) logical += 1;
+  });
+  return visual > logical;
+}
+
+// Reverse a visual-order line, keeping left-to-right runs intact and mirroring brackets
+function reverseVisualOrder(text) {
+  return (text.match(LTR_RUN) || [])
+    .reverse()
+    .map(token => MIRRORED[token] || token)
+    .join('');
+}
+
+/**
+ * Normalise a line and put it in reading order if its Arabic is stored in visual order.
+ * Reversal happens before normalisation so lam-alef ligatures decompose in the right order.
+ */
+function toLogicalOrder(line) {
+  if (!ARABIC_PATTERN.test(line)) return line;
+  const normalised = normaliseArabic(line);
+  return isVisualOrder(normalised) ? normaliseArabic(reverseVisualOrder(line)) : normalised;
+}
+
+/**
+ * Whether a line is mainly Arabic, so it reads right to left
+ */
+function isRightToLeft(text) {
+  return (text.match(ARABIC_LETTERS) || []).length > (text.match(LATIN_LETTERS) || []).length;
+}
+
+/**
+ * Language of a text: 'ar', 'en' or 'mixed' when neither has 80% of the letters; null without letters
+ */
+function detectLanguage(text) {
+  const arabic = (String(text || '').match(ARABIC_LETTERS) || []).length;
+  const latin = (String(text || '').match(LATIN_LETTERS) || []).length;
+  const total = arabic + latin;
+  if (total === 0) return null;
+  if (arabic / total >= 0.8) return 'ar';
+  if (latin / total >= 0.8) return 'en';
+  return 'mixed';
+}
+
+const RESPONSE_LANGUAGES = ['auto', 'ar', 'en'];
+
+/**
+ * The language to answer in: 'ar' or 'en' as requested, or with 'auto' (the default) the language
+ * of the question, English for mixed questions
+ */
+function resolveResponseLanguage(requested = 'auto', message = '') {
+  if (!RESPONSE_LANGUAGES.includes(requested)) {
+    throw new Error(`Invalid response language: ${requested}. Use one of ${RESPONSE_LANGUAGES.join(', ')}`);
+  }
+  if (requested !== 'auto') return requested;
+  return detectLanguage(message) === 'ar' ? 'ar' : 'en';
+}
+
+/**
+ * Clean text extracted from a PDF line by line: control characters removed, Arabic normalised
+ * and put in reading order, spaces collapsed and empty lines dropped
+ */
+function cleanExtractedText(text) {
+  return String(text || '')
+    .replace(CONTROL_CHARACTERS, '')
+    .split('\n')
+    .map(line => toLogicalOrder(line).replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+}
+
+module.exports = {
+  ARABIC_PATTERN,
+  normaliseArabic,
+  isVisualOrder,
+  toLogicalOrder,
+  isRightToLeft,
+  detectLanguage,
+  resolveResponseLanguage,
+  cleanExtractedText
+};
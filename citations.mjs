@@ -0,0 +1,83 @@
+import path from 'path';
+
+/**
+ * Citation helpers for chat answers.
+ * Every retrieved chunk becomes a numbered source ([S1], [S2], ...) that is streamed to the
+ * client and saved with the assistant message so reviewers can open exactly what was used.
+ */
+
+/**
+ * Build a human-readable location such as "Article 20(2)(b)" or "Page 14, "Notes to the financial
+ * statements"" from chunk metadata
+ */
+export const formatReference = (metadata = {}) => {
+  const parts = [];
+  if (metadata.chapter) parts.push(`Chapter ${metadata.chapter}`);
+  if (metadata.article) parts.push(`Article ${metadata.article}${metadata.clause || ''}`);
+  if (metadata.pageStart) {
+    parts.push(!metadata.pageEnd || metadata.pageEnd === metadata.pageStart
+      ? `Page ${metadata.pageStart}`
+      : `Pages ${metadata.pageStart}-${metadata.pageEnd}`);
+  }
+  if (metadata.section) parts.push(`"${metadata.section}"`);
+  if (metadata.sheet) parts.push(`Sheet ${metadata.sheet}${metadata.rows ? `, rows ${metadata.rows}` : ''}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+/**
+ * Citation for a knowledge base (legislation and guidance) match
+ */
+export const buildKnowledgeBaseCitation = (match) => {
+  const metadata = match.metadata || {};
+  return {
+    type: 'knowledge_base',
+    chunkId: match.id,
+    title: metadata.title || (metadata.source ? path.basename(metadata.source, path.extname(metadata.source)) : 'Unknown'),
+    fileName: metadata.source ? path.basename(metadata.source) : null,
+    reference: formatReference(metadata),
+    instrumentId: metadata.instrumentId || null,
+    instrumentLabel: metadata.instrumentLabel || null,
+    issuingAuthority: metadata.issuingAuthority || null,
+    issueDate: metadata.issueDate || null,
+    status: match.status || 'current',
+    supersession: match.supersession || [],
+    supersessionNote: match.supersessionNote || null,
+    score: match.score,
+    excerpt: metadata.text || ''
+  };
+};
+
+/**
+ * Citation for a match from a document uploaded to the conversation
+ */
+export const buildDocumentCitation = (match) => ({
+  type: 'user_document',
+  chunkId: match.id,
+  title: match.fileName,
+  fileName: match.fileName,
+  reference: formatReference(match),
+  pageStart: match.pageStart || null,
+  pageEnd: match.pageEnd || null,
+  score: match.score,
+  excerpt: match.text || ''
+});
+
+/**
+ * Number citations in the order they are given to the model
+ */
+export const numberCitations = (citations) =>
+  citations.map((citation, index) => ({ id: `S${index + 1}`, ...citation }));
+
+/**
+ * Render one citation as a labelled context block for the prompt
+ */
+export const formatCitationContext = (citation) => {
+  const location = citation.reference ? `, ${citation.reference}` : '';
+  if (citation.type === 'user_document') {
+    return `[${citation.id}] User Document (${citation.fileName}${location}): ${citation.excerpt}`;
+  }
+  const instrument = citation.instrumentLabel ? ` [${citation.instrumentLabel}]` : '';
+  const issued = citation.issueDate ? ` (issued ${citation.issueDate})` : '';
+  const note = citation.supersessionNote ? `\nNote: ${citation.supersessionNote}` : '';
+  return `[${citation.id}] Content: ${citation.excerpt}\nSource: ${citation.title}${instrument}${location}${issued}${note}`;
+};
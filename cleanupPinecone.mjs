@@ -1,7 +1,10 @@
-import { Pinecone } from '@pinecone-database/pinecone';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getVectorStore } from './vectorStore.cjs';
+import { getKeywordIndex } from './keywordIndex.cjs';
+import { pool } from './db.mjs';
+import { reconcileOrphanedVectors, processDueCleanupJobs } from './vectorCleanup.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,107 +19,52 @@ if (process.env.NODE_ENV !== 'production') {
   }
 }
 
-// Initialize Pinecone
-const pinecone = new Pinecone({
-  apiKey: process.env.PINECONE_API_KEY
-});
-
-const index = pinecone.index(process.env.PINECONE_INDEX);
+const UPLOAD_ID_PREFIX = 'conversation_';
 
 /**
- * Clean up vectors that have userId as conversationId
- * These are vectors that were incorrectly stored before the fix
+ * Purge vectors whose conversation or user no longer exists.
+ * With unregistered, also purge vectors of live conversations that no registered document claims,
+ * such as those stored with a userId as conversationId before that was fixed.
  */
-async function cleanupIncorrectVectors() {
+async function cleanupOrphanedVectors({ dryRun = false, unregistered = false } = {}) {
   try {
-    console.log('Starting cleanup of incorrectly stored vectors...');
-    
-    // List of known userIds that might have been used as conversationId
-    // You can add your actual userIds here
-    const knownUserIds = ['1', '2', '3', '4']; // Add your actual user IDs
-    
-    for (const userId of knownUserIds) {
-      console.log(`Checking for vectors with userId ${userId} as conversationId...`);
-      
-      try {
-        // Query vectors that have this userId as conversationId
-        const queryResponse = await index.query({
-          vector: new Array(1536).fill(0), // Dummy vector for querying
-          topK: 10000, // Get many results
-          includeMetadata: true,
-          filter: {
-            conversationId: { $eq: userId }
-          }
-        });
-        
-        if (queryResponse.matches && queryResponse.matches.length > 0) {
-          console.log(`Found ${queryResponse.matches.length} vectors with userId ${userId} as conversationId`);
-          
-          // Extract vector IDs to delete
-          const vectorIds = queryResponse.matches.map(match => match.id);
-          
-          // Log the files that will be deleted
-          const fileNames = [...new Set(queryResponse.matches.map(match => match.metadata?.fileName).filter(Boolean))];
-          console.log('Files that will be removed:', fileNames);
-          
-          // Delete these vectors in batches
-          const batchSize = 100;
-          for (let i = 0; i < vectorIds.length; i += batchSize) {
-            const batch = vectorIds.slice(i, i + batchSize);
-            await index.deleteMany(batch);
-            console.log(`Deleted batch ${Math.floor(i/batchSize) + 1} of ${Math.ceil(vectorIds.length/batchSize)}`);
-          }
-          
-          console.log(`Successfully deleted ${vectorIds.length} vectors for userId ${userId}`);
-        } else {
-          console.log(`No vectors found with userId ${userId} as conversationId`);
-        }
-      } catch (error) {
-        console.error(`Error processing userId ${userId}:`, error);
-      }
+    console.log(`Starting reconciliation of orphaned vectors${dryRun ? ' (dry run)' : ''}...`);
+    const summary = await reconcileOrphanedVectors({ dryRun, unregistered });
+
+    if (dryRun) {
+      console.log(`Dry run: ${summary.orphaned} of ${summary.scanned} vectors would be deleted`);
+    } else {
+      console.log(`Reconciliation completed: deleted ${summary.orphaned} of ${summary.scanned} vectors`);
     }
-    
-    console.log('Cleanup completed successfully!');
-    
+    return summary;
   } catch (error) {
-    console.error('Error during cleanup:', error);
+    console.error('Error during reconciliation:', error);
     throw error;
   }
 }
 
+/**
+ * Retry cleanups of deleted conversations that are due, without waiting for the server's worker
+ */
+async function runPendingCleanupJobs() {
+  const processed = await processDueCleanupJobs();
+  console.log(`Processed ${processed} pending cleanup jobs`);
+}
+
 /**
  * Alternative cleanup method: Delete vectors by filename pattern
- * Use this if you know the specific filename that's causing issues
+ * Use this if you know the specific filename that's causing issues.
+ * Only uploaded files are searched (ids starting with conversation_), not the knowledge base.
  */
 async function cleanupByFilename(filename) {
   try {
     console.log(`Cleaning up vectors for filename: ${filename}`);
     
-    // Query vectors that contain this filename
-    const queryResponse = await index.query({
-      vector: new Array(1536).fill(0), // Dummy vector for querying
-      topK: 10000,
-      includeMetadata: true,
-      filter: {
-        fileName: { $eq: filename }
-      }
-    });
+    const deleted = await getVectorStore().deleteByFilter({ fileName: { $eq: filename } }, { prefix: UPLOAD_ID_PREFIX });
+    await getKeywordIndex().deleteByFilter({ fileName: { $eq: filename } }, { prefix: UPLOAD_ID_PREFIX });
     
-    if (queryResponse.matches && queryResponse.matches.length > 0) {
-      console.log(`Found ${queryResponse.matches.length} vectors for filename ${filename}`);
-      
-      // Extract vector IDs to delete
-      const vectorIds = queryResponse.matches.map(match => match.id);
-      
-      // Delete these vectors in batches
-      const batchSize = 100;
-      for (let i = 0; i < vectorIds.length; i += batchSize) {
-        const batch = vectorIds.slice(i, i + batchSize);
-        await index.deleteMany(batch);
-        console.log(`Deleted batch ${Math.floor(i/batchSize) + 1} of ${Math.ceil(vectorIds.length/batchSize)}`);
-      }
-      
-      console.log(`Successfully deleted ${vectorIds.length} vectors for filename ${filename}`);
+    if (deleted > 0) {
+      console.log(`Successfully deleted ${deleted} vectors for filename ${filename}`);
     } else {
       console.log(`No vectors found for filename ${filename}`);
     }
@@ -137,14 +85,26 @@ async function main() {
     } else {
       console.error('Please provide a filename: node cleanupPinecone.mjs --filename "trial balance-1.xlsx"');
     }
+  } else if (args.includes('--jobs')) {
+    await runPendingCleanupJobs();
   } else {
-    await cleanupIncorrectVectors();
+    await cleanupOrphanedVectors({
+      dryRun: args.includes('--dry-run'),
+      unregistered: args.includes('--unregistered')
+    });
   }
 }
 
 // Run the cleanup
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main().catch(console.error);
+  main()
+    .catch(console.error)
+    // Close the shared store and index vectorCleanup.mjs used along with the db.mjs pool; a backend
+    // that failed to configure must not keep the pool open
+    .finally(() => Promise.allSettled([
+      pool.end(),
+      ...[getVectorStore, getKeywordIndex].map(async get => get().close())
+    ]));
 }
 
-export { cleanupIncorrectVectors, cleanupByFilename }; 
\ No newline at end of file
+export { cleanupOrphanedVectors, runPendingCleanupJobs, cleanupByFilename }; 
\ No newline at end of file
@@ -0,0 +1,160 @@
+import { getChatProvider } from './llmProvider.cjs';
+import { formatCitationContext } from './citations.mjs';
+import { getConversationMessages, getConversationSummary, saveConversationSummary } from './db.mjs';
+
+/**
+ * Conversation memory for the chat endpoint.
+ * History is rebuilt from the messages saved for the authenticated owner, never taken from the
+ * client. The prompt budget is split between retrieved chunks and history: recent turns are kept
+ * verbatim and older turns are folded into a rolling summary stored on the conversation.
+ */
+
+// Read when called so the values in .env apply
+const readBudget = () => ({
+  contextTokens: Number(process.env.CHAT_CONTEXT_TOKENS || 8000),
+  retrievalShare: Number(process.env.CHAT_RETRIEVAL_SHARE || 0.6),
+  summaryTokens: Number(process.env.CHAT_SUMMARY_TOKENS || 400)
+});
+
+// Older turns are summarised in batches of about this size
+const SUMMARY_BATCH_TOKENS = 6000;
+
+const SUMMARY_PROMPT = `You maintain a running summary of a conversation between a client and a UAE tax assistant.
+Merge the new turns into the existing summary. Keep facts about the client and their business, figures,
+tax periods, documents discussed, conclusions reached and open questions. Drop pleasantries.
+Reply with the updated summary only, in at most 250 words.`;
+
+// About four characters per token, which is close enough for budgeting; Arabic letters take about two
+export const estimateTokens = (text) => {
+  const value = String(text || '');
+  const arabic = (value.match(/\p{Script=Arabic}/gu) || []).length;
+  return Math.ceil((value.length - arabic) / 4 + arabic / 2);
+};
+
+// Each message also costs a few tokens for its role and separators
+const messageTokens = (message) => estimateTokens(message.content) + 4;
+
+const toChatMessage = (message) => ({
+  role: message.role === 'user' ? 'user' : 'assistant',
+  content: message.content
+});
+
+/**
+ * Split the prompt budget between retrieved chunks and history.
+ * Citations are kept in order (user documents come first) while they fit the retrieval share;
+ * whatever retrieval leaves unused goes to history.
+ */
+export const planContextBudget = ({ systemPrompt, question, citations }) => {
+  const { contextTokens, retrievalShare } = readBudget();
+  const available = Math.max(0, contextTokens - estimateTokens(systemPrompt) - estimateTokens(question));
+  const retrievalBudget = Math.floor(available * retrievalShare);
+
+  const kept = [];
+  let retrievalTokens = 0;
+  for (const citation of citations) {
+    const tokens = estimateTokens(formatCitationContext(citation));
+    // Always keep the best chunk, even if it alone exceeds the share
+    if (kept.length > 0 && retrievalTokens + tokens > retrievalBudget) break;
+    kept.push(citation);
+    retrievalTokens += tokens;
+  }
+
+  return {
+    citations: kept,
+    retrievalTokens,
+    historyBudget: Math.max(0, available - retrievalTokens)
+  };
+};
+
+/**
+ * Load the saved messages and rolling summary of a conversation.
+ * Throws 'Unauthorized access to conversation' if the user does not own it.
+ */
+export const loadConversationMemory = async (conversationId, userId) => {
+  const stored = await getConversationSummary(conversationId, userId);
+  const messages = await getConversationMessages(conversationId, userId);
+  return { conversationId, messages, ...stored };
+};
+
+/**
+ * Fold the turns that are not yet summarised into the stored summary, a batch at a time.
+ * Returns the newest summary; if the provider fails, the previous one is kept.
+ */
+const updateSummary = async (memory, older) => {
+  const { summaryTokens } = readBudget();
+  let { summary, throughMessageId } = memory;
+
+  const pending = older.filter(message => !summary || message.id > throughMessageId);
+  const maxChars = SUMMARY_BATCH_TOKENS * 4;
+
+  try {
+    while (pending.length > 0) {
+      const batch = [];
+      let batchTokens = 0;
+      while (pending.length > 0 && (batch.length === 0 || batchTokens + messageTokens(pending[0]) <= SUMMARY_BATCH_TOKENS)) {
+        const message = pending.shift();
+        batch.push(message);
+        batchTokens += messageTokens(message);
+      }
+
+      const transcript = batch
+        .map(message => `${message.role === 'user' ? 'Client' : 'Assistant'}: ${message.content.slice(0, maxChars)}`)
+        .join('\n\n');
+
+      const response = await getChatProvider().complete({
+        messages: [
+          { role: 'system', content: SUMMARY_PROMPT },
+          {
+            role: 'user',
+            content: `Existing summary:\n${summary || '(none)'}\n\nNew turns:\n${transcript}`
+          }
+        ],
+        temperature: 0,
+        maxTokens: summaryTokens
+      });
+
+      summary = response.trim();
+      throughMessageId = batch[batch.length - 1].id;
+      await saveConversationSummary(memory.conversationId, summary, throughMessageId);
+    }
+  } catch (error) {
+    console.error('Error summarising conversation history, using the previous summary:', error);
+  }
+
+  return summary;
+};
+
+/**
+ * Build the history messages for the prompt within the history budget.
+ * The newest turns are kept verbatim; anything older is replaced by the rolling summary.
+ */
+export const buildHistory = async (memory, historyBudget) => {
+  const { summaryTokens } = readBudget();
+  const { messages } = memory;
+
+  // Walk back from the newest turn, keeping room for the summary
+  const recentBudget = Math.max(0, historyBudget - summaryTokens);
+  let start = messages.length;
+  let used = 0;
+  while (start > 0 && used + messageTokens(messages[start - 1]) <= recentBudget) {
+    used += messageTokens(messages[start - 1]);
+    start -= 1;
+  }
+
+  const older = messages.slice(0, start);
+  const recent = messages.slice(start).map(toChatMessage);
+  console.log(`History: ${recent.length} recent turns verbatim, ${older.length} older turns summarised`);
+
+  if (older.length === 0) return recent;
+
+  const lastOlderId = older[older.length - 1].id;
+  const summary = memory.summary && memory.throughMessageId >= lastOlderId
+    ? memory.summary
+    : await updateSummary(memory, older);
+
+  if (!summary) return recent;
+  return [
+    { role: 'system', content: `Summary of the earlier conversation:\n${summary}` },
+    ...recent
+  ];
+};
@@ -0,0 +1,38 @@
+// crossEncoderReranker.cjs
+// Reranker backed by a hosted cross-encoder (see llmProvider.cjs), e.g. BAAI/bge-reranker-base
+// served by Hugging Face text-embeddings-inference. RERANK_URL points at the server; it must
+// accept POST /rerank { query, texts } and answer [{ index, score }] with scores from 0 to 1.
+
+function createCrossEncoderReranker({
+  url = process.env.RERANK_URL,
+  model = process.env.RERANK_MODEL || 'cross-encoder'
+} = {}) {
+  if (!url) {
+    throw new Error('Cross-encoder reranker is not configured. Please set RERANK_URL in the .env file.');
+  }
+
+  return {
+    name: 'cross-encoder',
+    rerankModel: model,
+
+    async rerank({ query, documents }) {
+      const response = await fetch(`${url.replace(/\/$/, '')}/rerank`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, texts: documents, truncate: true })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Cross-encoder reranker responded with ${response.status}`);
+      }
+
+      const scores = new Array(documents.length).fill(0);
+      (await response.json()).forEach(({ index, score }) => {
+        scores[index] = score;
+      });
+      return scores;
+    }
+  };
+}
+
+module.exports = { createCrossEncoderReranker };
@@ -105,6 +105,177 @@ const initDbSafe = async () => {
       CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id);
     `);
 
+    // Rolling summary of the turns that no longer fit the chat history budget
+    await client.query(`
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+      ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary_through_message_id INTEGER;
+    `);
+
+    // Create trial balance account mappings table if it doesn't exist
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trial_balance_accounts (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL,
+        sheet TEXT,
+        row_number INTEGER,
+        account_code TEXT,
+        account_name TEXT NOT NULL,
+        normalised_name TEXT NOT NULL,
+        debit NUMERIC(18, 2) DEFAULT 0,
+        credit NUMERIC(18, 2) DEFAULT 0,
+        balance NUMERIC(18, 2) DEFAULT 0,
+        category TEXT,
+        source TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trial_balance_accounts_document ON trial_balance_accounts(conversation_id, file_name);
+    `);
+
+    // Parsed spreadsheet tables, kept as JSON so figures can be reused without re-reading text
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_tables (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL,
+        tables JSONB NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (conversation_id, file_name)
+      );
+    `);
+
+    // Team-wide category corrections, reused on later uploads
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS account_category_overrides (
+        normalised_name TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Registry of files uploaded to each conversation and the vectors created from them
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS documents (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        file_name TEXT NOT NULL,
+        file_type TEXT NOT NULL,
+        file_size BIGINT,
+        content_hash TEXT NOT NULL,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        vector_ids TEXT[] NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'ready', 'failed')),
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (conversation_id, content_hash)
+      );
+    `);
+
+    // Vector cleanup owed for deleted conversations, retried until the vector store confirms it
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cleanup_jobs (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER NOT NULL,
+        vector_ids TEXT[] NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_cleanup_jobs_due ON cleanup_jobs(next_attempt_at) WHERE status = 'pending';
+    `);
+
+    // Uploaded files not yet indexed are removed by the cleanup too
+    await client.query(`
+      ALTER TABLE cleanup_jobs ADD COLUMN IF NOT EXISTS file_paths TEXT[] NOT NULL DEFAULT '{}';
+    `);
+
+    // Background processing of uploads: one job per upload attempt of a document, claimed by the
+    // upload worker and retried with backoff. status moves queued -> parsing -> embedding -> indexing -> indexed.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS upload_jobs (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        file_path TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'parsing', 'embedding', 'indexing', 'indexed', 'failed')),
+        processed_chunks INTEGER NOT NULL DEFAULT 0,
+        total_chunks INTEGER,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_upload_jobs_due ON upload_jobs(next_attempt_at) WHERE status = 'queued';
+    `);
+
+    // Quality of the extracted text: per-page source and OCR confidence, and warnings for the uploader
+    await client.query(`
+      ALTER TABLE documents ADD COLUMN IF NOT EXISTS text_quality JSONB;
+    `);
+
+    // Roles and account status. When the role column is first added, users named in the former
+    // ADMIN_USERNAMES setting become admins so existing administrators keep their access.
+    const roleColumn = await client.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'role'
+    `);
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'staff'
+        CHECK (role IN ('admin', 'senior_reviewer', 'staff'));
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+    `);
+    if (roleColumn.rows.length === 0) {
+      const adminUsernames = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+      const promoted = await client.query(
+        `UPDATE users SET role = 'admin' WHERE username = ANY($1::text[]) RETURNING username`,
+        [adminUsernames]
+      );
+      console.log(`Added user roles; admins: ${promoted.rows.map(row => row.username).join(', ') || 'none (create one with manageUsers.mjs)'}`);
+    }
+
+    // Supersession registry: which instrument amends, repeals, replaces or duplicates which
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS instrument_relations (
+        id SERIAL PRIMARY KEY,
+        source_instrument TEXT NOT NULL,
+        relation TEXT NOT NULL CHECK (relation IN ('amends', 'repeals', 'replaces', 'duplicates')),
+        target_instrument TEXT NOT NULL,
+        target_document TEXT,
+        target_articles TEXT[],
+        effective_date DATE,
+        notes TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_instrument_relations_unique
+      ON instrument_relations(source_instrument, relation, target_instrument, (COALESCE(target_document, '')));
+    `);
+
     await client.query('COMMIT');
     console.log('Database tables created/verified successfully without data loss');
   } catch (error) {
@@ -253,6 +424,39 @@ const getConversationMessages = async (conversationId, userId) => {
   }
 };
 
+const getConversationSummary = async (conversationId, userId) => {
+  try {
+    const result = await pool.query(
+      'SELECT summary, summary_through_message_id FROM conversations WHERE id = $1 AND user_id = $2',
+      [conversationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Unauthorized access to conversation');
+    }
+
+    return {
+      summary: result.rows[0].summary,
+      throughMessageId: result.rows[0].summary_through_message_id
+    };
+  } catch (error) {
+    logError('getConversationSummary', error);
+    throw new Error(`Failed to fetch conversation summary: ${error.message}`);
+  }
+};
+
+const saveConversationSummary = async (conversationId, summary, throughMessageId) => {
+  try {
+    await pool.query(
+      'UPDATE conversations SET summary = $1, summary_through_message_id = $2 WHERE id = $3',
+      [summary, throughMessageId, conversationId]
+    );
+  } catch (error) {
+    logError('saveConversationSummary', error);
+    throw new Error(`Failed to save conversation summary: ${error.message}`);
+  }
+};
+
 const updateConversationTimestamp = async (conversationId) => {
   try {
     await pool.query(
@@ -308,10 +512,17 @@ const updateConversation = async (conversationId, userId, updates) => {
   }
 };
 
+/**
+ * Delete a conversation and, in the same transaction, queue the cleanup of its vectors.
+ * Returns the cleanup job for the caller to run straight away.
+ */
 const deleteConversation = async (conversationId, userId) => {
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+
     // First verify the conversation belongs to the user
-    const conversationCheck = await pool.query(
+    const conversationCheck = await client.query(
       'SELECT id FROM conversations WHERE id = $1 AND user_id = $2',
       [conversationId, userId]
     );
@@ -320,10 +531,861 @@ const deleteConversation = async (conversationId, userId) => {
       throw new Error('Unauthorized access to conversation');
     }
 
-    await pool.query('DELETE FROM conversations WHERE id = $1 AND user_id = $2', [conversationId, userId]);
+    const job = await client.query(
+      `INSERT INTO cleanup_jobs (conversation_id, vector_ids, file_paths)
+       VALUES (
+         $1,
+         ARRAY(SELECT unnest(vector_ids) FROM documents WHERE conversation_id = $1),
+         ARRAY(SELECT j.file_path FROM upload_jobs j JOIN documents d ON d.id = j.document_id
+               WHERE d.conversation_id = $1 AND j.status NOT IN ('indexed', 'failed'))
+       )
+       RETURNING *`,
+      [conversationId]
+    );
+
+    await client.query('DELETE FROM conversations WHERE id = $1 AND user_id = $2', [conversationId, userId]);
+
+    await client.query('COMMIT');
+    return job.rows[0];
   } catch (error) {
+    await client.query('ROLLBACK');
     logError('deleteConversation', error);
     throw new Error(`Failed to delete conversation: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+const getDueCleanupJobs = async (limit = 10) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM cleanup_jobs
+       WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY next_attempt_at
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logError('getDueCleanupJobs', error);
+    throw new Error(`Failed to fetch cleanup jobs: ${error.message}`);
+  }
+};
+
+const completeCleanupJob = async (jobId) => {
+  try {
+    await pool.query(
+      `UPDATE cleanup_jobs SET status = 'done', attempts = attempts + 1, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [jobId]
+    );
+  } catch (error) {
+    logError('completeCleanupJob', error);
+    throw new Error(`Failed to update cleanup job: ${error.message}`);
+  }
+};
+
+/**
+ * Record a failed cleanup attempt. Retries back off exponentially (1, 2, 4... minutes) and the
+ * job is marked failed after maxAttempts; the reconcile command still catches what is left.
+ */
+const failCleanupJob = async (jobId, message, maxAttempts) => {
+  try {
+    const result = await pool.query(
+      `UPDATE cleanup_jobs
+       SET attempts = attempts + 1,
+           last_error = $2,
+           status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'pending' END,
+           next_attempt_at = CURRENT_TIMESTAMP + (power(2, attempts) * INTERVAL '1 minute'),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [jobId, message, maxAttempts]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logError('failCleanupJob', error);
+    throw new Error(`Failed to update cleanup job: ${error.message}`);
+  }
+};
+
+/**
+ * Which of the given conversation ids still exist with an owner
+ */
+const getExistingConversationIds = async (conversationIds) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM conversations WHERE id = ANY($1::int[]) AND user_id IS NOT NULL',
+      [conversationIds]
+    );
+    return new Set(result.rows.map(row => row.id));
+  } catch (error) {
+    logError('getExistingConversationIds', error);
+    throw new Error(`Failed to fetch conversations: ${error.message}`);
+  }
+};
+
+const getRegisteredVectorIds = async () => {
+  try {
+    const result = await pool.query('SELECT unnest(vector_ids) AS vector_id FROM documents');
+    return new Set(result.rows.map(row => row.vector_id));
+  } catch (error) {
+    logError('getRegisteredVectorIds', error);
+    throw new Error(`Failed to fetch registered vector ids: ${error.message}`);
+  }
+};
+
+// Verify a conversation belongs to the user before touching its documents
+const assertConversationOwner = async (conversationId, userId) => {
+  const conversationCheck = await pool.query(
+    'SELECT id FROM conversations WHERE id = $1 AND user_id = $2',
+    [conversationId, userId]
+  );
+
+  if (conversationCheck.rows.length === 0) {
+    throw new Error('Unauthorized access to conversation');
+  }
+};
+
+const saveTrialBalanceAccounts = async (conversationId, fileName, accounts) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Re-uploading the same file replaces its previous mapping
+    await client.query(
+      'DELETE FROM trial_balance_accounts WHERE conversation_id = $1 AND file_name = $2',
+      [conversationId, fileName]
+    );
+
+    for (const account of accounts) {
+      await client.query(
+        `INSERT INTO trial_balance_accounts
+           (conversation_id, file_name, sheet, row_number, account_code, account_name, normalised_name,
+            debit, credit, balance, category, source)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          conversationId, fileName, account.sheet, account.row, account.code, account.name,
+          account.normalisedName, account.debit, account.credit, account.balance, account.category, account.source
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logError('saveTrialBalanceAccounts', error);
+    throw new Error(`Failed to save trial balance accounts: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+const getTrialBalanceAccounts = async (conversationId, userId, fileName) => {
+  try {
+    await assertConversationOwner(conversationId, userId);
+
+    const params = [conversationId];
+    let fileFilter = '';
+    if (fileName) {
+      params.push(fileName);
+      fileFilter = 'AND file_name = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT id, file_name, sheet, row_number, account_code, account_name, normalised_name,
+              debit::float AS debit, credit::float AS credit, balance::float AS balance, category, source, updated_at
+       FROM trial_balance_accounts
+       WHERE conversation_id = $1 ${fileFilter}
+       ORDER BY file_name, id`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logError('getTrialBalanceAccounts', error);
+    throw new Error(`Failed to fetch trial balance accounts: ${error.message}`);
+  }
+};
+
+const updateTrialBalanceAccountCategory = async (accountId, userId, category) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE trial_balance_accounts t
+       SET category = $1, source = 'manual', updated_at = CURRENT_TIMESTAMP
+       FROM conversations c
+       WHERE t.id = $2 AND t.conversation_id = c.id AND c.user_id = $3
+       RETURNING t.*`,
+      [category, accountId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Unauthorized access to trial balance account');
+    }
+
+    // Remember the correction so later uploads reuse it
+    await client.query(
+      `INSERT INTO account_category_overrides (normalised_name, category, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (normalised_name)
+       DO UPDATE SET category = EXCLUDED.category, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+      [result.rows[0].normalised_name, category, userId]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logError('updateTrialBalanceAccountCategory', error);
+    throw new Error(`Failed to update account category: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+const saveDocumentTables = async (conversationId, fileName, tables) => {
+  try {
+    await pool.query(
+      `INSERT INTO document_tables (conversation_id, file_name, tables)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (conversation_id, file_name)
+       DO UPDATE SET tables = EXCLUDED.tables, created_at = CURRENT_TIMESTAMP`,
+      [conversationId, fileName, JSON.stringify(tables)]
+    );
+  } catch (error) {
+    logError('saveDocumentTables', error);
+    throw new Error(`Failed to save document tables: ${error.message}`);
+  }
+};
+
+const getDocumentTables = async (conversationId, userId, fileName) => {
+  try {
+    await assertConversationOwner(conversationId, userId);
+
+    const params = [conversationId];
+    let fileFilter = '';
+    if (fileName) {
+      params.push(fileName);
+      fileFilter = 'AND file_name = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT file_name, tables, created_at FROM document_tables WHERE conversation_id = $1 ${fileFilter} ORDER BY file_name`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    logError('getDocumentTables', error);
+    throw new Error(`Failed to fetch document tables: ${error.message}`);
+  }
+};
+
+const getAccountCategoryOverrides = async () => {
+  try {
+    const result = await pool.query('SELECT normalised_name, category FROM account_category_overrides');
+    return Object.fromEntries(result.rows.map(row => [row.normalised_name, row.category]));
+  } catch (error) {
+    logError('getAccountCategoryOverrides', error);
+    throw new Error(`Failed to fetch account category overrides: ${error.message}`);
+  }
+};
+
+// Columns returned for documents; vector ids are only read when deleting or renaming
+const DOCUMENT_COLUMNS = `id, conversation_id, uploaded_by, file_name, file_type, file_size, content_hash,
+  chunk_count, status, error, text_quality, created_at, updated_at`;
+
+/**
+ * Register an upload before it is processed. A file already uploaded to the conversation
+ * (same content hash) is rejected with a duplicate key error unless its earlier upload failed.
+ */
+const createDocument = async (conversationId, userId, { fileName, fileType, fileSize, contentHash }) => {
+  try {
+    await assertConversationOwner(conversationId, userId);
+
+    const result = await pool.query(
+      `INSERT INTO documents (conversation_id, uploaded_by, file_name, file_type, file_size, content_hash)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (conversation_id, content_hash)
+       DO UPDATE SET uploaded_by = EXCLUDED.uploaded_by, file_name = EXCLUDED.file_name, file_type = EXCLUDED.file_type,
+         file_size = EXCLUDED.file_size, status = 'processing', error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE documents.status = 'failed'
+       RETURNING ${DOCUMENT_COLUMNS}`,
+      [conversationId, parseInt(userId), fileName, fileType, fileSize, contentHash]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('duplicate key: this file has already been uploaded to the conversation');
+    }
+    return result.rows[0];
+  } catch (error) {
+    logError('createDocument', error);
+    throw new Error(`Failed to register document: ${error.message}`);
+  }
+};
+
+const findDocumentByHash = async (conversationId, contentHash) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE conversation_id = $1 AND content_hash = $2`,
+      [conversationId, contentHash]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logError('findDocumentByHash', error);
+    throw new Error(`Failed to find document: ${error.message}`);
+  }
+};
+
+const markDocumentReady = async (documentId, { chunkCount, vectorIds, textQuality = null }) => {
+  try {
+    const result = await pool.query(
+      `UPDATE documents SET status = 'ready', chunk_count = $1, vector_ids = $2, text_quality = $3, error = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING ${DOCUMENT_COLUMNS}`,
+      [chunkCount, vectorIds, textQuality && JSON.stringify(textQuality), documentId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logError('markDocumentReady', error);
+    throw new Error(`Failed to update document: ${error.message}`);
+  }
+};
+
+const markDocumentFailed = async (documentId, message) => {
+  try {
+    await pool.query(
+      `UPDATE documents SET status = 'failed', error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [message, documentId]
+    );
+  } catch (error) {
+    logError('markDocumentFailed', error);
+    throw new Error(`Failed to update document: ${error.message}`);
+  }
+};
+
+const getConversationDocuments = async (conversationId, userId) => {
+  try {
+    await assertConversationOwner(conversationId, userId);
+
+    const result = await pool.query(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE conversation_id = $1 ORDER BY created_at ASC`,
+      [conversationId]
+    );
+    return result.rows;
+  } catch (error) {
+    logError('getConversationDocuments', error);
+    throw new Error(`Failed to fetch documents: ${error.message}`);
+  }
+};
+
+// A document belongs to the owner of its conversation
+const getOwnedDocument = async (client, documentId, userId) => {
+  const result = await client.query(
+    `SELECT d.id, d.conversation_id, d.file_name, d.vector_ids
+     FROM documents d JOIN conversations c ON c.id = d.conversation_id
+     WHERE d.id = $1 AND c.user_id = $2`,
+    [documentId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Document not found');
+  }
+  return result.rows[0];
+};
+
+const getDocument = async (documentId, userId) => {
+  try {
+    return await getOwnedDocument(pool, documentId, userId);
+  } catch (error) {
+    logError('getDocument', error);
+    throw new Error(`Failed to fetch document: ${error.message}`);
+  }
+};
+
+/**
+ * Rename a document together with the tables and trial balance rows extracted from it.
+ * Returns the updated document and the vector ids whose metadata should follow.
+ */
+const renameDocument = async (documentId, userId, fileName) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const document = await getOwnedDocument(client, documentId, userId);
+
+    const result = await client.query(
+      `UPDATE documents SET file_name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${DOCUMENT_COLUMNS}`,
+      [fileName, documentId]
+    );
+    await client.query(
+      'UPDATE document_tables SET file_name = $1 WHERE conversation_id = $2 AND file_name = $3',
+      [fileName, document.conversation_id, document.file_name]
+    );
+    await client.query(
+      'UPDATE trial_balance_accounts SET file_name = $1 WHERE conversation_id = $2 AND file_name = $3',
+      [fileName, document.conversation_id, document.file_name]
+    );
+
+    await client.query('COMMIT');
+    return { document: result.rows[0], vectorIds: document.vector_ids };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logError('renameDocument', error);
+    throw new Error(`Failed to rename document: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a document and the tables and trial balance rows extracted from it.
+ * Returns the deleted document with its vector ids and any stored upload files so the caller can
+ * remove them.
+ */
+const deleteDocument = async (documentId, userId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const document = await getOwnedDocument(client, documentId, userId);
+
+    await client.query(
+      'DELETE FROM document_tables WHERE conversation_id = $1 AND file_name = $2',
+      [document.conversation_id, document.file_name]
+    );
+    await client.query(
+      'DELETE FROM trial_balance_accounts WHERE conversation_id = $1 AND file_name = $2',
+      [document.conversation_id, document.file_name]
+    );
+    // Files of uploads still waiting to be indexed are left for the caller to remove
+    const pendingUploads = await client.query(
+      `SELECT file_path FROM upload_jobs WHERE document_id = $1 AND status NOT IN ('indexed', 'failed')`,
+      [documentId]
+    );
+    await client.query('DELETE FROM documents WHERE id = $1', [documentId]);
+
+    await client.query('COMMIT');
+    return { ...document, filePaths: pendingUploads.rows.map(row => row.file_path) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logError('deleteDocument', error);
+    throw new Error(`Failed to delete document: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+const UPLOAD_JOB_COLUMNS = `j.id, j.document_id, j.file_path, j.status, j.processed_chunks, j.total_chunks, j.attempts,
+  j.last_error, j.next_attempt_at, j.created_at, j.updated_at, d.conversation_id, d.file_name, d.file_type, d.text_quality`;
+
+const createUploadJob = async (documentId, filePath) => {
+  try {
+    const result = await pool.query(
+      `WITH j AS (INSERT INTO upload_jobs (document_id, file_path) VALUES ($1, $2) RETURNING *)
+       SELECT ${UPLOAD_JOB_COLUMNS} FROM j JOIN documents d ON d.id = j.document_id`,
+      [documentId, filePath]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logError('createUploadJob', error);
+    throw new Error(`Failed to queue upload: ${error.message}`);
+  }
+};
+
+/**
+ * Fail the jobs whose worker stopped reporting progress on their last attempt, and their documents.
+ * A file that crashes the worker (out of memory during OCR, say) never reaches failUploadJob, so
+ * without this it would be claimed again after every stale period. Returns the failed jobs.
+ */
+const failStalledUploadJobs = async (maxAttempts, staleAfterMinutes = 15) => {
+  try {
+    const result = await pool.query(
+      `WITH j AS (
+         UPDATE upload_jobs
+         SET status = 'failed',
+             last_error = $3,
+             locked_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE status IN ('parsing', 'embedding', 'indexing')
+           AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $2::int)
+           AND attempts >= $1
+         RETURNING *
+       ), failed_documents AS (
+         UPDATE documents SET status = 'failed', error = $3, updated_at = CURRENT_TIMESTAMP
+         FROM j WHERE documents.id = j.document_id
+       )
+       SELECT ${UPLOAD_JOB_COLUMNS} FROM j JOIN documents d ON d.id = j.document_id`,
+      [maxAttempts, staleAfterMinutes, `Processing stopped without finishing on all ${maxAttempts} attempts; the file may be too large to process`]
+    );
+    return result.rows;
+  } catch (error) {
+    logError('failStalledUploadJobs', error);
+    throw new Error(`Failed to update upload jobs: ${error.message}`);
+  }
+};
+
+/**
+ * Claim the next upload job that is due, or one whose worker stopped reporting progress
+ * (for example because the server restarted mid-upload) and has attempts left.
+ * Returns null when there is none.
+ */
+const claimUploadJob = async (maxAttempts, staleAfterMinutes = 15) => {
+  try {
+    const result = await pool.query(
+      `WITH next AS (
+         SELECT id FROM upload_jobs
+         WHERE (status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (status IN ('parsing', 'embedding', 'indexing')
+                AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $1::int)
+                AND attempts < $2)
+         ORDER BY next_attempt_at
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       ), j AS (
+         UPDATE upload_jobs SET status = 'parsing', attempts = attempts + 1, processed_chunks = 0, total_chunks = NULL,
+           locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         FROM next WHERE upload_jobs.id = next.id
+         RETURNING upload_jobs.*
+       )
+       SELECT ${UPLOAD_JOB_COLUMNS} FROM j JOIN documents d ON d.id = j.document_id`,
+      [staleAfterMinutes, maxAttempts]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logError('claimUploadJob', error);
+    throw new Error(`Failed to claim upload job: ${error.message}`);
+  }
+};
+
+/**
+ * Record the stage and chunk progress of a running job. Returns null if the job is gone
+ * because its document or conversation was deleted meanwhile.
+ */
+const updateUploadJobProgress = async (jobId, { status, processedChunks, totalChunks }) => {
+  try {
+    const result = await pool.query(
+      `WITH j AS (
+         UPDATE upload_jobs SET status = COALESCE($2, status), processed_chunks = COALESCE($3, processed_chunks),
+           total_chunks = COALESCE($4, total_chunks), locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *
+       )
+       SELECT ${UPLOAD_JOB_COLUMNS} FROM j JOIN documents d ON d.id = j.document_id`,
+      [jobId, status ?? null, processedChunks ?? null, totalChunks ?? null]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logError('updateUploadJobProgress', error);
+    throw new Error(`Failed to update upload job: ${error.message}`);
+  }
+};
+
+/**
+ * Record a failed attempt: the job is queued again after 1, 2, 4... minutes, or marked failed
+ * after maxAttempts. Returns null if the job is gone.
+ */
+const failUploadJob = async (jobId, message, maxAttempts) => {
+  try {
+    const result = await pool.query(
+      `WITH j AS (
+         UPDATE upload_jobs
+         SET last_error = $2,
+             status = CASE WHEN attempts >= $3 THEN 'failed' ELSE 'queued' END,
+             next_attempt_at = CURRENT_TIMESTAMP + (power(2, attempts - 1) * INTERVAL '1 minute'),
+             locked_at = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *
+       )
+       SELECT ${UPLOAD_JOB_COLUMNS} FROM j JOIN documents d ON d.id = j.document_id`,
+      [jobId, message, maxAttempts]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logError('failUploadJob', error);
+    throw new Error(`Failed to update upload job: ${error.message}`);
+  }
+};
+
+const getUploadJob = async (jobId, userId) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${UPLOAD_JOB_COLUMNS}
+       FROM upload_jobs j
+       JOIN documents d ON d.id = j.document_id
+       JOIN conversations c ON c.id = d.conversation_id
+       WHERE j.id = $1 AND c.user_id = $2`,
+      [jobId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Upload job not found');
+    }
+    return result.rows[0];
+  } catch (error) {
+    logError('getUploadJob', error);
+    throw new Error(`Failed to fetch upload job: ${error.message}`);
+  }
+};
+
+const RELATION_COLUMNS = `id, source_instrument, relation, target_instrument, target_document, target_articles,
+  to_char(effective_date, 'YYYY-MM-DD') AS effective_date, notes, created_by, created_at, updated_at`;
+
+const getInstrumentRelations = async () => {
+  try {
+    const result = await pool.query(
+      `SELECT ${RELATION_COLUMNS} FROM instrument_relations ORDER BY target_instrument, source_instrument`
+    );
+    return result.rows;
+  } catch (error) {
+    logError('getInstrumentRelations', error);
+    throw new Error(`Failed to fetch instrument relations: ${error.message}`);
+  }
+};
+
+const createInstrumentRelation = async (relation, userId) => {
+  try {
+    const result = await pool.query(
+      `INSERT INTO instrument_relations
+         (source_instrument, relation, target_instrument, target_document, target_articles, effective_date, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${RELATION_COLUMNS}`,
+      [relation.sourceInstrument, relation.relation, relation.targetInstrument, relation.targetDocument,
+        relation.targetArticles, relation.effectiveDate, relation.notes, userId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logError('createInstrumentRelation', error);
+    throw new Error(`Failed to create instrument relation: ${error.message}`);
+  }
+};
+
+const updateInstrumentRelation = async (relationId, relation) => {
+  try {
+    const result = await pool.query(
+      `UPDATE instrument_relations
+       SET source_instrument = $1, relation = $2, target_instrument = $3, target_document = $4,
+           target_articles = $5, effective_date = $6, notes = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING ${RELATION_COLUMNS}`,
+      [relation.sourceInstrument, relation.relation, relation.targetInstrument, relation.targetDocument,
+        relation.targetArticles, relation.effectiveDate, relation.notes, relationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Instrument relation not found');
+    }
+    return result.rows[0];
+  } catch (error) {
+    logError('updateInstrumentRelation', error);
+    throw new Error(`Failed to update instrument relation: ${error.message}`);
+  }
+};
+
+const deleteInstrumentRelation = async (relationId) => {
+  try {
+    const result = await pool.query('DELETE FROM instrument_relations WHERE id = $1 RETURNING id', [relationId]);
+    if (result.rows.length === 0) {
+      throw new Error('Instrument relation not found');
+    }
+  } catch (error) {
+    logError('deleteInstrumentRelation', error);
+    throw new Error(`Failed to delete instrument relation: ${error.message}`);
+  }
+};
+
+// Insert known relations without touching ones that already exist (admins may have edited them)
+const seedInstrumentRelations = async (relations) => {
+  try {
+    for (const relation of relations) {
+      await pool.query(
+        `INSERT INTO instrument_relations
+           (source_instrument, relation, target_instrument, target_document, target_articles, effective_date, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (source_instrument, relation, target_instrument, (COALESCE(target_document, ''))) DO NOTHING`,
+        [relation.sourceInstrument, relation.relation, relation.targetInstrument, relation.targetDocument || null,
+          relation.targetArticles || null, relation.effectiveDate || null, relation.notes || null]
+      );
+    }
+  } catch (error) {
+    logError('seedInstrumentRelations', error);
+    throw new Error(`Failed to seed instrument relations: ${error.message}`);
+  }
+};
+
+const USER_COLUMNS = 'id, username, role, disabled_at, last_login_at, created_at, updated_at';
+
+const getUsers = async () => {
+  try {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`);
+    return result.rows;
+  } catch (error) {
+    logError('getUsers', error);
+    throw new Error(`Failed to fetch users: ${error.message}`);
+  }
+};
+
+// The account behind a session, with the time its password last changed; null if it was deleted
+const getUserAccount = async (userId) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}, password_changed_at FROM users WHERE id = $1`,
+      [parseInt(userId)]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logError('getUserAccount', error);
+    throw new Error(`Failed to fetch user: ${error.message}`);
+  }
+};
+
+const findUserByUsername = async (username) => {
+  try {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE username = $1`, [username]);
+    if (result.rows.length === 0) {
+      throw new Error(`User ${username} not found`);
+    }
+    return result.rows[0];
+  } catch (error) {
+    logError('findUserByUsername', error);
+    throw new Error(`Failed to fetch user: ${error.message}`);
+  }
+};
+
+const createUser = async ({ username, password, role = 'staff' }) => {
+  try {
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const result = await pool.query(
+      `INSERT INTO users (username, password_hash, role, password_changed_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       RETURNING ${USER_COLUMNS}`,
+      [username, passwordHash, role]
+    );
+    return result.rows[0];
+  } catch (error) {
+    logError('createUser', error);
+    throw new Error(`Failed to create user: ${error.message}`);
+  }
+};
+
+/**
+ * Lock the user for a change and refuse it if it would leave no active admin.
+ * removesAdmin: whether the change demotes, disables or deletes the user.
+ */
+const lockUserForChange = async (client, userId, removesAdmin) => {
+  const result = await client.query('SELECT id, role, disabled_at FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  const user = result.rows[0];
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (removesAdmin && user.role === 'admin' && !user.disabled_at) {
+    const otherAdmins = await client.query(
+      `SELECT id FROM users WHERE role = 'admin' AND disabled_at IS NULL AND id <> $1 FOR UPDATE`,
+      [userId]
+    );
+    if (otherAdmins.rows.length === 0) {
+      throw new Error('Last active admin cannot be demoted, disabled or deleted');
+    }
+  }
+  return user;
+};
+
+/**
+ * Change the role and/or disable or re-enable a user: { role, disabled }
+ */
+const updateUser = async (userId, { role, disabled }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await lockUserForChange(client, userId, (role !== undefined && role !== 'admin') || disabled === true);
+
+    const result = await client.query(
+      `UPDATE users
+       SET role = COALESCE($2, role),
+           disabled_at = CASE WHEN $3::boolean IS NULL THEN disabled_at
+                              WHEN $3::boolean THEN COALESCE(disabled_at, CURRENT_TIMESTAMP)
+                              ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [userId, role ?? null, disabled ?? null]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logError('updateUser', error);
+    throw new Error(`Failed to update user: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+// Sessions issued before the change stop working (see authenticateToken)
+const resetUserPassword = async (userId, password) => {
+  try {
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const result = await pool.query(
+      `UPDATE users
+       SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [userId, passwordHash]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+    return result.rows[0];
+  } catch (error) {
+    logError('resetUserPassword', error);
+    throw new Error(`Failed to reset password: ${error.message}`);
+  }
+};
+
+const recordLogin = async (userId) => {
+  try {
+    await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [userId]);
+  } catch (error) {
+    logError('recordLogin', error);
+    throw new Error(`Failed to record login: ${error.message}`);
+  }
+};
+
+/**
+ * Delete a user with their conversations, queueing a vector cleanup job for each conversation
+ * as deleteConversation does. Returns the cleanup jobs.
+ */
+const deleteUser = async (userId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await lockUserForChange(client, userId, true);
+
+    const jobs = await client.query(
+      `INSERT INTO cleanup_jobs (conversation_id, vector_ids, file_paths)
+       SELECT c.id,
+              ARRAY(SELECT unnest(vector_ids) FROM documents WHERE conversation_id = c.id),
+              ARRAY(SELECT j.file_path FROM upload_jobs j JOIN documents d ON d.id = j.document_id
+                    WHERE d.conversation_id = c.id AND j.status NOT IN ('indexed', 'failed'))
+       FROM conversations c
+       WHERE c.user_id = $1
+       RETURNING *`,
+      [userId]
+    );
+
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+    await client.query('COMMIT');
+    return jobs.rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logError('deleteUser', error);
+    throw new Error(`Failed to delete user: ${error.message}`);
+  } finally {
+    client.release();
   }
 };
 
@@ -346,8 +1408,48 @@ export {
   addMessage,
   getConversations,
   getConversationMessages,
+  getConversationSummary,
+  saveConversationSummary,
   updateConversationTimestamp,
   updateConversation,
   deleteConversation,
+  getDueCleanupJobs,
+  completeCleanupJob,
+  failCleanupJob,
+  getExistingConversationIds,
+  getRegisteredVectorIds,
+  saveTrialBalanceAccounts,
+  getTrialBalanceAccounts,
+  updateTrialBalanceAccountCategory,
+  getAccountCategoryOverrides,
+  saveDocumentTables,
+  getDocumentTables,
+  createDocument,
+  findDocumentByHash,
+  markDocumentReady,
+  markDocumentFailed,
+  getConversationDocuments,
+  getDocument,
+  renameDocument,
+  deleteDocument,
+  createUploadJob,
+  failStalledUploadJobs,
+  claimUploadJob,
+  updateUploadJobProgress,
+  failUploadJob,
+  getUploadJob,
+  getInstrumentRelations,
+  createInstrumentRelation,
+  updateInstrumentRelation,
+  deleteInstrumentRelation,
+  seedInstrumentRelations,
+  getUsers,
+  getUserAccount,
+  findUserByUsername,
+  createUser,
+  updateUser,
+  resetUserPassword,
+  recordLogin,
+  deleteUser,
   healthCheck
 };
\ No newline at end of file
@@ -0,0 +1,245 @@
+// documentMetadata.cjs
+// Parses the corpus filename convention ("YYMMDD <instrument> <number> of <year> <subject>.pdf")
+// into structured metadata, and builds Pinecone filters over that metadata.
+
+const path = require('path');
+
+const INSTRUMENT_TYPES = {
+  FDL: { label: 'Federal Decree-Law', authority: 'UAE Federal Government' },
+  CD: { label: 'Cabinet Decision', authority: 'Cabinet of Ministers' },
+  MD: { label: 'Ministerial Decision', authority: 'Ministry of Finance' },
+  FTA_DECISION: { label: 'FTA Decision', authority: 'Federal Tax Authority' },
+  CTP: { label: 'Public Clarification', authority: 'Federal Tax Authority' },
+  GUIDE: { label: 'Guide', authority: 'Federal Tax Authority' },
+  USER_MANUAL: { label: 'User Manual', authority: 'Federal Tax Authority' }
+};
+
+// "<type> [No.] <number> of <year>", e.g. "MD 73 of 2023", "Ministerial Decision No. 27 of 2023"
+const NUMBERED_INSTRUMENT_PATTERN =
+  /\b(FDL|Federal Decree-Law|CD|Cabinet Decision|MD|Ministerial Decision|FTA Decision)\s*(?:No\.?\s*)?\(?(\d+)\)?\s+of\s+(\d{4})\b/i;
+// Public clarification codes, e.g. "CTP001", "CPT005", "TAXP007"
+const CLARIFICATION_PATTERN = /\b(CTP|CPT|TAXP)\s*-?\s*(\d{3})\b/i;
+// Guide reference codes, e.g. "CTGIDL1", "TPGTR1"
+const GUIDE_CODE_PATTERN = /\b((?:CTG|TPG)[A-Z]{2,6}\d)\b/;
+const USER_MANUAL_PATTERN = /user manual|^CT (registration|amend|edit|change|de-registration|returns)\b|\bTA\b|\blink\b/i;
+
+const TYPE_ALIASES = {
+  fdl: 'FDL', 'federal decree-law': 'FDL',
+  cd: 'CD', 'cabinet decision': 'CD',
+  md: 'MD', 'ministerial decision': 'MD',
+  'fta decision': 'FTA_DECISION'
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const TEXT_DATE = '(\\d{1,2})\\s*(January|February|March|April|May|June|July|August|September|October|November|December)\\s*(\\d{4})';
+// "shall come into effect on 1 June 2023", "come into force as of 01 March 2023"
+const EFFECTIVE_PATTERN = new RegExp(`come\\s+into\\s+(?:effect|force)\\s+(?:on|as\\s+of|from)\\s+${TEXT_DATE}`, 'gi');
+// "shall apply to Tax Periods commencing on or after 1 January 2025"
+const PERIODS_FROM_PATTERN = new RegExp(`Tax\\s+Periods?\\s+commencing\\s+on\\s+or\\s+after\\s+${TEXT_DATE}`, 'i');
+const LEGISLATION_TYPES = ['FDL', 'CD', 'MD', 'FTA_DECISION'];
+
+const toIsoDate = (yymmdd) => `20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+
+// Pinecone range filters only work on numbers, so dates are also stored as YYYYMMDD integers
+const toDateNumber = (isoDate) => Number(String(isoDate).slice(0, 10).replace(/-/g, ''));
+
+const textDateToIso = (day, month, year) =>
+  `${year}-${String(MONTHS.indexOf(month.toLowerCase()) + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
+
+const isValidDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().slice(0, 10) === value;
+
+const cleanTopic = (text) =>
+  text
+    .replace(/\(Art\s*\d+\)/i, '')
+    .replace(/-\s*(MOF|FTA)\s*$/i, '')
+    .replace(/^[\s\-–_]*(on|for)\s+/i, '')
+    .replace(/[_\s]+/g, ' ')
+    .replace(/^[\s\-–]+|[\s\-–]+$/g, '')
+    .trim();
+
+/**
+ * Parse a corpus file name into instrument metadata.
+ * Fields that cannot be determined are omitted (Pinecone rejects null metadata values).
+ */
+function parseDocumentFilename(fileName) {
+  const base = path.basename(fileName, path.extname(fileName));
+  const metadata = {};
+
+  // Optional ordering prefix ("0 ", "1 ") before the YYMMDD issue date
+  const dateMatch = base.match(/^(?:\d\s+)?(\d{6})\s+(.*)$/);
+  const rest = dateMatch ? dateMatch[2] : base;
+  if (dateMatch) {
+    metadata.issueDate = toIsoDate(dateMatch[1]);
+    metadata.issueDateNum = toDateNumber(metadata.issueDate);
+  }
+
+  const publisher = rest.match(/-\s*(MOF|FTA)\s*$/i) || rest.match(/^(MOF)\b/i);
+  if (publisher) metadata.publisher = publisher[1].toUpperCase();
+
+  const numbered = rest.match(NUMBERED_INSTRUMENT_PATTERN);
+  const clarification = rest.match(CLARIFICATION_PATTERN);
+  const guideCode = rest.match(GUIDE_CODE_PATTERN);
+
+  if (numbered) {
+    metadata.instrumentType = TYPE_ALIASES[numbered[1].toLowerCase()];
+    metadata.instrumentNumber = Number(numbered[2]);
+    metadata.instrumentYear = Number(numbered[3]);
+    metadata.instrumentId = `${metadata.instrumentType}-${metadata.instrumentNumber}-${metadata.instrumentYear}`;
+    metadata.instrumentLabel = `${INSTRUMENT_TYPES[metadata.instrumentType].label} No. ${metadata.instrumentNumber} of ${metadata.instrumentYear}`;
+    metadata.topic = cleanTopic(rest.slice(numbered.index + numbered[0].length));
+  } else if (clarification) {
+    const prefix = clarification[1].toUpperCase() === 'CPT' ? 'CTP' : clarification[1].toUpperCase();
+    metadata.instrumentType = 'CTP';
+    metadata.instrumentId = `${prefix}${clarification[2]}`;
+    metadata.instrumentLabel = `Public Clarification ${metadata.instrumentId}`;
+    metadata.topic = cleanTopic(rest.slice(clarification.index + clarification[0].length));
+  } else {
+    metadata.instrumentType = !/guide/i.test(rest) && USER_MANUAL_PATTERN.test(rest) ? 'USER_MANUAL' : 'GUIDE';
+    if (guideCode) metadata.instrumentId = guideCode[1];
+    metadata.topic = cleanTopic(rest.replace(GUIDE_CODE_PATTERN, '').replace(/^MOF\s+/i, ''));
+  }
+
+  metadata.issuingAuthority = metadata.publisher === 'MOF' && ['GUIDE', 'USER_MANUAL'].includes(metadata.instrumentType)
+    ? 'Ministry of Finance'
+    : INSTRUMENT_TYPES[metadata.instrumentType].authority;
+
+  if (!metadata.topic) delete metadata.topic;
+  return metadata;
+}
+
+/**
+ * Read effective dates from the text of an instrument.
+ * effectiveDate comes from the publication Article ("shall come into effect on 1 June 2023");
+ * periodsFrom from "Tax Periods commencing on or after ..." and is only taken from legislation,
+ * because guides quote the general Corporate Tax start date throughout.
+ * Instruments that take effect "on the day following publication" get no effectiveDate and are
+ * treated as in force from their issue date.
+ */
+function parseEffectiveDates(text, instrumentType) {
+  const flatText = text.replace(/\s+/g, ' ');
+  const dates = {};
+
+  // The publication Article comes last, so the last match wins over quoted earlier provisions
+  const effective = [...flatText.matchAll(EFFECTIVE_PATTERN)].pop();
+  if (effective) {
+    dates.effectiveDate = textDateToIso(effective[1], effective[2], effective[3]);
+    dates.effectiveDateNum = toDateNumber(dates.effectiveDate);
+  }
+
+  const periodsFrom = LEGISLATION_TYPES.includes(instrumentType) && flatText.match(PERIODS_FROM_PATTERN);
+  if (periodsFrom) {
+    dates.periodsFrom = textDateToIso(periodsFrom[1], periodsFrom[2], periodsFrom[3]);
+    dates.periodsFromNum = toDateNumber(dates.periodsFrom);
+  }
+
+  return dates;
+}
+
+/**
+ * Resolve the date a question is being answered for from { asOfDate } or { taxPeriod }.
+ * taxPeriod is a year ("2024", "FY2024") or { start, end }. Returns null when neither is given.
+ */
+function resolveAsOf({ asOfDate, taxPeriod } = {}) {
+  if (!asOfDate && !taxPeriod) return null;
+  if (asOfDate && taxPeriod) {
+    throw new Error('Invalid filter: provide either asOfDate or taxPeriod, not both');
+  }
+
+  if (asOfDate) {
+    if (!isValidDate(asOfDate)) throw new Error('Invalid filter: asOfDate must be a YYYY-MM-DD date');
+    return { asOfDate, periodStart: asOfDate, periodEnd: asOfDate, label: asOfDate };
+  }
+
+  const year = typeof taxPeriod === 'string' || typeof taxPeriod === 'number'
+    ? String(taxPeriod).match(/^(?:FY\s*)?(\d{4})$/i)
+    : null;
+  const period = year
+    ? { start: `${year[1]}-01-01`, end: `${year[1]}-12-31` }
+    : taxPeriod;
+
+  if (!period || !isValidDate(period.start) || !isValidDate(period.end) || period.start > period.end) {
+    throw new Error('Invalid filter: taxPeriod must be a year or { start, end } with YYYY-MM-DD dates');
+  }
+
+  return {
+    asOfDate: period.end,
+    periodStart: period.start,
+    periodEnd: period.end,
+    label: `tax period ${period.start} to ${period.end}`
+  };
+}
+
+/**
+ * Build a Pinecone metadata filter for the knowledge base from request filters:
+ * { instrumentTypes, authorities, instrumentIds, issuedAfter, issuedBefore }, and an optional
+ * resolved asOf (see resolveAsOf) limiting results to instruments in force for that date or period.
+ * Throws on invalid filters so callers can answer 400.
+ */
+function buildKnowledgeBaseFilter(filters, asOf = null) {
+  // JSON bodies may send "filters": null for none
+  filters = filters ?? {};
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Invalid filter: filters must be an object');
+  }
+
+  const clauses = [{ conversationId: { $exists: false } }]; // Only general knowledge, not user docs
+
+  if (filters.instrumentTypes && filters.instrumentTypes.length > 0) {
+    const types = [].concat(filters.instrumentTypes).map(type => TYPE_ALIASES[String(type).toLowerCase()] || String(type).toUpperCase());
+    const unknown = types.filter(type => !INSTRUMENT_TYPES[type]);
+    if (unknown.length > 0) {
+      throw new Error(`Invalid filter: unknown instrument type(s) ${unknown.join(', ')}`);
+    }
+    clauses.push({ instrumentType: { $in: types } });
+  }
+
+  if (filters.authorities && filters.authorities.length > 0) {
+    clauses.push({ issuingAuthority: { $in: [].concat(filters.authorities) } });
+  }
+
+  if (filters.instrumentIds && filters.instrumentIds.length > 0) {
+    clauses.push({ instrumentId: { $in: [].concat(filters.instrumentIds) } });
+  }
+
+  ['issuedAfter', 'issuedBefore'].forEach(key => {
+    if (!filters[key]) return;
+    if (!/^\d{4}-\d{2}-\d{2}/.test(filters[key])) {
+      throw new Error(`Invalid filter: ${key} must be a YYYY-MM-DD date`);
+    }
+    const operator = key === 'issuedAfter' ? '$gte' : '$lte';
+    clauses.push({ issueDateNum: { [operator]: toDateNumber(filters[key]) } });
+  });
+
+  if (asOf) {
+    const periodStart = toDateNumber(asOf.periodStart);
+    const periodEnd = toDateNumber(asOf.periodEnd);
+    // In force by the end of the period: explicit effective date, else issue date, else undated
+    clauses.push({
+      $or: [
+        { effectiveDateNum: { $lte: periodEnd } },
+        { $and: [{ effectiveDateNum: { $exists: false } }, { issueDateNum: { $lte: periodEnd } }] },
+        { $and: [{ effectiveDateNum: { $exists: false } }, { issueDateNum: { $exists: false } }] }
+      ]
+    });
+    // Rules for "Tax Periods commencing on or after" a date only apply if the period starts by then
+    clauses.push({
+      $or: [
+        { periodsFromNum: { $exists: false } },
+        { periodsFromNum: { $lte: periodStart } }
+      ]
+    });
+  }
+
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+module.exports = {
+  INSTRUMENT_TYPES,
+  parseDocumentFilename,
+  parseEffectiveDates,
+  resolveAsOf,
+  buildKnowledgeBaseFilter,
+  toDateNumber
+};
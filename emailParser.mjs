@@ -0,0 +1,187 @@
+/**
+ * MIME e-mail (.eml) parser.
+ * Splits a message into its headers, a readable body (plain text preferred over HTML) and its
+ * attachments, decoding base64 and quoted-printable parts, RFC 2047 encoded headers and the
+ * declared character sets. Forwarded messages (message/rfc822 parts) are returned as .eml attachments.
+ */
+
+const decodeCharset = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase()).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+// Raw message text is held as latin1 so every byte survives until its charset is known
+const toBytes = (raw) => Buffer.from(raw, 'latin1');
+
+const decodeQuotedPrintable = (raw) =>
+  toBytes(raw
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?2LbYsdmK2KjYqQ==?=
+const decodeHeaderValue = (value) =>
+  value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+
+const parseHeaders = (block) => {
+  const headers = {};
+  // Unencoded 8-bit header text is taken as UTF-8
+  decodeCharset(toBytes(block))
+    .replace(/\r?\n[ \t]+/g, ' ') // unfold continuation lines
+    .split(/\r?\n/)
+    .forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+      const name = line.slice(0, separator).trim().toLowerCase();
+      const value = decodeHeaderValue(line.slice(separator + 1).trim());
+      headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+    });
+  return headers;
+};
+
+// "text/plain; charset=utf-8; name="x.pdf"" -> { value: 'text/plain', params: { charset, name } }
+const parseHeaderParams = (header = '') => {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  rest.forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator <= 0) return;
+    const key = part.slice(0, separator).trim().toLowerCase().replace(/\*$/, '');
+    let paramValue = part.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+    // RFC 2231 extended values: utf-8''file%20name.pdf
+    const extended = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+    if (extended && part.slice(0, separator).trim().endsWith('*')) {
+      const bytes = toBytes(extended[2].replace(/%([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+      paramValue = decodeCharset(bytes, extended[1] || 'utf-8');
+    }
+    params[key] = decodeHeaderValue(paramValue);
+  });
+  return { value: value.trim().toLowerCase(), params };
+};
+
+const splitMessage = (raw) => {
+  const match = raw.match(/\r?\n\r?\n/);
+  return match
+    ? { headerBlock: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+    : { headerBlock: raw, body: '' };
+};
+
+const decodeBody = (body, encoding = '') => {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return toBytes(body);
+  }
+};
+
+export const htmlToText = (html) =>
+  html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// The parts between boundary lines; text before the first boundary and after the closing one is ignored
+const splitMultipart = (body, boundary) => {
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const trimmed = line.trimEnd();
+    if (trimmed === `--${boundary}` || trimmed === `--${boundary}--`) {
+      if (current) parts.push(current.join('\n'));
+      current = trimmed.endsWith(`${boundary}--`) ? null : [];
+      if (!current) break;
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) parts.push(current.join('\n'));
+
+  return parts.filter(part => part.trim());
+};
+
+const walkPart = (raw, result) => {
+  const { headerBlock, body } = splitMessage(raw);
+  const headers = parseHeaders(headerBlock);
+  const contentType = parseHeaderParams(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderParams(headers['content-disposition'] || '');
+  const fileName = disposition.params.filename || contentType.params.name;
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    splitMultipart(body, contentType.params.boundary).forEach(part => walkPart(part, result));
+    return;
+  }
+
+  if (contentType.value === 'message/rfc822') {
+    const forwarded = parseHeaders(splitMessage(body).headerBlock);
+    result.attachments.push({
+      fileName: fileName || `${(forwarded.subject || 'message').replace(/[<>:"|?*\x00-\x1f/\\]/g, '_')}.eml`,
+      contentType: contentType.value,
+      data: toBytes(body)
+    });
+    return;
+  }
+
+  const data = decodeBody(body, headers['content-transfer-encoding']);
+  if (fileName || disposition.value === 'attachment' || !contentType.value.startsWith('text/')) {
+    result.attachments.push({ fileName: fileName || 'attachment', contentType: contentType.value, data });
+    return;
+  }
+
+  const text = decodeCharset(data, contentType.params.charset);
+  if (contentType.value === 'text/html') {
+    result.html.push(text);
+  } else {
+    result.plain.push(text);
+  }
+};
+
+/**
+ * Parse a raw e-mail message (Buffer).
+ * Returns { headers: { from, to, cc, subject, date }, text, attachments: [{ fileName, contentType, data }] }.
+ */
+export const parseEmail = (buffer) => {
+  const raw = buffer.toString('latin1');
+  const { headerBlock } = splitMessage(raw);
+  const headers = parseHeaders(headerBlock);
+
+  if (!headers.from && !headers.subject && !headers.date) {
+    throw new Error('Invalid e-mail: no message headers found');
+  }
+
+  const result = { plain: [], html: [], attachments: [] };
+  walkPart(raw, result);
+
+  return {
+    headers: {
+      from: headers.from || null,
+      to: headers.to || null,
+      cc: headers.cc || null,
+      subject: headers.subject || null,
+      date: headers.date || null
+    },
+    text: (result.plain.length > 0 ? result.plain.join('\n\n') : result.html.map(htmlToText).join('\n\n')).trim(),
+    attachments: result.attachments
+  };
+};
@@ -0,0 +1,193 @@
+// embeddingService.cjs
+// Shared embedding service in front of the configured embedding provider (see llmProvider.cjs).
+//   - Calls made in the same tick are coalesced into one batched provider call, so the several
+//     searches of one chat request embed their queries together.
+//   - Recent vectors are memoised in process, so a query searched against the knowledge base and
+//     the user's documents is embedded once.
+//   - Vectors are cached in Postgres keyed by model and content hash, so re-uploads and
+//     repeated questions cost nothing.
+//
+// EMBEDDING_CACHE selects the cache: postgres (default) or none.
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { getEmbeddingProvider } = require('./llmProvider.cjs');
+
+// Provider requests are split into batches of this many inputs
+const BATCH_SIZE = 100;
+// Vectors kept in process for reuse
+const MEMO_SIZE = 500;
+
+const hashContent = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+function createPostgresEmbeddingCache({ pool } = {}) {
+  const db = pool || new Pool({
+    user: process.env.PGUSER,
+    password: process.env.POSTGRES_PASSWORD,
+    host: process.env.PGHOST,
+    port: process.env.PGPORT,
+    database: process.env.PGDATABASE,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  // Create the table on first use
+  let schemaReady = null;
+  const ensureSchema = () => {
+    schemaReady ||= db.query(`
+      CREATE TABLE IF NOT EXISTS embedding_cache (
+        model TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        embedding REAL[] NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (model, content_hash)
+      )
+    `).catch(error => {
+      schemaReady = null;
+      throw new Error(`Failed to prepare embedding cache schema: ${error.message}`);
+    });
+    return schemaReady;
+  };
+
+  return {
+    backend: 'postgres',
+
+    async get(model, hashes) {
+      await ensureSchema();
+      const result = await db.query(
+        'SELECT content_hash, embedding FROM embedding_cache WHERE model = $1 AND content_hash = ANY($2::text[])',
+        [model, hashes]
+      );
+      return new Map(result.rows.map(row => [row.content_hash, row.embedding]));
+    },
+
+    async set(model, entries) {
+      if (entries.length === 0) return;
+      await ensureSchema();
+      await db.query(
+        `INSERT INTO embedding_cache (model, content_hash, embedding)
+         SELECT $1, entry.hash, ARRAY(
+           SELECT element.value::real
+           FROM jsonb_array_elements_text(entry.embedding) WITH ORDINALITY AS element(value, position)
+           ORDER BY element.position
+         )
+         FROM jsonb_to_recordset($2::jsonb) AS entry(hash TEXT, embedding JSONB)
+         ON CONFLICT (model, content_hash) DO NOTHING`,
+        [model, JSON.stringify(entries.map(([hash, embedding]) => ({ hash, embedding })))]
+      );
+    }
+  };
+}
+
+function createEmbeddingCache(backend = process.env.EMBEDDING_CACHE || 'postgres', options = {}) {
+  switch (backend) {
+    case 'postgres':
+      return createPostgresEmbeddingCache(options);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown EMBEDDING_CACHE backend: ${backend}. Use postgres or none.`);
+  }
+}
+
+function createEmbeddingService({ provider = getEmbeddingProvider(), cache = createEmbeddingCache() } = {}) {
+  const model = `${provider.name}:${provider.embeddingModel}`;
+  const memo = new Map(); // hash -> Promise of vector, oldest first
+  let pending = new Map(); // hash -> { text, resolve, reject } waiting for the next flush
+  let flushScheduled = false;
+
+  const remember = (hash, promise) => {
+    memo.delete(hash);
+    memo.set(hash, promise);
+    if (memo.size > MEMO_SIZE) memo.delete(memo.keys().next().value);
+    // Failed embeddings are not reused
+    promise.catch(() => memo.delete(hash));
+  };
+
+  // Embed everything queued during this tick: cache first, then the provider in batches
+  const flush = async () => {
+    const queued = pending;
+    pending = new Map();
+    flushScheduled = false;
+
+    try {
+      const hashes = [...queued.keys()];
+      let cached = new Map();
+      if (cache) {
+        try {
+          cached = await cache.get(model, hashes);
+        } catch (error) {
+          console.warn('Embedding cache lookup failed, embedding without it:', error.message);
+        }
+      }
+
+      cached.forEach((embedding, hash) => queued.get(hash).resolve(embedding));
+      const missing = hashes.filter(hash => !cached.has(hash));
+
+      for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+        const batch = missing.slice(i, i + BATCH_SIZE);
+        const embeddings = await provider.embed(batch.map(hash => queued.get(hash).text));
+        batch.forEach((hash, index) => queued.get(hash).resolve(embeddings[index]));
+
+        if (cache) {
+          try {
+            await cache.set(model, batch.map((hash, index) => [hash, embeddings[index]]));
+          } catch (error) {
+            console.warn('Could not store embeddings in the cache:', error.message);
+          }
+        }
+      }
+
+      if (missing.length > 0 || cached.size > 0) {
+        console.log(`Embeddings: ${cached.size} from cache, ${missing.length} from ${provider.name}`);
+      }
+    } catch (error) {
+      queued.forEach(entry => entry.reject(error));
+    }
+  };
+
+  const embedOne = (text) => {
+    const hash = hashContent(text);
+    if (memo.has(hash)) return memo.get(hash);
+
+    const promise = new Promise((resolve, reject) => {
+      pending.set(hash, { text, resolve, reject });
+    });
+    remember(hash, promise);
+
+    if (!flushScheduled) {
+      flushScheduled = true;
+      setImmediate(flush);
+    }
+    return promise;
+  };
+
+  return {
+    model,
+
+    /**
+     * Embed texts, returning vectors in input order
+     */
+    embedTexts(texts) {
+      return Promise.all(texts.map(embedOne));
+    },
+
+    embedText(text) {
+      return embedOne(text);
+    }
+  };
+}
+
+// One service per process so every module shares the memo and the batching
+let sharedService = null;
+
+function getEmbeddingService() {
+  if (!sharedService) {
+    sharedService = createEmbeddingService();
+  }
+  return sharedService;
+}
+
+const embedTexts = (texts) => getEmbeddingService().embedTexts(texts);
+const embedText = (text) => getEmbeddingService().embedText(text);
+
+module.exports = { createEmbeddingService, getEmbeddingService, embedTexts, embedText };
@@ -1,12 +1,21 @@
 import fs from 'fs';
 import path from 'path';
-import pdfParse from 'pdf-parse-debugging-disabled';
-import xlsx from 'xlsx';
-import csv from 'csv-parser';
-import { OpenAI } from 'openai';
-import { Pinecone } from '@pinecone-database/pinecone';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { parseWorkbook, parseCSVTable, chunkTable, recordsToTable } from './spreadsheetParser.mjs';
+import { readZipEntries } from './zipArchive.mjs';
+import { extractPdfPages, stripRepeatedLines, markHeadings, chunkPdfPages } from './pdfLayout.mjs';
+import { findPdfTables } from './pdfTables.mjs';
+import { applyOcr } from './ocr.mjs';
+import { parseXml, localName, childElements, textContent, findXmlRecordSets } from './xmlParser.mjs';
+import { parseEmail } from './emailParser.mjs';
+import { buildKnowledgeBaseFilter } from './documentMetadata.cjs';
+import { getVectorStore } from './vectorStore.cjs';
+import { getEmbeddingProvider } from './llmProvider.cjs';
+import { embedText, embedTexts } from './embeddingService.cjs';
+import { getKeywordIndex, reciprocalRankFusion } from './keywordIndex.cjs';
+import { normaliseArabic, detectLanguage } from './arabicText.cjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,7 +34,13 @@ if (result.error) {
 }
 
 // Validate required environment variables
-const requiredEnvVars = ['OPENAI_API_KEY', 'PINECONE_API_KEY', 'PINECONE_INDEX'];
+const requiredEnvVars = [];
+if ((process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'openai') === 'openai') {
+  requiredEnvVars.push('OPENAI_API_KEY');
+}
+if ((process.env.VECTOR_STORE || 'pinecone') === 'pinecone') {
+  requiredEnvVars.push('PINECONE_API_KEY', 'PINECONE_INDEX');
+}
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName] || process.env[varName].includes('your_'));
 
 if (missingVars.length > 0) {
@@ -34,97 +49,111 @@ if (missingVars.length > 0) {
 }
 
 // Now create the clients after environment variables are loaded
-let openai, pinecone, index;
+let embeddingProvider, vectorStore, keywordIndex;
 
 try {
-  if (process.env.OPENAI_API_KEY && !process.env.OPENAI_API_KEY.includes('your_')) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    console.log('FileProcessor: OpenAI client initialized successfully');
-  } else {
-    console.error('FileProcessor: OpenAI API key is missing or not configured properly');
-  }
+  embeddingProvider = getEmbeddingProvider();
+  console.log(`FileProcessor: ${embeddingProvider.name} embedding provider initialized successfully`);
 
-  if (process.env.PINECONE_API_KEY && !process.env.PINECONE_API_KEY.includes('your_')) {
-    pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY
-    });
-    
-    if (process.env.PINECONE_INDEX && !process.env.PINECONE_INDEX.includes('your_')) {
-      index = pinecone.index(process.env.PINECONE_INDEX);
-      console.log('FileProcessor: Pinecone client initialized successfully');
-    } else {
-      console.error('FileProcessor: Pinecone index name is missing or not configured properly');
-    }
-  } else {
-    console.error('FileProcessor: Pinecone API key is missing or not configured properly');
-  }
+  vectorStore = getVectorStore();
+  console.log(`FileProcessor: ${vectorStore.backend} vector store initialized successfully`);
+
+  keywordIndex = getKeywordIndex();
 } catch (error) {
   console.error('FileProcessor: Error initializing API clients:', error.message);
 }
 
+// Spreadsheet chunks are kept smaller than free-text chunks so each carries its own header context
+const TABLE_CHUNK_SIZE = 4000;
+
 /**
- * Process PDF files and extract text content
+ * Process PDF files page by page: running headers and footers are stripped, headings detected
+ * and the text chunked with page ranges (see pdfLayout.mjs). Tables such as financial statements
+ * are rebuilt from the text positions into structured tables (see pdfTables.mjs). Scanned pages
+ * without a text layer are read by OCR, and the text quality of every page is returned.
+ * onProgress is passed to applyOcr.
  */
-const processPDF = async (filePath) => {
+const processPDF = async (filePath, onProgress) => {
   try {
     const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    
+    const data = await extractPdfPages(dataBuffer);
+    const { pages: readPages, textQuality } = await applyOcr(filePath, data.pages, { onProgress });
+    if (textQuality.pages.every(page => page.characters === 0)) {
+      throw new Error(`No readable text found. ${textQuality.warnings.join('. ')}`.trim());
+    }
+    textQuality.warnings.forEach(warning => console.warn(`PDF text quality: ${warning}`));
+
+    const { pages, removed } = stripRepeatedLines(readPages);
+    const laidOut = markHeadings(pages);
+    const tables = findPdfTables(laidOut);
+    // Tables are indexed a second time in rows and columns, next to the running text of their page
+    const chunks = [
+      ...chunkPdfPages(laidOut),
+      ...tables.flatMap(table => chunkTable(table, TABLE_CHUNK_SIZE)
+        .map(chunk => ({ ...chunk, pageStart: table.page, pageEnd: table.page })))
+    ];
+
+    const headings = laidOut.flatMap(page => page.lines
+      .filter(line => line.heading)
+      .map(line => ({ text: line.text, page: page.pageNumber })));
+
     return {
       type: 'PDF',
-      text: data.text,
+      text: laidOut
+        .map(page => [`[Page ${page.pageNumber}]`, ...page.lines.map(line => line.text)].join('\n'))
+        .join('\n\n'),
+      chunks,
       pages: data.numpages,
+      tables: tables.length > 0 ? tables : undefined,
+      textQuality,
       metadata: {
         info: data.info,
-        pages: data.numpages
+        pages: data.numpages,
+        headings: headings.slice(0, 50),
+        removedHeadersFooters: removed,
+        tables: tables.map(table => ({
+          name: table.name,
+          page: table.page,
+          statement: table.statement,
+          periods: table.periods,
+          columns: table.columns,
+          lineItems: table.lineItems.length
+        }))
       }
     };
   } catch (error) {
     console.error('Error processing PDF:', error);
-    throw new Error('Failed to process PDF file');
+    throw new Error(`Failed to process PDF file: ${error.message}`);
   }
 };
 
 /**
- * Process Excel files and extract data as text
+ * Process Excel files into structured tables and header-aware chunks
  */
 const processExcel = async (filePath) => {
   try {
-    const workbook = xlsx.readFile(filePath);
-    let extractedText = '';
-    let totalRows = 0;
-    const sheetsData = [];
-
-    workbook.SheetNames.forEach(sheetName => {
-      const worksheet = workbook.Sheets[sheetName];
-      const jsonData = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
-      
-      // Convert to readable text format
-      let sheetText = `\n=== Sheet: ${sheetName} ===\n`;
-      jsonData.forEach((row, index) => {
-        if (row.length > 0) {
-          sheetText += `Row ${index + 1}: ${row.join(' | ')}\n`;
-          totalRows++;
-        }
-      });
-      
-      extractedText += sheetText;
-      sheetsData.push({
-        name: sheetName,
-        rows: jsonData.length,
-        data: jsonData.slice(0, 10) // First 10 rows for preview
-      });
-    });
+    const tables = parseWorkbook(filePath);
+    const chunks = tables.flatMap(table => chunkTable(table, TABLE_CHUNK_SIZE));
+    const totalRows = tables.reduce(
+      (sum, table) => sum + table.rowTypes.filter(type => type === 'data' || type === 'total' || type === 'subtotal').length,
+      0
+    );
 
     return {
       type: 'Excel',
-      text: extractedText,
-      sheets: workbook.SheetNames.length,
+      text: chunks.map(chunk => chunk.text).join('\n\n'),
+      chunks,
+      sheets: tables.length,
       totalRows,
+      tables,
       metadata: {
-        sheets: sheetsData
+        sheets: tables.map(table => ({
+          name: table.name,
+          rows: table.rows.length,
+          headerRow: table.headerRow,
+          columns: table.columns,
+          data: table.rows.slice(0, 10) // First 10 rows for preview
+        }))
       }
     };
   } catch (error) {
@@ -134,59 +163,331 @@ const processExcel = async (filePath) => {
 };
 
 /**
- * Process CSV files and extract data as text
+ * Process CSV files into a structured table and header-aware chunks
  */
 const processCSV = async (filePath) => {
   try {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      let extractedText = '=== CSV Data ===\n';
-      let rowCount = 0;
-
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => {
-          results.push(data);
-          rowCount++;
-          
-          // Convert row to readable text
-          const rowText = Object.entries(data)
-            .map(([key, value]) => `${key}: ${value}`)
-            .join(' | ');
-          extractedText += `Row ${rowCount}: ${rowText}\n`;
-        })
-        .on('end', () => {
-          resolve({
-            type: 'CSV',
-            text: extractedText,
-            rows: rowCount,
-            metadata: {
-              headers: results.length > 0 ? Object.keys(results[0]) : [],
-              sampleData: results.slice(0, 5) // First 5 rows for preview
-            }
-          });
-        })
-        .on('error', (error) => {
-          reject(error);
-        });
-    });
+    const table = await parseCSVTable(filePath);
+    const chunks = chunkTable(table, TABLE_CHUNK_SIZE);
+    const dataRows = table.rows.filter((_, index) => table.rowTypes[index] !== 'header' && table.rowTypes[index] !== 'empty');
+
+    return {
+      type: 'CSV',
+      text: chunks.map(chunk => chunk.text).join('\n\n'),
+      chunks,
+      rows: dataRows.length,
+      tables: [table],
+      metadata: {
+        headers: table.headers,
+        columns: table.columns,
+        sampleData: dataRows.slice(0, 5) // First 5 rows for preview
+      }
+    };
   } catch (error) {
     console.error('Error processing CSV:', error);
     throw new Error('Failed to process CSV file');
   }
 };
 
+// Free text is split into chunks of this many characters
+const TEXT_CHUNK_SIZE = 8000;
+
+const splitText = (text, size = TEXT_CHUNK_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push({ text: text.substring(i, i + size) });
+  }
+  return chunks;
+};
+
+const readTextFile = (filePath) => fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+/**
+ * Render the body of a Word document as text: one line per paragraph, table rows as
+ * "cell | cell" lines. Deleted revisions and field codes are left out.
+ */
+const renderDocx = (element) => {
+  switch (localName(element)) {
+    case 't':
+      return textContent(element);
+    case 'tab':
+      return '\t';
+    case 'br':
+    case 'cr':
+      return '\n';
+    case 'delText':
+    case 'instrText':
+      return '';
+    case 'p':
+      return `${childElements(element).map(renderDocx).join('')}\n`;
+    case 'tr':
+      return `${childElements(element)
+        .filter(cell => localName(cell) === 'tc')
+        .map(cell => childElements(cell).map(renderDocx).join('').trim().replace(/\s*\n\s*/g, ' '))
+        .join(' | ')}\n`;
+    case 'tbl':
+      return `${childElements(element).map(renderDocx).join('')}\n`;
+    default:
+      return childElements(element).map(renderDocx).join('');
+  }
+};
+
+/**
+ * Process Word (.docx) documents
+ */
+const processDocx = async (filePath) => {
+  try {
+    const parts = readZipEntries(filePath, ['word/document.xml', 'docProps/core.xml']);
+    if (!parts.has('word/document.xml')) {
+      throw new Error('word/document.xml is missing');
+    }
+
+    const body = parseXml(parts.get('word/document.xml').toString('utf8'));
+    const text = renderDocx(body).replace(/\n{3,}/g, '\n\n').trim();
+
+    // Title, author and dates from the document properties, when present
+    const properties = {};
+    if (parts.has('docProps/core.xml')) {
+      childElements(parseXml(parts.get('docProps/core.xml').toString('utf8'))).forEach(property => {
+        const value = textContent(property).trim();
+        if (value) properties[localName(property)] = value;
+      });
+    }
+
+    const paragraphs = text.split('\n').filter(line => line.trim()).length;
+
+    return {
+      type: 'Word',
+      text,
+      paragraphs,
+      metadata: {
+        title: properties.title || null,
+        author: properties.creator || null,
+        created: properties.created || null,
+        modified: properties.modified || null,
+        paragraphs
+      }
+    };
+  } catch (error) {
+    console.error('Error processing Word document:', error);
+    throw new Error('Failed to process Word document');
+  }
+};
+
+/**
+ * Process plain text and Markdown files
+ */
+const processText = async (filePath, ext) => {
+  try {
+    const text = readTextFile(filePath);
+    const lines = text.split(/\r?\n/).length;
+
+    return {
+      type: ext === '.md' ? 'Markdown' : 'Text',
+      text,
+      lines,
+      metadata: {
+        lines,
+        characters: text.length
+      }
+    };
+  } catch (error) {
+    console.error('Error processing text file:', error);
+    throw new Error('Failed to process text file');
+  }
+};
+
 /**
- * Main file processor that routes to appropriate handler
+ * Turn the record sets and loose fields of a JSON or XML export into tables and chunks,
+ * so ledger exports are searched and classified like spreadsheets
  */
-export const processFile = async (filePath, originalName) => {
+const structuredDataResult = (type, recordSets, fields) => {
+  const tables = recordSets.map(({ name, records }) => recordsToTable(name, records));
+
+  const fieldChunks = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) fieldChunks.push({ text: ['=== Fields ===', ...current].join('\n'), sheet: 'Fields' });
+    current = [];
+  };
+  fields.forEach(({ path: fieldPath, value }) => {
+    const line = `${fieldPath}: ${value}`;
+    if (current.join('\n').length + line.length > TABLE_CHUNK_SIZE) flush();
+    current.push(line);
+  });
+  flush();
+
+  const chunks = [...fieldChunks, ...tables.flatMap(table => chunkTable(table, TABLE_CHUNK_SIZE))];
+
+  return {
+    type,
+    text: chunks.map(chunk => chunk.text).join('\n\n'),
+    chunks,
+    records: recordSets.reduce((sum, { records }) => sum + records.length, 0),
+    tables: tables.length > 0 ? tables : undefined,
+    metadata: {
+      tables: tables.map(table => ({
+        name: table.name,
+        rows: table.rows.length - 1,
+        columns: table.columns,
+        data: table.rows.slice(1, 6) // First 5 records for preview
+      })),
+      fields: fields.length
+    }
+  };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects become dotted columns; nested arrays are kept as JSON text
+const flattenRecord = (record, prefix = '') =>
+  Object.entries(record).reduce((flat, [key, value]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) return { ...flat, ...flattenRecord(value, column) };
+    return { ...flat, [column]: Array.isArray(value) ? JSON.stringify(value) : value };
+  }, {});
+
+/**
+ * Arrays of objects anywhere in a JSON document become record sets; other values are fields
+ */
+const findJsonRecordSets = (data) => {
+  const recordSets = [];
+  const fields = [];
+
+  const visit = (value, valuePath) => {
+    if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(isPlainObject)) {
+        recordSets.push({ name: valuePath || 'Records', records: value.map(record => flattenRecord(record)) });
+      } else {
+        value.forEach((item, index) => visit(item, `${valuePath}[${index}]`));
+      }
+    } else if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, item]) => visit(item, valuePath ? `${valuePath}.${key}` : key));
+    } else if (value !== null && value !== '') {
+      fields.push({ path: valuePath || 'value', value });
+    }
+  };
+
+  visit(data, '');
+  return { recordSets, fields };
+};
+
+/**
+ * Process JSON exports
+ */
+const processJSON = async (filePath) => {
+  try {
+    const { recordSets, fields } = findJsonRecordSets(JSON.parse(readTextFile(filePath)));
+    return structuredDataResult('JSON', recordSets, fields);
+  } catch (error) {
+    console.error('Error processing JSON:', error);
+    throw new Error('Failed to process JSON file');
+  }
+};
+
+/**
+ * Process XML exports
+ */
+const processXML = async (filePath) => {
+  try {
+    const { recordSets, fields } = findXmlRecordSets(parseXml(readTextFile(filePath)));
+    return structuredDataResult('XML', recordSets, fields);
+  } catch (error) {
+    console.error('Error processing XML:', error);
+    throw new Error('Failed to process XML file');
+  }
+};
+
+// E-mails attached to e-mails are followed this many levels deep
+const MAX_EMAIL_DEPTH = 3;
+
+/**
+ * Process e-mails (.eml): the headers and body, then every attachment through processFile.
+ * Attachment chunks and tables are labelled with the attachment name; attachments that cannot
+ * be processed are listed in the metadata with the reason.
+ */
+const processEmail = async (filePath, depth, onProgress) => {
+  let email;
+  try {
+    email = parseEmail(fs.readFileSync(filePath));
+  } catch (error) {
+    console.error('Error processing e-mail:', error);
+    throw new Error('Failed to process e-mail file');
+  }
+
+  const { from, to, cc, date, subject } = email.headers;
+  const headerText = [['From', from], ['To', to], ['Cc', cc], ['Date', date], ['Subject', subject]]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
+
+  const chunks = splitText(`${headerText}\n\n${email.text}`.trim());
+  const tables = [];
+  const attachments = [];
+  const warnings = [];
+
+  for (const attachment of email.attachments) {
+    const summary = { fileName: attachment.fileName, contentType: attachment.contentType, size: attachment.data.length };
+    if (depth >= MAX_EMAIL_DEPTH) {
+      attachments.push({ ...summary, skipped: 'Attachments nested too deeply' });
+      continue;
+    }
+
+    // Attachments are processed from a temporary file next to the e-mail
+    const attachmentPath = path.join(path.dirname(filePath), crypto.randomBytes(16).toString('hex'));
+    try {
+      fs.writeFileSync(attachmentPath, attachment.data);
+      const processed = await processFile(attachmentPath, attachment.fileName, { depth: depth + 1, onProgress });
+
+      const label = `=== Attachment: ${attachment.fileName} ===`;
+      chunks.push(...(processed.chunks || splitText(processed.text || '')).map(chunk => ({
+        ...chunk,
+        text: `${label}\n${chunk.text}`,
+        attachment: attachment.fileName
+      })));
+      (processed.tables || []).forEach(table => tables.push({ ...table, name: `${attachment.fileName} / ${table.name}` }));
+      (processed.textQuality?.warnings || []).forEach(warning => warnings.push(`${attachment.fileName}: ${warning}`));
+      attachments.push({ ...summary, type: processed.type });
+    } catch (error) {
+      console.warn(`Skipping e-mail attachment ${attachment.fileName}:`, error.message);
+      attachments.push({ ...summary, skipped: error.message });
+    } finally {
+      cleanupFile(attachmentPath);
+    }
+  }
+
+  return {
+    type: 'Email',
+    text: chunks.map(chunk => chunk.text).join('\n\n'),
+    chunks,
+    attachments: attachments.filter(attachment => !attachment.skipped).length,
+    tables: tables.length > 0 ? tables : undefined,
+    // Text quality warnings of scanned PDF attachments
+    textQuality: warnings.length > 0 ? { warnings } : undefined,
+    metadata: {
+      from,
+      to,
+      cc,
+      date,
+      subject,
+      attachments
+    }
+  };
+};
+
+/**
+ * Main file processor that routes to appropriate handler.
+ * depth counts the e-mails this file was attached to. onProgress, if given, is called as scanned
+ * PDF pages are read by OCR.
+ */
+export const processFile = async (filePath, originalName, { depth = 0, onProgress = async () => {} } = {}) => {
   const ext = path.extname(originalName).toLowerCase();
   
   let processedData;
   
   switch (ext) {
     case '.pdf':
-      processedData = await processPDF(filePath);
+      processedData = await processPDF(filePath, onProgress);
       break;
     case '.csv':
       processedData = await processCSV(filePath);
@@ -195,6 +496,22 @@ export const processFile = async (filePath, originalName) => {
     case '.xls':
       processedData = await processExcel(filePath);
       break;
+    case '.docx':
+      processedData = await processDocx(filePath);
+      break;
+    case '.txt':
+    case '.md':
+      processedData = await processText(filePath, ext);
+      break;
+    case '.eml':
+      processedData = await processEmail(filePath, depth, onProgress);
+      break;
+    case '.json':
+      processedData = await processJSON(filePath);
+      break;
+    case '.xml':
+      processedData = await processXML(filePath);
+      break;
     default:
       throw new Error(`Unsupported file type: ${ext}`);
   }
@@ -207,64 +524,79 @@ export const processFile = async (filePath, originalName) => {
   return processedData;
 };
 
+// Chunks embedded between progress reports
+const PROGRESS_BATCH_SIZE = 20;
+
 /**
- * Create embeddings for text chunks and store in Pinecone
+ * Create embeddings for text chunks and store them in the vector store.
+ * onProgress, if given, is called with { status, processedChunks, totalChunks } as chunks are
+ * embedded and again before they are indexed.
  */
-export const createDocumentEmbeddings = async (processedData, conversationId) => {
+export const createDocumentEmbeddings = async (processedData, conversationId, { onProgress = async () => {} } = {}) => {
   try {
     // Check if required clients are initialized
-    if (!openai) {
-      throw new Error('OpenAI client is not initialized. Please check your OPENAI_API_KEY in the .env file.');
+    if (!embeddingProvider) {
+      throw new Error('Embedding provider is not initialized. Please check EMBEDDING_PROVIDER and its API key in the .env file.');
     }
     
-    if (!index) {
-      throw new Error('Pinecone client is not initialized. Please check your PINECONE_API_KEY and PINECONE_INDEX in the .env file.');
+    if (!vectorStore) {
+      throw new Error('Vector store is not initialized. Please check VECTOR_STORE and its settings in the .env file.');
     }
     
     const text = processedData.text;
     
-    // Split text into chunks (max 8000 characters per chunk for better processing)
-    const chunkSize = 8000;
-    const chunks = [];
-    
-    for (let i = 0; i < text.length; i += chunkSize) {
-      chunks.push(text.substring(i, i + chunkSize));
+    // Spreadsheets, structured exports and e-mails arrive pre-chunked; other text is split every 8000 characters.
+    // Arabic is normalised so it embeds and matches the same whatever program wrote the file.
+    const chunks = (processedData.chunks || splitText(text)).map(chunk => ({ ...chunk, text: normaliseArabic(chunk.text) }));
+
+    // Stable chunk ids: the same file in the same conversation always maps to the same vectors
+    const documentHash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+
+    // Embed every chunk in batched, cached calls, reporting progress between batches
+    const embeddings = [];
+    await onProgress({ status: 'embedding', processedChunks: 0, totalChunks: chunks.length });
+    for (let i = 0; i < chunks.length; i += PROGRESS_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + PROGRESS_BATCH_SIZE);
+      embeddings.push(...await embedTexts(batch.map(chunk => chunk.text)));
+      await onProgress({ status: 'embedding', processedChunks: embeddings.length, totalChunks: chunks.length });
     }
 
     const vectors = [];
     
     for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
+      const { text: chunkText, ...location } = chunks[i];
+      const language = detectLanguage(chunkText);
       
-      // Create embedding
-      const embeddingResponse = await openai.embeddings.create({
-        model: "text-embedding-ada-002",
-        input: chunk,
-      });
-      
-      const embedding = embeddingResponse.data[0].embedding;
-      
-      // Create unique ID for this chunk
-      const vectorId = `conversation_${conversationId}_${processedData.originalName}_chunk_${i}_${Date.now()}`;
+      const vectorId = `conversation_${conversationId}_${documentHash}_chunk_${i}`;
       
       vectors.push({
         id: vectorId,
-        values: embedding,
+        values: embeddings[i],
         metadata: {
           conversationId,
           fileName: processedData.originalName,
           fileType: processedData.type,
+          documentHash,
           chunkIndex: i,
           totalChunks: chunks.length,
-          text: chunk,
-          processedAt: processedData.processedAt
+          text: chunkText,
+          processedAt: processedData.processedAt,
+          ...(language ? { language } : {}),
+          ...location
         }
       });
     }
 
-    // Upsert vectors to Pinecone
     if (vectors.length > 0) {
-      await index.upsert(vectors);
+      await onProgress({ status: 'indexing' });
+      await vectorStore.upsert(vectors);
+
+      // Vector search still works without the keyword index, so a failure here is not fatal
+      try {
+        await keywordIndex.upsert(vectors.map(({ id, metadata }) => ({ id, text: metadata.text, metadata })));
+      } catch (error) {
+        console.warn('Could not add document chunks to the keyword index:', error.message);
+      }
     }
 
     return {
@@ -287,10 +619,87 @@ export const createDocumentEmbeddings = async (processedData, conversationId) =>
   }
 };
 
+// Default retrieval knobs; requests may override them (see resolveRetrievalOptions)
+const DEFAULT_KEYWORD_WEIGHT = 0.5;
+const DEFAULT_TOP_K = 3;
+const DEFAULT_MIN_SCORE = 0.3;
+const MAX_TOP_K = 20;
+
+/**
+ * Validate the per-request retrieval knobs:
+ *   keywordWeight       0 (vector only) to 1 (keyword only); vector results get 1 - keywordWeight
+ *   knowledgeBaseTopK   how many knowledge base chunks to return (0 skips the knowledge base)
+ *   documentTopK        how many uploaded document chunks to return (0 skips user documents)
+ *   minScore            minimum reranker relevance, 0 to 1, for a chunk to reach the model
+ */
+export const resolveRetrievalOptions = (options = {}) => {
+  const envWeight = Number(process.env.HYBRID_KEYWORD_WEIGHT);
+  const envMinScore = Number(process.env.RERANK_MIN_SCORE);
+  const resolved = {
+    keywordWeight: process.env.HYBRID_KEYWORD_WEIGHT && envWeight >= 0 && envWeight <= 1 ? envWeight : DEFAULT_KEYWORD_WEIGHT,
+    knowledgeBaseTopK: DEFAULT_TOP_K,
+    documentTopK: DEFAULT_TOP_K,
+    minScore: process.env.RERANK_MIN_SCORE && envMinScore >= 0 && envMinScore <= 1 ? envMinScore : DEFAULT_MIN_SCORE
+  };
+
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Invalid retrieval option: retrieval must be an object');
+  }
+
+  ['keywordWeight', 'minScore'].forEach(key => {
+    if (options[key] === undefined) return;
+    const value = Number(options[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      throw new Error(`Invalid retrieval option: ${key} must be between 0 and 1`);
+    }
+    resolved[key] = value;
+  });
+
+  ['knowledgeBaseTopK', 'documentTopK'].forEach(key => {
+    if (options[key] === undefined) return;
+    const value = Number(options[key]);
+    if (!Number.isInteger(value) || value < 0 || value > MAX_TOP_K) {
+      throw new Error(`Invalid retrieval option: ${key} must be a whole number from 0 to ${MAX_TOP_K}`);
+    }
+    resolved[key] = value;
+  });
+
+  return resolved;
+};
+
+/**
+ * Run vector and keyword search over the same filter and fuse them with reciprocal rank fusion.
+ * Each side fetches a wider candidate pool than topK so fusion has something to work with.
+ * If the keyword index is unavailable the vector results are returned on their own.
+ */
+const hybridSearch = async (query, { topK, filter, keywordWeight = resolveRetrievalOptions().keywordWeight }) => {
+  const candidates = Math.max(topK * 4, 20);
+  const vectorWeight = 1 - keywordWeight;
+
+  const [vectorMatches, keywordMatches] = await Promise.all([
+    vectorWeight > 0
+      ? embedText(query).then(vector => vectorStore.query({ vector, topK: candidates, filter })).then(response => response.matches)
+      : [],
+    keywordWeight > 0
+      ? keywordIndex.search(query, { topK: candidates, filter })
+        .then(response => response.matches)
+        .catch(error => {
+          console.warn('Keyword search failed, using vector results only:', error.message);
+          return [];
+        })
+      : []
+  ]);
+
+  return reciprocalRankFusion([
+    { name: 'vector', weight: vectorWeight, matches: vectorMatches },
+    { name: 'keyword', weight: keywordWeight, matches: keywordMatches }
+  ]).slice(0, topK);
+};
+
 /**
  * Search for relevant document chunks based on query
  */
-export const searchDocumentChunks = async (query, conversationId, topK = 5) => {
+export const searchDocumentChunks = async (query, conversationId, topK = 5, { keywordWeight } = {}) => {
   try {
     // console.log('=== DOCUMENT SEARCH DEBUG ===');
     // console.log('Searching documents with:', {
@@ -300,37 +709,39 @@ export const searchDocumentChunks = async (query, conversationId, topK = 5) => {
     //   topK
     // });
 
-    // Create embedding for the query
-    const embeddingResponse = await openai.embeddings.create({
-      model: "text-embedding-ada-002",
-      input: query,
-    });
-    
-    const queryEmbedding = embeddingResponse.data[0].embedding;
-    
-    // Search in Pinecone with conversation filter
-    const searchResponse = await index.query({
-      vector: queryEmbedding,
+    if (topK === 0) return [];
+
+    // Search vectors and keywords with the conversation filter
+    const matches = await hybridSearch(query, {
       topK,
-      includeMetadata: true,
       filter: {
         conversationId: { $eq: conversationId }
-      }
+      },
+      keywordWeight
     });
 
     // Keep minimal logging for monitoring
     console.log('Document search results:', {
-      totalMatches: searchResponse.matches.length,
+      totalMatches: matches.length,
       conversationId,
-      matchingFiles: searchResponse.matches.map(m => m.metadata?.fileName).filter(Boolean)
+      matchingFiles: matches.map(m => m.metadata?.fileName).filter(Boolean)
     });
 
-    return searchResponse.matches.map(match => ({
+    return matches.map(match => ({
+      id: match.id,
       score: match.score,
+      vectorScore: match.vectorScore,
+      keywordScore: match.keywordScore,
       fileName: match.metadata.fileName,
       fileType: match.metadata.fileType,
       text: match.metadata.text,
-      chunkIndex: match.metadata.chunkIndex
+      chunkIndex: match.metadata.chunkIndex,
+      sheet: match.metadata.sheet,
+      rows: match.metadata.rows,
+      pageStart: match.metadata.pageStart,
+      pageEnd: match.metadata.pageEnd,
+      section: match.metadata.section,
+      language: match.metadata.language
     }));
   } catch (error) {
     console.error('Error searching document chunks:', error);
@@ -338,6 +749,64 @@ export const searchDocumentChunks = async (query, conversationId, topK = 5) => {
   }
 };
 
+/**
+ * Remove a document's chunks from the vector store and the keyword index
+ */
+export const deleteDocumentVectors = async (vectorIds) => {
+  try {
+    await vectorStore.deleteByIds(vectorIds);
+    await keywordIndex.deleteByIds(vectorIds);
+  } catch (error) {
+    console.error('Error deleting document vectors:', error);
+    throw new Error(`Failed to delete document vectors: ${error.message}`);
+  }
+};
+
+/**
+ * Point a document's chunks at its new file name so citations show it
+ */
+export const renameDocumentVectors = async (vectorIds, fileName) => {
+  try {
+    await vectorStore.updateMetadata(vectorIds, { fileName });
+    await keywordIndex.updateMetadata(vectorIds, { fileName });
+  } catch (error) {
+    console.error('Error renaming document vectors:', error);
+    throw new Error(`Failed to rename document vectors: ${error.message}`);
+  }
+};
+
+/**
+ * SHA-256 of an uploaded file, used to spot the same file uploaded twice
+ */
+export const hashFile = (filePath) =>
+  crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+/**
+ * Search the shared knowledge base (legislation and guidance), optionally narrowed by
+ * instrument filters such as { instrumentTypes: ['MD'], issuedAfter: '2024-01-01' } and by a
+ * resolved asOf date or tax period. Returns fused vector and keyword matches ({ id, score, metadata });
+ * invalid filters throw before any search is made.
+ */
+export const searchKnowledgeBase = async (query, { topK = 3, filters = {}, asOf = null, keywordWeight } = {}) => {
+  const filter = buildKnowledgeBaseFilter(filters, asOf);
+  if (topK === 0) return [];
+
+  try {
+    const matches = await hybridSearch(query, { topK, filter, keywordWeight });
+
+    console.log('Knowledge base search results:', {
+      totalMatches: matches.length,
+      filter: JSON.stringify(filter),
+      instruments: matches.map(m => m.metadata?.instrumentId).filter(Boolean)
+    });
+
+    return matches;
+  } catch (error) {
+    console.error('Error searching knowledge base:', error);
+    throw new Error('Failed to search knowledge base');
+  }
+};
+
 /**
  * Clean up temporary files
  */
@@ -0,0 +1,89 @@
+// geminiProvider.cjs
+// Google Gemini adapter for the provider interface (see llmProvider.cjs).
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { chatDefaults, judgeRelevance } = require('./llmProvider.cjs');
+
+/**
+ * Convert OpenAI-style messages to Gemini contents.
+ * Gemini has no system role and expects user and model turns to alternate, so the system
+ * prompt is folded into the first user turn and consecutive turns of one role are merged.
+ */
+const toGeminiContents = (messages) => {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+  const contents = [];
+
+  messages
+    .filter(message => message.role !== 'system')
+    .forEach(message => {
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts[0].text += `\n\n${message.content}`;
+      } else {
+        contents.push({ role, parts: [{ text: message.content }] });
+      }
+    });
+
+  if (system) {
+    if (contents[0]?.role === 'user') {
+      contents[0].parts[0].text = `${system}\n\n${contents[0].parts[0].text}`;
+    } else {
+      contents.unshift({ role: 'user', parts: [{ text: system }] });
+    }
+  }
+
+  return contents;
+};
+
+function createGeminiProvider({ chatModel, embeddingModel }) {
+  const apiKey = process.env.GOOGLE_API_KEY;
+  if (!apiKey || apiKey.includes('your_')) {
+    throw new Error('Gemini is not configured. Please check your GOOGLE_API_KEY in the .env file.');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const request = (messages, temperature, maxTokens) => ({
+    contents: toGeminiContents(messages),
+    generationConfig: { temperature, maxOutputTokens: maxTokens }
+  });
+
+  const complete = async ({ messages, temperature = chatDefaults().temperature, maxTokens = chatDefaults().maxTokens }) => {
+    const model = genAI.getGenerativeModel({ model: chatModel });
+    const result = await model.generateContent(request(messages, temperature, maxTokens));
+    return result.response.text();
+  };
+
+  return {
+    name: 'gemini',
+    chatModel,
+    embeddingModel,
+
+    async *streamChat({ messages, temperature = chatDefaults().temperature, maxTokens = chatDefaults().maxTokens }) {
+      const model = genAI.getGenerativeModel({ model: chatModel });
+      const result = await model.generateContentStream(request(messages, temperature, maxTokens));
+
+      for await (const chunk of result.stream) {
+        const content = chunk.text();
+        if (content) yield content;
+      }
+    },
+
+    complete,
+
+    rerank({ query, documents }) {
+      return judgeRelevance(complete, query, documents);
+    },
+
+    async embed(texts) {
+      const model = genAI.getGenerativeModel({ model: embeddingModel });
+      const response = await model.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+      });
+      return response.embeddings.map(embedding => embedding.values);
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,235 @@
+// keywordIndex.cjs
+// Keyword index over every chunk, kept next to the vector store so retrieval can fuse exact-term
+// matches ("Qualifying Free Zone Person", "Article 33", "de minimis") with vector similarity.
+// Backed by Postgres full-text search on the document_chunks table. Interface:
+//   upsert(chunks)                         chunks: [{ id, text, metadata }]
+//   search(query, { topK, filter })        -> { matches: [{ id, score, metadata }] }
+//   deleteByIds(ids)
+//   deleteByFilter(filter, { prefix })     -> number of chunks deleted
+//   listByPrefix(prefix)                   -> [id, ...]
+//   updateMetadata(ids, patch)             merges patch into the metadata of each chunk
+//   close()                                releases connections the adapter opened
+// Chunk ids are the vector ids and filters use the same Pinecone syntax as the vector store.
+//
+// KEYWORD_INDEX selects the backend: postgres (default) or none to search by vector only.
+
+const { Pool } = require('pg');
+const { compileFilter } = require('./pgvectorStore.cjs');
+
+const TEXT_SEARCH_CONFIG = 'english';
+
+// Arabic spelling varies between publications: hamza forms of alef, alef maqsura for yaa, taa
+// marbuta for haa, and optional diacritics and tatweel. Both the indexed text and the query are
+// folded to one spelling so either matches the other.
+function foldArabic(expression) {
+  return `regexp_replace(translate(${expression}, '\u0623\u0625\u0622\u0671\u0649\u0629', '\u0627\u0627\u0627\u0627\u064A\u0647'), '[\u064B-\u065F\u0670\u0640]', '', 'g')`;
+}
+
+function createPostgresKeywordIndex({ pool } = {}) {
+  const db = pool || new Pool({
+    user: process.env.PGUSER,
+    password: process.env.POSTGRES_PASSWORD,
+    host: process.env.PGHOST,
+    port: process.env.PGPORT,
+    database: process.env.PGDATABASE,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  // Create the table on first use
+  let schemaReady = null;
+  const ensureSchema = () => {
+    schemaReady ||= (async () => {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS document_chunks (
+          id TEXT PRIMARY KEY,
+          content TEXT NOT NULL,
+          metadata JSONB NOT NULL DEFAULT '{}',
+          search_vector tsvector GENERATED ALWAYS AS (to_tsvector('${TEXT_SEARCH_CONFIG}', ${foldArabic('content')})) STORED,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      // Tables created before Arabic folding index the raw text; rebuild the search column
+      const { rows } = await db.query(`
+        SELECT pg_get_expr(d.adbin, d.adrelid) AS expression
+        FROM pg_attrdef d
+        JOIN pg_attribute a ON a.attrelid = d.adrelid AND a.attnum = d.adnum
+        WHERE d.adrelid = 'document_chunks'::regclass AND a.attname = 'search_vector'
+      `);
+      if (rows.length > 0 && !rows[0].expression.includes('translate')) {
+        console.log('Rebuilding keyword index search column with Arabic folding');
+        await db.query('ALTER TABLE document_chunks DROP COLUMN search_vector');
+        await db.query(`ALTER TABLE document_chunks ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (to_tsvector('${TEXT_SEARCH_CONFIG}', ${foldArabic('content')})) STORED`);
+      }
+      await db.query('CREATE INDEX IF NOT EXISTS idx_document_chunks_search ON document_chunks USING gin (search_vector)');
+      await db.query('CREATE INDEX IF NOT EXISTS idx_document_chunks_metadata ON document_chunks USING gin (metadata)');
+    })().catch(error => {
+      schemaReady = null;
+      throw new Error(`Failed to prepare keyword index schema: ${error.message}`);
+    });
+    return schemaReady;
+  };
+
+  return {
+    backend: 'postgres',
+
+    async upsert(chunks) {
+      if (chunks.length === 0) return;
+      await ensureSchema();
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+        for (const { id, text, metadata = {} } of chunks) {
+          // The text lives in its own column rather than twice in the row
+          const { text: _text, ...rest } = metadata;
+          await client.query(
+            `INSERT INTO document_chunks (id, content, metadata)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (id)
+             DO UPDATE SET content = EXCLUDED.content, metadata = EXCLUDED.metadata, updated_at = CURRENT_TIMESTAMP`,
+            [id, text || '', rest]
+          );
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Any query term may match; cover density ranking favours chunks where the terms sit together
+    async search(query, { topK = 10, filter } = {}) {
+      await ensureSchema();
+      const params = [query, topK];
+      const where = compileFilter(filter, params);
+      const result = await db.query(
+        `WITH q AS (
+           SELECT NULLIF(replace(plainto_tsquery('${TEXT_SEARCH_CONFIG}', ${foldArabic('$1')})::text, ' & ', ' | '), '')::tsquery AS query
+         )
+         SELECT id, content, metadata, ts_rank_cd(search_vector, q.query, 1) AS score
+         FROM document_chunks, q
+         WHERE search_vector @@ q.query AND ${where}
+         ORDER BY score DESC
+         LIMIT $2`,
+        params
+      );
+      return {
+        matches: result.rows.map(row => ({
+          id: row.id,
+          score: Number(row.score),
+          metadata: { ...row.metadata, text: row.content }
+        }))
+      };
+    },
+
+    async deleteByIds(ids) {
+      if (ids.length === 0) return;
+      await ensureSchema();
+      await db.query('DELETE FROM document_chunks WHERE id = ANY($1::text[])', [ids]);
+    },
+
+    async deleteByFilter(filter, { prefix = '' } = {}) {
+      await ensureSchema();
+      const params = [];
+      const where = compileFilter(filter, params);
+      params.push(prefix);
+      const result = await db.query(`DELETE FROM document_chunks WHERE ${where} AND starts_with(id, $${params.length})`, params);
+      return result.rowCount;
+    },
+
+    async listByPrefix(prefix = '') {
+      await ensureSchema();
+      const result = await db.query('SELECT id FROM document_chunks WHERE starts_with(id, $1) ORDER BY id', [prefix]);
+      return result.rows.map(row => row.id);
+    },
+
+    async updateMetadata(ids, patch) {
+      if (ids.length === 0) return;
+      await ensureSchema();
+      await db.query(
+        'UPDATE document_chunks SET metadata = metadata || $2::jsonb, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1::text[])',
+        [ids, patch]
+      );
+    },
+
+    // Ends the pool only when the adapter opened it
+    async close() {
+      if (!pool) await db.end();
+    }
+  };
+}
+
+// Stand-in when keyword search is switched off: stores nothing and finds nothing
+function createDisabledKeywordIndex() {
+  return {
+    backend: 'none',
+    async upsert() {},
+    async search() {
+      return { matches: [] };
+    },
+    async deleteByIds() {},
+    async deleteByFilter() {
+      return 0;
+    },
+    async listByPrefix() {
+      return [];
+    },
+    async updateMetadata() {},
+    async close() {}
+  };
+}
+
+/**
+ * Create a keyword index for the given backend
+ */
+function createKeywordIndex(backend = process.env.KEYWORD_INDEX || 'postgres', options = {}) {
+  switch (backend) {
+    case 'postgres':
+      return createPostgresKeywordIndex(options);
+    case 'none':
+      return createDisabledKeywordIndex();
+    default:
+      throw new Error(`Unknown KEYWORD_INDEX backend: ${backend}. Use postgres or none.`);
+  }
+}
+
+// One index per process so every module shares the same pool
+let sharedIndex = null;
+
+function getKeywordIndex() {
+  if (!sharedIndex) {
+    sharedIndex = createKeywordIndex();
+    console.log(`Keyword index: ${sharedIndex.backend}`);
+  }
+  return sharedIndex;
+}
+
+/**
+ * Fuse ranked result lists with weighted reciprocal rank fusion.
+ * rankings: [{ name, weight, matches }]. Each match scores weight / (k + rank) per list it appears
+ * in; the total is scaled so a chunk ranked first by every list that returned results scores 1.
+ */
+function reciprocalRankFusion(rankings, { k = 60 } = {}) {
+  const fused = new Map();
+  const maxScore = rankings
+    .filter(({ matches }) => matches.length > 0)
+    .reduce((sum, { weight }) => sum + weight / (k + 1), 0);
+
+  rankings.forEach(({ name, weight, matches }) => {
+    if (!weight) return;
+    matches.forEach((match, index) => {
+      const entry = fused.get(match.id) || { id: match.id, score: 0, metadata: match.metadata, ranks: {} };
+      entry.score += weight / (k + index + 1);
+      entry.ranks[name] = index + 1;
+      entry[`${name}Score`] = match.score;
+      fused.set(match.id, entry);
+    });
+  });
+
+  return [...fused.values()]
+    .map(entry => ({ ...entry, score: maxScore > 0 ? entry.score / maxScore : 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { createKeywordIndex, getKeywordIndex, reciprocalRankFusion };
@@ -0,0 +1,209 @@
+// legislationChunker.cjs
+// Article-aware chunking for UAE legislation (Federal Decree-Laws, Cabinet and Ministerial Decisions).
+// Each Article is kept as a unit; long Articles are split on clause boundaries, and every chunk
+// records the chapter, article and clause it came from.
+
+const WORD_NUMBERS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70
+};
+
+const CHAPTER_PATTERN = /^chapter\s+(\d+|[a-z]+)\b\s*[:\-–.]?\s*(.*)$/i;
+// "Article (20)", "Article 20" or "Article Twenty-One", followed by at most a short capitalised title
+const ARTICLE_PATTERN = /^[Aa]rticle\s*(\(\s*\d+\s*\)|\d+|[A-Z][a-z]+(?:-[A-Za-z][a-z]+)?)\s*[:\-–.]?\s*((?:[A-Z][^.]{0,99})?)$/;
+const CLAUSE_PATTERN = /^(\d{1,2})\.\s+\S/;
+const SUBCLAUSE_PATTERN = /^\(?([a-z])[.)]\s+\S/;
+const DEFINITION_PATTERN = /^([A-Z][A-Za-z0-9'’\-() ]{1,80}):\s+\S/;
+
+// "(20)", "20", "Three" or "Twenty-One" to "20", "3", "21"; null when it is not a number
+const normaliseNumber = (value) => {
+  const digits = value.replace(/[()\s]/g, '');
+  if (/^\d+$/.test(digits)) return String(Number(digits));
+  const words = value.toLowerCase().split('-');
+  if (!words.every(word => WORD_NUMBERS[word])) return null;
+  return String(words.reduce((sum, word) => sum + WORD_NUMBERS[word], 0));
+};
+
+// Split text into chunks with overlap
+function splitIntoChunks(text, maxChunkSize, overlap) {
+  const chunks = [];
+  let startIndex = 0;
+
+  while (startIndex < text.length) {
+    let endIndex = startIndex + maxChunkSize;
+
+    // Try to find a good breaking point (end of sentence)
+    if (endIndex < text.length) {
+      const nextPeriod = text.indexOf('.', endIndex - 50);
+      if (nextPeriod !== -1 && nextPeriod < endIndex + 50) {
+        endIndex = nextPeriod + 1;
+      }
+    }
+
+    chunks.push(text.slice(startIndex, endIndex).trim());
+    if (endIndex >= text.length) break;
+    startIndex = endIndex - overlap;
+  }
+
+  return chunks.filter(chunk => chunk.length > 0); // Remove empty chunks
+}
+
+const joinLines = (lines) => lines.join('\n').replace(/[ \t]+/g, ' ').trim();
+
+// Walk the lines of a document and group them into Articles under their Chapters
+function parseArticles(lines) {
+  const articles = [];
+  let chapter = null;
+  let current = { chapter: null, article: null, title: null, lines: [] };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const chapterMatch = line.match(CHAPTER_PATTERN);
+    if (chapterMatch && line.length < 120 && normaliseNumber(chapterMatch[1])) {
+      chapter = normaliseNumber(chapterMatch[1]);
+      return;
+    }
+
+    const articleMatch = line.match(ARTICLE_PATTERN);
+    const articleNumber = articleMatch && normaliseNumber(articleMatch[1]);
+    if (articleNumber) {
+      articles.push(current);
+      // Titles often sit on the line after "Article (20)"
+      let title = articleMatch[2] ? articleMatch[2].trim() : '';
+      const nextLine = (lines[index + 1] || '').trim();
+      if (!title && nextLine && nextLine.length < 100 && !CLAUSE_PATTERN.test(nextLine)) {
+        title = nextLine;
+      }
+      current = { chapter, article: articleNumber, title: title || null, lines: [line] };
+      return;
+    }
+
+    current.lines.push(line);
+  });
+
+  articles.push(current);
+  return articles.filter(article => article.lines.length > 0);
+}
+
+// Group an Article's lines into clauses ("1.") and sub-clauses ("a.")
+function parseClauses(article) {
+  const units = [];
+  let clause = null;
+  let current = { label: null, lines: [] };
+  const isDefinitions = /definition/i.test(article.title || '');
+
+  article.lines.slice(1).forEach(line => {
+    if (article.title && line === article.title && current.lines.length === 0 && units.length === 0) return;
+
+    const clauseMatch = line.match(CLAUSE_PATTERN);
+    const subMatch = clause && line.match(SUBCLAUSE_PATTERN);
+    const definitionMatch = isDefinitions && line.match(DEFINITION_PATTERN);
+
+    if (clauseMatch || subMatch || definitionMatch) {
+      units.push(current);
+      if (definitionMatch) {
+        current = { label: null, definition: definitionMatch[1].trim(), lines: [line] };
+      } else if (clauseMatch) {
+        clause = clauseMatch[1];
+        current = { label: `(${clause})`, lines: [line] };
+      } else {
+        current = { label: `(${clause})(${subMatch[1]})`, lines: [line] };
+      }
+      return;
+    }
+
+    current.lines.push(line);
+  });
+
+  units.push(current);
+  return units.filter(unit => unit.lines.length > 0);
+}
+
+// Describe the clauses covered by a chunk: "(2)", "(2)(b)" or "(2)-(4)"
+function clauseRange(units) {
+  const labels = units.map(unit => unit.label).filter(Boolean);
+  if (labels.length === 0) return undefined;
+  const first = labels[0];
+  const last = labels[labels.length - 1];
+  if (first === last) return first;
+  const topLevel = (label) => label.match(/^\(\d+\)/)[0];
+  return topLevel(first) === topLevel(last) ? topLevel(first) : `${topLevel(first)}-${topLevel(last)}`;
+}
+
+/**
+ * Chunk legislation on Article and clause boundaries.
+ * Returns null when the text has no Article structure so callers can fall back to plain splitting.
+ */
+function chunkLegislation(text, { maxChunkSize = 4000, overlap = 200 } = {}) {
+  const lines = text.split(/\r?\n/);
+  const articles = parseArticles(lines);
+  const numbered = articles.filter(article => article.article);
+
+  // Guides and manuals quote Articles in prose; real legislation has a run of ascending Article headings
+  const ascending = numbered.filter((article, i) => i > 0 && Number(article.article) > Number(numbered[i - 1].article));
+  if (numbered.length < 3 || ascending.length < (numbered.length - 1) * 0.6) return null;
+
+  const chunks = [];
+  const addChunk = (body, meta) => {
+    const chunk = { text: body };
+    Object.entries(meta).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) chunk[key] = value;
+    });
+    chunks.push(chunk);
+  };
+
+  articles.forEach(article => {
+    const heading = article.article
+      ? `Article ${article.article}${article.title ? ` - ${article.title}` : ''}`
+      : null;
+    const baseMeta = { chapter: article.chapter, article: article.article, articleTitle: article.title };
+    const fullText = joinLines(article.lines);
+
+    if (fullText.length <= maxChunkSize) {
+      addChunk(fullText, baseMeta);
+      return;
+    }
+
+    // Long Article: pack whole clauses into chunks, each repeating the Article heading
+    const units = parseClauses(article);
+    let group = [];
+    let groupLength = 0;
+
+    const flush = () => {
+      if (group.length === 0) return;
+      const body = joinLines(group.flatMap(unit => unit.lines));
+      const definitions = group.map(unit => unit.definition).filter(Boolean);
+      addChunk(heading ? `${heading}\n${body}` : body, {
+        ...baseMeta,
+        clause: clauseRange(group),
+        definition: definitions.length > 0 ? definitions.join('; ') : undefined
+      });
+      group = [];
+      groupLength = 0;
+    };
+
+    units.forEach(unit => {
+      const unitText = joinLines(unit.lines);
+
+      if (unitText.length > maxChunkSize) {
+        flush();
+        splitIntoChunks(unitText, maxChunkSize, overlap).forEach(part => {
+          addChunk(heading ? `${heading}\n${part}` : part, { ...baseMeta, clause: unit.label, definition: unit.definition });
+        });
+        return;
+      }
+
+      if (groupLength + unitText.length > maxChunkSize) flush();
+      group.push(unit);
+      groupLength += unitText.length + 1;
+    });
+    flush();
+  });
+
+  return chunks.filter(chunk => chunk.text.length > 0);
+}
+
+module.exports = { chunkLegislation, splitIntoChunks };
@@ -0,0 +1,142 @@
+// llmProvider.cjs
+// Backend-neutral chat and embedding providers. Every provider implements:
+//   streamChat({ messages, temperature, maxTokens })  -> async iterable of text deltas
+//   complete({ messages, temperature, maxTokens })    -> full response text
+//   embed(texts)                                      -> [[number, ...], ...] in input order
+// messages use the OpenAI shape: [{ role: 'system' | 'user' | 'assistant', content }].
+//
+// LLM_PROVIDER picks the chat provider: openai (default), gemini or stub.
+// EMBEDDING_PROVIDER picks the embedding provider and defaults to LLM_PROVIDER. Changing it
+// changes the vector space, so the knowledge base must be reindexed afterwards.
+// CHAT_MODEL, EMBEDDING_MODEL, CHAT_TEMPERATURE and CHAT_MAX_TOKENS override the defaults.
+//
+// Rerankers implement rerank({ query, documents }) -> [score from 0 to 1, ...] in input order.
+// RERANK_PROVIDER picks one: any chat provider above (an LLM judges each passage, optionally with
+// RERANK_MODEL), cross-encoder (a hosted cross-encoder at RERANK_URL) or none. It defaults to LLM_PROVIDER.
+
+const DEFAULT_MODELS = {
+  openai: { chat: 'gpt-4-turbo', embedding: 'text-embedding-ada-002' },
+  gemini: { chat: 'gemini-pro', embedding: 'embedding-001' },
+  stub: { chat: 'stub-chat', embedding: 'stub-embedding' }
+};
+
+// Read when called rather than at load time, after the environment files have been loaded
+const chatDefaults = () => ({
+  temperature: Number(process.env.CHAT_TEMPERATURE || 0.3), // Low temperature for accuracy in legal/tax responses
+  maxTokens: Number(process.env.CHAT_MAX_TOKENS || 1000)
+});
+
+/**
+ * Create a provider by name with its chat and embedding models
+ */
+function createProvider(name, {
+  chatModel = process.env.CHAT_MODEL,
+  embeddingModel = process.env.EMBEDDING_MODEL
+} = {}) {
+  if (!DEFAULT_MODELS[name]) {
+    throw new Error(`Unknown LLM provider: ${name}. Use openai, gemini or stub.`);
+  }
+
+  const models = {
+    chatModel: chatModel || DEFAULT_MODELS[name].chat,
+    embeddingModel: embeddingModel || DEFAULT_MODELS[name].embedding
+  };
+
+  switch (name) {
+    case 'openai':
+      return require('./openaiProvider.cjs').createOpenAIProvider(models);
+    case 'gemini':
+      return require('./geminiProvider.cjs').createGeminiProvider(models);
+    default:
+      return require('./stubProvider.cjs').createStubProvider(models);
+  }
+}
+
+// One provider of each kind per process
+let chatProvider = null;
+let embeddingProvider = null;
+
+function getChatProvider() {
+  if (!chatProvider) {
+    chatProvider = createProvider(process.env.LLM_PROVIDER || 'openai');
+    console.log(`Chat provider: ${chatProvider.name} (${chatProvider.chatModel})`);
+  }
+  return chatProvider;
+}
+
+function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    const chatName = process.env.LLM_PROVIDER || 'openai';
+    const name = process.env.EMBEDDING_PROVIDER || chatName;
+    // CHAT_MODEL belongs to the chat provider, so a separate embedding provider keeps its default
+    embeddingProvider = name === chatName ? getChatProvider() : createProvider(name, { chatModel: null });
+    console.log(`Embedding provider: ${embeddingProvider.name} (${embeddingProvider.embeddingModel})`);
+  }
+  return embeddingProvider;
+}
+
+// Passages are cut to this length before an LLM judges them
+const JUDGE_PASSAGE_CHARS = 1200;
+
+const JUDGE_PROMPT = `You grade how useful each numbered passage is for answering a UAE tax question.
+Score every passage from 0 (irrelevant) to 10 (directly answers the question). Judge relevance only,
+not whether the law is still current. Reply with JSON only: {"scores": [n, n, ...]} with one score per passage, in order.`;
+
+/**
+ * Score passages against a query by asking a chat model to grade them.
+ * complete is the provider's complete() function; returns scores from 0 to 1 in input order.
+ */
+async function judgeRelevance(complete, query, documents) {
+  const passages = documents
+    .map((document, index) => `[${index + 1}] ${document.slice(0, JUDGE_PASSAGE_CHARS)}`)
+    .join('\n\n');
+
+  const reply = await complete({
+    messages: [
+      { role: 'system', content: JUDGE_PROMPT },
+      { role: 'user', content: `Question:\n${query}\n\nPassages:\n${passages}` }
+    ],
+    temperature: 0,
+    maxTokens: 20 + documents.length * 6
+  });
+
+  const json = (reply.match(/\{[\s\S]*\}/) || [null])[0];
+  const scores = json ? JSON.parse(json).scores : null;
+  if (!Array.isArray(scores) || scores.length !== documents.length) {
+    throw new Error('Reranker returned no usable scores');
+  }
+  return scores.map(score => Math.min(Math.max(Number(score) || 0, 0), 10) / 10);
+}
+
+let rerankProvider;
+
+/**
+ * The configured reranker, or null when RERANK_PROVIDER is none
+ */
+function getRerankProvider() {
+  if (rerankProvider === undefined) {
+    const chatName = process.env.LLM_PROVIDER || 'openai';
+    const name = process.env.RERANK_PROVIDER || chatName;
+
+    if (name === 'none') {
+      rerankProvider = null;
+    } else if (name === 'cross-encoder') {
+      rerankProvider = require('./crossEncoderReranker.cjs').createCrossEncoderReranker();
+    } else if (name === chatName && !process.env.RERANK_MODEL) {
+      rerankProvider = getChatProvider();
+    } else {
+      rerankProvider = createProvider(name, { chatModel: process.env.RERANK_MODEL || null });
+    }
+    console.log(`Rerank provider: ${rerankProvider ? `${rerankProvider.name} (${rerankProvider.rerankModel || rerankProvider.chatModel})` : 'none'}`);
+  }
+  return rerankProvider;
+}
+
+module.exports = {
+  chatDefaults,
+  createProvider,
+  getChatProvider,
+  getEmbeddingProvider,
+  getRerankProvider,
+  judgeRelevance
+};
@@ -0,0 +1,111 @@
+import { pool, initDbSafe, getUsers, findUserByUsername, createUser, updateUser, resetUserPassword, deleteUser } from './db.mjs';
+import { USER_ROLES, validateUsername, validatePassword, validateRole, generatePassword } from './userAccounts.mjs';
+
+/**
+ * Command-line user management, for bootstrapping the first admin and for when the admin API is
+ * out of reach. Tables are created or migrated with initDbSafe, never dropped.
+ *
+ *   node manageUsers.mjs list
+ *   node manageUsers.mjs create <username> [--role admin|senior_reviewer|staff]
+ *   node manageUsers.mjs set-role <username> <role>
+ *   node manageUsers.mjs disable <username>
+ *   node manageUsers.mjs enable <username>
+ *   node manageUsers.mjs reset-password <username>
+ *   node manageUsers.mjs delete <username>
+ *
+ * create and reset-password take the password from USER_PASSWORD, or generate one and print it once,
+ * so passwords stay out of the shell history.
+ */
+
+const USAGE = `Usage: node manageUsers.mjs <command> [arguments]
+  list
+  create <username> [--role ${USER_ROLES.join('|')}]
+  set-role <username> <role>
+  disable <username>
+  enable <username>
+  reset-password <username>
+  delete <username>`;
+
+// The password to set, and whether it was generated and must be shown
+const choosePassword = () => (process.env.USER_PASSWORD
+  ? { password: validatePassword(process.env.USER_PASSWORD), generated: false }
+  : { password: generatePassword(), generated: true });
+
+const printPassword = ({ password, generated }) => {
+  if (generated) {
+    console.log(`Generated password (shown once): ${password}`);
+  }
+};
+
+const formatUser = (user) =>
+  `${String(user.id).padStart(4)}  ${user.username.padEnd(24)} ${user.role.padEnd(16)} ` +
+  `${user.disabled_at ? 'disabled' : 'active  '}  last login ${user.last_login_at ? new Date(user.last_login_at).toISOString() : 'never'}`;
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const roleFlag = args.indexOf('--role');
+  const positional = roleFlag === -1 ? args : args.filter((_, index) => index !== roleFlag && index !== roleFlag + 1);
+
+  if (!command || (command !== 'list' && !positional[0])) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await initDbSafe();
+
+  switch (command) {
+    case 'list': {
+      const users = await getUsers();
+      users.forEach(user => console.log(formatUser(user)));
+      console.log(`${users.length} users`);
+      break;
+    }
+    case 'create': {
+      const role = validateRole(roleFlag === -1 ? 'staff' : args[roleFlag + 1]);
+      const chosen = choosePassword();
+      const user = await createUser({ username: validateUsername(positional[0]), password: chosen.password, role });
+      console.log(`Created ${user.role} ${user.username}`);
+      printPassword(chosen);
+      break;
+    }
+    case 'set-role': {
+      const user = await findUserByUsername(positional[0]);
+      const updated = await updateUser(user.id, { role: validateRole(positional[1]) });
+      console.log(`${updated.username} is now ${updated.role}`);
+      break;
+    }
+    case 'disable':
+    case 'enable': {
+      const user = await findUserByUsername(positional[0]);
+      const updated = await updateUser(user.id, { disabled: command === 'disable' });
+      console.log(`${updated.username} is ${updated.disabled_at ? 'disabled' : 'enabled'}`);
+      break;
+    }
+    case 'reset-password': {
+      const user = await findUserByUsername(positional[0]);
+      const chosen = choosePassword();
+      await resetUserPassword(user.id, chosen.password);
+      console.log(`Password of ${user.username} reset; existing sessions are signed out`);
+      printPassword(chosen);
+      break;
+    }
+    case 'delete': {
+      const user = await findUserByUsername(positional[0]);
+      const cleanupJobs = await deleteUser(user.id);
+      // The server's cleanup worker removes the vectors; npm run reconcile -- --jobs does it now
+      console.log(`Deleted ${user.username} and ${cleanupJobs.length} conversations; vector cleanup is queued`);
+      break;
+    }
+    default:
+      console.error(`Unknown command: ${command}\n${USAGE}`);
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
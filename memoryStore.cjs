@@ -0,0 +1,75 @@
+// memoryStore.cjs
+// In-process vector store for offline development and tests. Set VECTOR_STORE_FILE to keep the
+// index in a JSON file between runs; otherwise it lives only as long as the process.
+
+const fs = require('fs');
+const { matchesFilter, cosineSimilarity } = require('./vectorStore.cjs');
+
+function createMemoryStore({ filePath = process.env.VECTOR_STORE_FILE } = {}) {
+  const vectors = new Map();
+
+  if (filePath && fs.existsSync(filePath)) {
+    JSON.parse(fs.readFileSync(filePath, 'utf8')).forEach(vector => vectors.set(vector.id, vector));
+    console.log(`Memory vector store: loaded ${vectors.size} vectors from ${filePath}`);
+  }
+
+  const persist = async () => {
+    if (!filePath) return;
+    await fs.promises.writeFile(filePath, JSON.stringify([...vectors.values()]));
+  };
+
+  const deleteByIds = async (ids) => {
+    ids.forEach(id => vectors.delete(id));
+    await persist();
+  };
+
+  return {
+    backend: 'memory',
+
+    async upsert(records) {
+      records.forEach(({ id, values, metadata = {} }) => vectors.set(id, { id, values, metadata }));
+      await persist();
+    },
+
+    async query({ vector, topK = 10, filter }) {
+      const matches = [...vectors.values()]
+        .filter(record => !filter || matchesFilter(record.metadata, filter))
+        .map(record => ({ id: record.id, score: cosineSimilarity(vector, record.values), metadata: record.metadata }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+      return { matches };
+    },
+
+    async fetch(ids) {
+      return Object.fromEntries(
+        ids.filter(id => vectors.has(id)).map(id => [id, { id, metadata: vectors.get(id).metadata }])
+      );
+    },
+
+    deleteByIds,
+
+    async deleteByFilter(filter, { prefix = '' } = {}) {
+      const ids = [...vectors.values()]
+        .filter(record => record.id.startsWith(prefix) && matchesFilter(record.metadata, filter))
+        .map(record => record.id);
+      await deleteByIds(ids);
+      return ids.length;
+    },
+
+    async listByPrefix(prefix = '') {
+      return [...vectors.keys()].filter(id => id.startsWith(prefix));
+    },
+
+    async updateMetadata(ids, patch) {
+      ids.filter(id => vectors.has(id)).forEach(id => {
+        const record = vectors.get(id);
+        record.metadata = { ...record.metadata, ...patch };
+      });
+      await persist();
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
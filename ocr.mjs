@@ -0,0 +1,232 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * OCR fallback for scanned PDF pages, using the Tesseract command-line engine.
+ * Pages without a text layer are rendered to images with pdftoppm (poppler-utils) and read by
+ * tesseract in English and Arabic. The recognised words are rebuilt into lines and segments of the
+ * same shape as the text layer lines of pdfLayout.mjs, so scanned pages are chunked and searched
+ * for tables like any other page. Both programs must be installed on the server, e.g.
+ * apt install poppler-utils tesseract-ocr tesseract-ocr-ara. Without them scanned pages are
+ * reported as unreadable.
+ */
+
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const OCR_LANGUAGES = (process.env.OCR_LANGUAGES || 'eng+ara').split('+');
+// Scanned pages read per document; OCR takes several seconds a page
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES || '100', 10);
+
+const OCR_DPI = 300;
+const PAGE_TIMEOUT_MS = 2 * 60 * 1000;
+// Pages with less text than this in their text layer are treated as scanned
+const MIN_TEXT_LAYER_CHARACTERS = 20;
+// Average word confidence (0-100) below which a page is reported as low quality
+const LOW_CONFIDENCE = 60;
+
+// Word boxes are in pixels at OCR_DPI; lines are reported in PDF points like the text layer
+const POINTS_PER_PIXEL = 72 / OCR_DPI;
+const ARABIC_PATTERN = /\p{Script=Arabic}/u;
+
+let ocrLanguages = null;
+
+/**
+ * The OCR languages installed on this server, or none when OCR is disabled or tesseract and
+ * pdftoppm are missing. Checked once.
+ */
+const getOcrLanguages = () => {
+  ocrLanguages ??= (async () => {
+    if (process.env.OCR_ENABLED === 'false') return [];
+    try {
+      // pdftoppm -v exits with an error status on some versions; only a missing program counts
+      await execFileAsync(PDFTOPPM_PATH, ['-v']).catch(error => {
+        if (error.code === 'ENOENT') throw error;
+      });
+      const { stdout } = await execFileAsync(TESSERACT_PATH, ['--list-langs']);
+      const installed = stdout.split('\n').slice(1).map(line => line.trim());
+      const languages = OCR_LANGUAGES.filter(language => installed.includes(language));
+      const missing = OCR_LANGUAGES.filter(language => !installed.includes(language));
+      if (missing.length > 0) {
+        console.warn(`OCR: tesseract language data not installed: ${missing.join(', ')}`);
+      }
+      return languages;
+    } catch (error) {
+      console.warn(`OCR is unavailable (${error.code === 'ENOENT' ? `${error.path} not found` : error.message})`);
+      return [];
+    }
+  })();
+  return ocrLanguages;
+};
+
+/**
+ * Rebuild lines from tesseract TSV output: [{ text, size, segments }], with the page confidence,
+ * the mean word confidence weighted by word length
+ */
+const readTsv = (tsv) => {
+  const lines = new Map();
+  let weightedConfidence = 0;
+  let characters = 0;
+
+  tsv.split('\n').slice(1).forEach(row => {
+    const [level, , block, paragraph, line, , left, top, width, height, confidence, ...text] = row.split('\t');
+    const word = text.join('\t').trim();
+    // Level 5 rows are words; others are the page, blocks, paragraphs and lines
+    if (level !== '5' || !word || Number(confidence) < 0) return;
+
+    const key = `${block}.${paragraph}.${line}`;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push({ text: word, x: Number(left), right: Number(left) + Number(width), top: Number(top), height: Number(height) });
+    weightedConfidence += Number(confidence) * word.length;
+    characters += word.length;
+  });
+
+  const pageLines = [...lines.values()].map(words => {
+    const heights = words.map(word => word.height).sort((a, b) => a - b);
+    const size = Math.round(heights[Math.floor(heights.length / 2)] * POINTS_PER_PIXEL * 2) / 2;
+    const toSegment = ({ text, x, right }) => ({ text, x: x * POINTS_PER_PIXEL, right: right * POINTS_PER_PIXEL });
+
+    // Arabic lines keep tesseract's reading order as one segment; others split at wide gaps
+    if (words.some(word => ARABIC_PATTERN.test(word.text))) {
+      const text = words.map(word => word.text).join(' ');
+      const x = Math.min(...words.map(word => word.x));
+      const right = Math.max(...words.map(word => word.right));
+      return { text, size, segments: [toSegment({ text, x, right })], top: Math.min(...words.map(word => word.top)) };
+    }
+
+    const segments = [];
+    [...words].sort((a, b) => a.x - b.x).forEach(word => {
+      const segment = segments[segments.length - 1];
+      if (segment && word.x - segment.right <= word.height) {
+        segment.text = `${segment.text} ${word.text}`;
+        segment.right = word.right;
+      } else {
+        segments.push({ text: word.text, x: word.x, right: word.right });
+      }
+    });
+    return {
+      text: segments.map(segment => segment.text).join(' '),
+      size,
+      segments: segments.map(toSegment),
+      top: Math.min(...words.map(word => word.top))
+    };
+  });
+
+  return {
+    lines: pageLines.sort((a, b) => a.top - b.top).map(({ top, ...line }) => line),
+    confidence: characters > 0 ? Math.round((weightedConfidence / characters) * 10) / 10 : 0
+  };
+};
+
+/**
+ * Render one page to an image and read it
+ */
+const ocrPage = async (filePath, pageNumber, languages, workDir) => {
+  const imagePrefix = path.join(workDir, `page-${pageNumber}`);
+  await execFileAsync(PDFTOPPM_PATH, [
+    '-r', String(OCR_DPI), '-gray', '-png', '-singlefile',
+    '-f', String(pageNumber), '-l', String(pageNumber),
+    filePath, imagePrefix
+  ], { timeout: PAGE_TIMEOUT_MS });
+
+  const { stdout } = await execFileAsync(TESSERACT_PATH, [
+    `${imagePrefix}.png`, 'stdout', '-l', languages.join('+'), '--psm', '3', 'tsv'
+  ], {
+    timeout: PAGE_TIMEOUT_MS,
+    maxBuffer: 32 * 1024 * 1024,
+    // One thread per page keeps OCR from starving the API on small servers
+    env: { ...process.env, OMP_THREAD_LIMIT: '1' }
+  });
+
+  fs.rmSync(`${imagePrefix}.png`, { force: true });
+  return readTsv(stdout);
+};
+
+const countCharacters = (lines) => lines.reduce((sum, line) => sum + line.text.replace(/\s/g, '').length, 0);
+
+const pageList = (pageNumbers) => pageNumbers.join(', ');
+
+/**
+ * Run OCR on the pages of a PDF that have no text layer, given the pages read by extractPdfPages.
+ * Returns the pages with OCR lines in place of the empty ones, and the text quality:
+ * { pages: [{ page, source: 'text' | 'ocr' | 'none', characters, confidence }], warnings }.
+ * confidence is the OCR word confidence (0-100), null for text layer pages.
+ * onProgress, if given, is called with { status: 'parsing' } after each page is read, so a long
+ * scanned document keeps its upload job from being taken for stalled.
+ */
+export const applyOcr = async (filePath, pages, { onProgress = async () => {} } = {}) => {
+  const scanned = pages.filter(page => countCharacters(page.lines) < MIN_TEXT_LAYER_CHARACTERS);
+  const quality = pages.map(page => ({
+    page: page.pageNumber,
+    source: scanned.includes(page) ? 'none' : 'text',
+    characters: countCharacters(page.lines),
+    confidence: null
+  }));
+  const warnings = [];
+
+  if (scanned.length === 0) {
+    return { pages, textQuality: { pages: quality, warnings } };
+  }
+
+  const languages = await getOcrLanguages();
+  if (languages.length === 0) {
+    warnings.push(`${scanned.length} page(s) have no text layer and OCR is not available on the server: pages ${pageList(scanned.map(page => page.pageNumber))}`);
+    return { pages, textQuality: { pages: quality, warnings } };
+  }
+
+  const toRead = scanned.slice(0, OCR_MAX_PAGES);
+  if (scanned.length > toRead.length) {
+    warnings.push(`Only the first ${OCR_MAX_PAGES} scanned pages were read; pages ${pageList(scanned.slice(OCR_MAX_PAGES).map(page => page.pageNumber))} were skipped`);
+  }
+
+  const results = new Map();
+  const failed = [];
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-'));
+  try {
+    for (const page of toRead) {
+      try {
+        results.set(page.pageNumber, await ocrPage(filePath, page.pageNumber, languages, workDir));
+      } catch (error) {
+        console.error(`OCR failed on page ${page.pageNumber}:`, error.message);
+        failed.push(page.pageNumber);
+      }
+      await onProgress({ status: 'parsing' });
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  const updatedPages = pages.map(page => {
+    const result = results.get(page.pageNumber);
+    return result ? { ...page, lines: result.lines, ocr: true } : page;
+  });
+  quality.forEach(entry => {
+    const result = results.get(entry.page);
+    if (!result) return;
+    entry.source = 'ocr';
+    entry.characters = countCharacters(result.lines);
+    entry.confidence = result.confidence;
+  });
+
+  const ocrPages = quality.filter(entry => entry.source === 'ocr');
+  const empty = ocrPages.filter(entry => entry.characters === 0).map(entry => entry.page);
+  const lowConfidence = ocrPages.filter(entry => entry.characters > 0 && entry.confidence < LOW_CONFIDENCE);
+
+  if (failed.length > 0) {
+    warnings.push(`OCR failed on pages ${pageList(failed)}`);
+  }
+  if (empty.length > 0) {
+    warnings.push(`No text was recognised on pages ${pageList(empty)}`);
+  }
+  if (lowConfidence.length > 0) {
+    const average = Math.round(lowConfidence.reduce((sum, entry) => sum + entry.confidence, 0) / lowConfidence.length);
+    warnings.push(`Low OCR confidence (${average}%) on pages ${pageList(lowConfidence.map(entry => entry.page))}; names and figures may be misread`);
+  }
+
+  console.log(`OCR read ${ocrPages.length} of ${scanned.length} scanned pages (${languages.join('+')})`);
+  return { pages: updatedPages, textQuality: { pages: quality, warnings } };
+};
@@ -0,0 +1,58 @@
+// openaiProvider.cjs
+// OpenAI adapter for the provider interface (see llmProvider.cjs).
+
+const { OpenAI } = require('openai');
+const { chatDefaults, judgeRelevance } = require('./llmProvider.cjs');
+
+function createOpenAIProvider({ chatModel, embeddingModel }) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey || apiKey.includes('your_')) {
+    throw new Error('OpenAI is not configured. Please check your OPENAI_API_KEY in the .env file.');
+  }
+
+  const openai = new OpenAI({ apiKey });
+
+  const complete = async ({ messages, temperature = chatDefaults().temperature, maxTokens = chatDefaults().maxTokens }) => {
+    const response = await openai.chat.completions.create({
+      model: chatModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+    return response.choices[0]?.message?.content || '';
+  };
+
+  return {
+    name: 'openai',
+    chatModel,
+    embeddingModel,
+
+    async *streamChat({ messages, temperature = chatDefaults().temperature, maxTokens = chatDefaults().maxTokens }) {
+      const stream = await openai.chat.completions.create({
+        model: chatModel,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true
+      });
+
+      for await (const chunk of stream) {
+        const content = chunk.choices[0]?.delta?.content;
+        if (content) yield content;
+      }
+    },
+
+    complete,
+
+    rerank({ query, documents }) {
+      return judgeRelevance(complete, query, documents);
+    },
+
+    async embed(texts) {
+      const response = await openai.embeddings.create({ model: embeddingModel, input: texts });
+      return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,262 @@
+import pdfParse from 'pdf-parse-debugging-disabled';
+import { ARABIC_PATTERN, normaliseArabic, isVisualOrder, isRightToLeft, toLogicalOrder } from './arabicText.cjs';
+
+/**
+ * Page-aware PDF extraction.
+ * Text is read page by page and rebuilt into lines from the positions of the text items, so each
+ * line keeps its page number and font size. Arabic lines are normalised and put in reading order
+ * (see arabicText.cjs). Running headers and footers repeated across pages and bare page numbers
+ * are stripped, headings are detected from their size or capitals, and the result is chunked with
+ * overlapping boundaries, every chunk carrying its page range and section.
+ */
+
+// Lines at the top and bottom of a page checked for running headers and footers
+const EDGE_LINES = 2;
+// Share of pages a header or footer must repeat on to be stripped
+const REPEATED_PAGE_SHARE = 0.5;
+// Lines this much larger than the body text are headings
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+// Gap between text items, in font sizes, that starts a new segment of a line
+const SEGMENT_GAP_RATIO = 1;
+
+export const PDF_CHUNK_SIZE = 4000;
+export const PDF_CHUNK_OVERLAP = 400;
+
+// Digits vary between pages ("Page 3 of 40"), so they are masked when comparing edge lines
+const normaliseEdgeLine = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+const PAGE_NUMBER_PATTERN = /^(page\s*)?[-–(]?\s*#\s*[-–)]?(\s*(of|\/)\s*#)?$/;
+
+/**
+ * The text of a line in reading order. Items are laid out left to right, so lines of Arabic are
+ * read from their rightmost item, or reversed as a whole when their letters are in visual order.
+ */
+const readingOrder = (items, text) => {
+  if (!ARABIC_PATTERN.test(text)) return text;
+  if (!isRightToLeft(text) || isVisualOrder(normaliseArabic(text))) return toLogicalOrder(text);
+
+  return normaliseArabic([...items]
+    .sort((a, b) => b.x - a.x)
+    .reduce((joined, item, index, sorted) => {
+      if (index === 0) return item.text;
+      const gap = sorted[index - 1].x - (item.x + item.width);
+      return gap > item.size * 0.15 && !/\s$/.test(joined) ? `${joined} ${item.text}` : joined + item.text;
+    }, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Rebuild the lines of a page from its text items: items on the same baseline form a line,
+ * read left to right, and lines run top to bottom
+ */
+const readPageLines = async (pageData) => {
+  const content = await pageData.getTextContent({ normalizeWhitespace: true });
+  const items = content.items
+    .filter(item => item.str.trim())
+    .map(item => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 0
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  items.forEach(item => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= Math.max(2, item.size * 0.3)) {
+      line.items.push(item);
+      line.size = Math.max(line.size, item.size);
+    } else {
+      lines.push({ y: item.y, size: item.size, items: [item] });
+    }
+  });
+
+  return lines.map(line => {
+    // Gaps wider than a word space separate segments, the cells of tables (see pdfTables.mjs)
+    const segments = [];
+    line.items
+      .sort((a, b) => a.x - b.x)
+      .forEach(item => {
+        const segment = segments[segments.length - 1];
+        const gap = segment ? item.x - segment.right : Infinity;
+        if (gap > item.size * SEGMENT_GAP_RATIO) {
+          segments.push({ text: item.text, x: item.x, right: item.x + item.width });
+          return;
+        }
+        segment.text = gap > item.size * 0.15 && !/\s$/.test(segment.text) ? `${segment.text} ${item.text}` : segment.text + item.text;
+        segment.right = Math.max(segment.right, item.x + item.width);
+      });
+
+    const cleaned = segments
+      .map(segment => ({ ...segment, text: normaliseArabic(segment.text).replace(/\s+/g, ' ').trim() }))
+      .filter(segment => segment.text);
+    return {
+      text: readingOrder(line.items, cleaned.map(segment => segment.text).join(' ')),
+      size: Math.round(line.size * 2) / 2,
+      segments: cleaned
+    };
+  }).filter(line => line.text);
+};
+
+/**
+ * Read a PDF into pages of lines: [{ pageNumber, lines: [{ text, size, segments }] }], plus the
+ * document info and page count
+ */
+export const extractPdfPages = async (buffer) => {
+  const pages = [];
+  const data = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const lines = await readPageLines(pageData);
+      pages.push({ pageNumber: pageData.pageNumber, lines });
+      return lines.map(line => line.text).join('\n');
+    }
+  });
+
+  // Pages whose text could not be read are kept, empty, so they can still be read by OCR
+  for (let pageNumber = 1; pageNumber <= data.numpages; pageNumber++) {
+    if (!pages.some(page => page.pageNumber === pageNumber)) pages.push({ pageNumber, lines: [] });
+  }
+  pages.sort((a, b) => a.pageNumber - b.pageNumber);
+
+  return { pages, info: data.info, numpages: data.numpages };
+};
+
+/**
+ * Remove running headers and footers (edge lines repeated on at least half of the pages, three
+ * pages or more) and bare page numbers. Returns the cleaned pages and the distinct lines removed.
+ */
+export const stripRepeatedLines = (pages) => {
+  const edgeIndexes = (lines) => lines
+    .map((_, index) => index)
+    .filter(index => index < EDGE_LINES || index >= lines.length - EDGE_LINES);
+
+  const pageCounts = new Map();
+  pages.forEach(page => {
+    new Set(edgeIndexes(page.lines).map(index => normaliseEdgeLine(page.lines[index].text)))
+      .forEach(text => pageCounts.set(text, (pageCounts.get(text) || 0) + 1));
+  });
+
+  const minimumPages = Math.max(3, Math.ceil(pages.length * REPEATED_PAGE_SHARE));
+  const isRepeated = (text) => pages.length >= 3 && (pageCounts.get(text) || 0) >= minimumPages;
+
+  const removed = new Set();
+  const cleaned = pages.map(page => {
+    const edges = new Set(edgeIndexes(page.lines));
+    return {
+      ...page,
+      lines: page.lines.filter((line, index) => {
+        if (!edges.has(index)) return true;
+        const normalised = normaliseEdgeLine(line.text);
+        if (PAGE_NUMBER_PATTERN.test(normalised)) return false;
+        if (isRepeated(normalised)) {
+          removed.add(line.text);
+          return false;
+        }
+        return true;
+      })
+    };
+  });
+
+  return { pages: cleaned, removed: [...removed] };
+};
+
+/**
+ * Mark heading lines: noticeably larger than the body text, or short lines in capitals
+ */
+export const markHeadings = (pages) => {
+  // Body size is the size most text is set in
+  const sizeWeights = new Map();
+  pages.forEach(page => page.lines.forEach(line =>
+    sizeWeights.set(line.size, (sizeWeights.get(line.size) || 0) + line.text.length)));
+  const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  const isHeading = (line) => {
+    const { text } = line;
+    if (text.length > MAX_HEADING_LENGTH || /[.,;:]$/.test(text) || !/\p{L}/u.test(text)) return false;
+    if (bodySize > 0 && line.size >= bodySize * HEADING_SIZE_RATIO) return true;
+    const letters = text.replace(/[^\p{L}]/gu, '');
+    return text.length <= 80 && letters.length >= 4 && /\p{Lu}/u.test(letters) && letters === letters.toUpperCase();
+  };
+
+  return pages.map(page => ({
+    ...page,
+    lines: page.lines.map(line => ({ ...line, heading: isHeading(line) }))
+  }));
+};
+
+/**
+ * Split pages into overlapping chunks that never break a line. A page marker line ("[Page 3]")
+ * opens every page, each chunk records the pages it covers and the heading it falls under, and a
+ * new heading starts a new chunk, without overlap, once the current one is half full.
+ */
+export const chunkPdfPages = (pages, { size = PDF_CHUNK_SIZE, overlap = PDF_CHUNK_OVERLAP } = {}) => {
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  let fresh = 0; // lines not yet in any chunk
+  let section = null;
+
+  const flush = ({ carry = true } = {}) => {
+    if (fresh === 0) return;
+    const content = current.filter(line => !line.marker);
+    chunks.push({
+      text: current.map(line => line.text).join('\n'),
+      pageStart: (content[0] || current[0]).page,
+      pageEnd: current[current.length - 1].page,
+      ...(current[0].section ? { section: current[0].section } : {})
+    });
+
+    // The last lines, up to the overlap, open the next chunk too
+    const carried = [];
+    let carriedLength = 0;
+    for (let i = current.length - 1; carry && i > 0 && carriedLength + current[i].text.length <= overlap; i--) {
+      carried.unshift(current[i]);
+      carriedLength += current[i].text.length + 1;
+    }
+    current = carried;
+    length = carriedLength;
+    fresh = 0;
+  };
+
+  const add = (line) => {
+    if (current.length > 0 && length + line.text.length > size) flush();
+    current.push(line);
+    length += line.text.length + 1;
+    fresh += 1;
+  };
+
+  pages.forEach(page => {
+    if (page.lines.length === 0) return;
+    add({ text: `[Page ${page.pageNumber}]`, page: page.pageNumber, section, marker: true });
+
+    page.lines.forEach((line, index) => {
+      // A heading set over several lines continues the section just started
+      if (line.heading && index > 0 && page.lines[index - 1].heading) {
+        section = `${section} ${line.text}`.slice(0, 2 * MAX_HEADING_LENGTH);
+      } else if (line.heading) {
+        // A heading is a natural boundary, so nothing is carried over; a page marker just added
+        // moves with the heading
+        if (length > size / 2) {
+          const marker = current[current.length - 1].marker ? current.pop() : null;
+          if (marker) {
+            length -= marker.text.length + 1;
+            fresh -= 1;
+          }
+          flush({ carry: false });
+          if (marker) add(marker);
+        }
+        section = line.text;
+      }
+      // Lines longer than a chunk (rare, e.g. text without line breaks) are cut
+      for (let start = 0; start < line.text.length; start += size) {
+        add({ text: line.text.slice(start, start + size), page: page.pageNumber, section });
+      }
+    });
+  });
+  flush();
+
+  return chunks;
+};
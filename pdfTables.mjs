@@ -0,0 +1,306 @@
+import { analyseTable, isNumeric } from './spreadsheetParser.mjs';
+import { parseAmount } from './accountClassifier.mjs';
+
+/**
+ * Table extraction from the text positions of PDF pages, for financial statements sent as PDFs.
+ * Rows are lines of a text label followed by figures. Columns are found by clustering the right
+ * edges of the figures, which statements align to the right. Column headings come from the year,
+ * currency and note lines above the figures. Tables use the structured format of spreadsheet
+ * uploads, plus the page, the statement type, the current and comparative year columns and the
+ * line items.
+ */
+
+// Fewer rows of figures than this are not treated as a table
+const MIN_TABLE_ROWS = 3;
+// Text-only lines (section labels) allowed between rows before a table ends
+const MAX_TEXT_LINES = 2;
+// Lines above the first row searched for column headings
+const HEADER_SCAN_LINES = 4;
+// Lines longer than this are running text, which ends a table
+const MAX_LABEL_LENGTH = 100;
+
+const NIL_PATTERN = /^[-–—]+$/;
+const YEAR_PATTERN = /\b(19|20)\d{2}\b/;
+const YEAR_ONLY_PATTERN = /^(19|20)\d{2}$/;
+const NOTE_HEADER_PATTERN = /^notes?$/i;
+const NOTE_VALUE_PATTERN = /^\d{1,2}(\.\d{1,2})?[a-z]?$/i;
+
+// Statement titles, first match wins
+const STATEMENT_PATTERNS = [
+  ['income_statement', /statement of (profit or loss|comprehensive income|income)|income statement|profit (and|&) loss/i],
+  ['balance_sheet', /statement of financial position|balance sheet/i],
+  ['cash_flow', /cash flows?/i],
+  ['changes_in_equity', /changes in equity/i],
+  ['trial_balance', /trial balance/i]
+];
+
+// Profit lines of a statement sum the lines above them, as totals do
+const STATEMENT_SUBTOTAL_PATTERN = /^(gross|operating|net)\s+(profit|loss|income)|^(profit|loss|\(loss\))(\s*\/\s*\(?(profit|loss)\)?)?\s+(before|for|after|from)\b|^total comprehensive/i;
+
+const isFigure = (text) => NIL_PATTERN.test(text) || isNumeric(text);
+
+/**
+ * Split a line into its label and the figures at its end.
+ * kind is 'years' for a line of column years, 'row' for figures and 'text' otherwise.
+ */
+const classifyLine = (line) => {
+  const segments = line.segments || [{ text: line.text, x: 0, right: 0 }];
+  let split = segments.length;
+  while (split > 0 && isFigure(segments[split - 1].text)) split--;
+
+  const labelSegments = segments.slice(0, split);
+  const figures = segments.slice(split);
+  const label = labelSegments.map(segment => segment.text).join(' ');
+
+  let kind = 'text';
+  if (figures.length > 0 && figures.every(figure => YEAR_ONLY_PATTERN.test(figure.text))) {
+    kind = 'years';
+  } else if (figures.length > 0 && label.length <= MAX_LABEL_LENGTH) {
+    kind = 'row';
+  }
+  return { kind, label, labelSegments, figures, segments, line };
+};
+
+/**
+ * Group figures into columns by their right edges
+ */
+const clusterColumns = (figures, tolerance) => {
+  const columns = [];
+  figures
+    .filter(figure => !NIL_PATTERN.test(figure.text))
+    .sort((a, b) => a.right - b.right)
+    .forEach(figure => {
+      const column = columns[columns.length - 1];
+      if (column && figure.right - column.lastRight <= tolerance) {
+        column.left = Math.min(column.left, figure.x);
+        column.right = Math.max(column.right, figure.right);
+        column.lastRight = figure.right;
+      } else {
+        columns.push({ left: figure.x, right: figure.right, lastRight: figure.right });
+      }
+    });
+  return columns.map(({ left, right }) => ({ left, right }));
+};
+
+// The column a segment sits in: the one it overlaps most, else the nearest
+const nearestColumn = (columns, segment) => {
+  let best = -1;
+  let bestDistance = Infinity;
+  columns.forEach((column, index) => {
+    const overlap = Math.min(column.right, segment.right) - Math.max(column.left, segment.x);
+    const distance = overlap > 0 ? -overlap : Math.min(Math.abs(segment.x - column.right), Math.abs(segment.right - column.left));
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+const toAmount = (text) => (NIL_PATTERN.test(text) ? 0 : parseAmount(text) / 100);
+
+/**
+ * Find the runs of lines of a page that form tables: rows of figures, allowing a few text lines
+ * (section labels) between them
+ */
+const findRuns = (classified) => {
+  const runs = [];
+  let run = null;
+  let textLines = 0;
+  let floor = 0;
+
+  const isLabelLine = (entry) => entry.kind === 'text' && !entry.line.heading && entry.label.length <= MAX_LABEL_LENGTH;
+
+  const close = () => {
+    if (run) {
+      run.end -= textLines;
+      if (run.rows >= MIN_TABLE_ROWS) {
+        runs.push(run);
+        floor = run.end + 1;
+      }
+    }
+    run = null;
+    textLines = 0;
+  };
+
+  classified.forEach((entry, index) => {
+    if (entry.kind === 'row') {
+      if (!run) {
+        // Section labels just above the first figures belong to the table
+        let start = index;
+        while (start > floor && index - start < MAX_TEXT_LINES && isLabelLine(classified[start - 1])) start--;
+        run = { start, end: index, rows: 0 };
+      }
+      run.end = index;
+      run.rows += 1;
+      textLines = 0;
+    } else if (run && isLabelLine(entry) && textLines < MAX_TEXT_LINES) {
+      run.end = index;
+      textLines += 1;
+    } else {
+      close();
+    }
+  });
+  close();
+
+  return runs;
+};
+
+/**
+ * The heading lines of a table: the year line and the text lines around it set over the figure
+ * columns (currency, "Restated"), or starting with "Notes"
+ */
+const findHeaderLines = (classified, start, floor, labelZoneEnd) => {
+  const headerLines = [];
+  for (let index = start - 1; index >= Math.max(floor, start - HEADER_SCAN_LINES); index--) {
+    const entry = classified[index];
+    const overColumns = entry.segments.every(segment => segment.right > labelZoneEnd) ||
+      NOTE_HEADER_PATTERN.test(entry.segments[0]?.text || '');
+    if (entry.kind !== 'years' && !(entry.kind === 'text' && overColumns)) break;
+    headerLines.unshift(entry);
+  }
+  return headerLines;
+};
+
+const findStatement = (classified, start) => {
+  const match = (entry) => STATEMENT_PATTERNS.find(([, pattern]) => entry.kind === 'text' && pattern.test(entry.label));
+  // The nearest title above the table, else any on the page
+  const candidates = [...classified.slice(0, start).reverse(), ...classified.slice(start)];
+  for (const entry of candidates) {
+    const found = match(entry);
+    if (found) return { statement: found[0], title: entry.label };
+  }
+  return { statement: null, title: null };
+};
+
+/**
+ * Build one table from a run of lines
+ */
+const buildTable = (classified, run, floor, pageNumber) => {
+  const lines = classified.slice(run.start, run.end + 1);
+  const rowLines = lines.filter(entry => entry.kind === 'row');
+  const sizes = rowLines.map(entry => entry.line.size).sort((a, b) => a - b);
+  const tolerance = Math.max(6, (sizes[Math.floor(sizes.length / 2)] || 10) * 1.5);
+
+  const columns = clusterColumns(rowLines.flatMap(entry => entry.figures), tolerance);
+  if (columns.length === 0) return null;
+  const labelZoneEnd = columns[0].left - tolerance;
+
+  // Column headings, top to bottom
+  const headerLines = findHeaderLines(classified, run.start, floor, labelZoneEnd);
+  const columnHeadings = columns.map(() => []);
+  const labelHeadings = [];
+  headerLines.forEach(entry => entry.segments.forEach(segment => {
+    if (segment.right <= labelZoneEnd) {
+      labelHeadings.push(segment.text);
+    } else {
+      columnHeadings[nearestColumn(columns, segment)].push(segment.text);
+    }
+  }));
+
+  // Rows: [label, ...column cells]; a text line continued by a row in lower case is a wrapped label
+  const rows = [];
+  const unlabelled = new Set();
+  let wrapped = '';
+  lines.forEach((entry, index) => {
+    if (entry.kind !== 'row') {
+      const next = lines[index + 1];
+      if (next?.kind === 'row' && /^[a-z]/.test(next.label)) {
+        wrapped = `${wrapped} ${entry.label}`.trim();
+      } else {
+        rows.push([entry.label, ...columns.map(() => null)]);
+      }
+      return;
+    }
+
+    const cells = columns.map(() => null);
+    entry.figures.forEach(figure => {
+      const column = nearestColumn(columns, figure);
+      cells[column] = cells[column] === null ? figure.text : `${cells[column]} ${figure.text}`;
+    });
+    const label = `${wrapped} ${entry.label}`.trim();
+    wrapped = '';
+    if (!label) unlabelled.add(rows.length + 1);
+    rows.push([label, ...cells]);
+  });
+
+  // A first column headed "Note", or of small numbers that only some lines have, holds note references
+  const noteColumn = columns.length > 1 && (
+    NOTE_HEADER_PATTERN.test(columnHeadings[0].join(' ')) ||
+    (rows.every(row => row[1] === null || NOTE_VALUE_PATTERN.test(row[1])) &&
+      rowLines.length > rows.filter(row => row[1] !== null).length)
+  ) ? 0 : -1;
+
+  const headers = [
+    labelHeadings.join(' ') || 'Line item',
+    ...columns.map((_, index) => columnHeadings[index].join(' ') || (index === noteColumn ? 'Note' : `Column ${index + 2}`))
+  ];
+  const tableRows = rows.map(row => row.map((cell, index) =>
+    index === 0 || index === noteColumn + 1 || cell === null ? cell : (isFigure(cell) ? toAmount(cell) : cell)));
+
+  const { statement, title } = findStatement(classified, headerLines.length > 0 ? run.start - headerLines.length : run.start);
+  const table = analyseTable(title || `Table on page ${pageNumber}`, [headers, ...tableRows], [], { headerRow: 0 });
+
+  // Figures without a label are totals; profit lines are subtotals
+  table.rowTypes = table.rowTypes.map((type, index) => {
+    if (unlabelled.has(index) && type === 'data') return 'total';
+    if (type === 'data' && STATEMENT_SUBTOTAL_PATTERN.test(String(table.rows[index][0] || ''))) return 'subtotal';
+    return type;
+  });
+
+  // The current year is the latest, the comparative the one before it; without years, the first
+  // two figure columns
+  const amountColumns = columns
+    .map((_, index) => ({ column: index + 1, label: headers[index + 1], year: Number(headers[index + 1].match(YEAR_PATTERN)?.[0]) || null }))
+    .filter(({ column }) => column !== noteColumn + 1);
+  const byYear = amountColumns.filter(({ year }) => year).sort((a, b) => b.year - a.year || a.column - b.column);
+  const current = byYear[0] || amountColumns[0] || null;
+  const comparative = byYear.length > 0
+    ? byYear.find(({ year }) => year < current.year) || null
+    : amountColumns[1] || null;
+
+  return {
+    ...table,
+    source: 'pdf',
+    page: pageNumber,
+    statement,
+    title,
+    periods: { current, comparative },
+    lineItems: table.rows
+      .map((row, index) => ({ row, index }))
+      .filter(({ index }) => ['data', 'subtotal', 'total'].includes(table.rowTypes[index]) && table.rows[index][0])
+      .map(({ row, index }) => ({
+        row: index + 1,
+        label: row[0],
+        note: noteColumn !== -1 ? row[noteColumn + 1] : null,
+        rowType: table.rowTypes[index],
+        current: current ? row[current.column] : null,
+        comparative: comparative ? row[comparative.column] : null
+      }))
+  };
+};
+
+/**
+ * Find the tables of PDF pages read by extractPdfPages (pdfLayout.mjs)
+ */
+export const findPdfTables = (pages) => {
+  const tables = [];
+
+  pages.forEach(page => {
+    const classified = page.lines.map(classifyLine);
+    let floor = 0;
+    findRuns(classified).forEach(run => {
+      const table = buildTable(classified, run, floor, page.pageNumber);
+      if (table) tables.push(table);
+      floor = run.end + 1;
+    });
+  });
+
+  // Statements running over several pages keep their title; number repeated names
+  const seen = new Map();
+  return tables.map(table => {
+    const count = (seen.get(table.name) || 0) + 1;
+    seen.set(table.name, count);
+    return count > 1 ? { ...table, name: `${table.name} (${count})` } : table;
+  });
+};
@@ -0,0 +1,180 @@
+// pgvectorStore.cjs
+// Postgres/pgvector adapter for the vector store interface (see vectorStore.cjs).
+// Vectors live in the vector_chunks table of our own database, so client documents never
+// leave it. Requires the pgvector extension to be available on the server.
+
+const { Pool } = require('pg');
+
+const DIMENSIONS = Number(process.env.VECTOR_DIMENSIONS || 1536); // text-embedding-ada-002
+
+const toVectorLiteral = (values) => `[${values.join(',')}]`;
+
+const RANGE_OPERATORS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+/**
+ * Compile a Pinecone-style metadata filter into a SQL condition on the metadata JSONB column.
+ * Values are compared as JSON, so numbers compare numerically and strings exactly.
+ */
+function compileFilter(filter, params) {
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const compileComparison = (key, operator, operand) => {
+    const keyParam = param(key);
+    const field = `(metadata -> ${keyParam}::text)`;
+
+    switch (operator) {
+      case '$exists':
+        return operand ? `(metadata ? ${keyParam}::text)` : `(NOT (metadata ? ${keyParam}::text))`;
+      case '$eq':
+        return `(${field} = ${param(JSON.stringify(operand))}::jsonb)`;
+      case '$ne':
+        return `(${field} IS NULL OR ${field} <> ${param(JSON.stringify(operand))}::jsonb)`;
+      case '$in':
+        return `(${field} = ANY(${param(operand.map(value => JSON.stringify(value)))}::jsonb[]))`;
+      case '$nin':
+        return `(${field} IS NULL OR NOT (${field} = ANY(${param(operand.map(value => JSON.stringify(value)))}::jsonb[])))`;
+      default: {
+        if (!RANGE_OPERATORS[operator]) throw new Error(`Unsupported filter operator: ${operator}`);
+        const operandParam = param(JSON.stringify(operand));
+        return `(jsonb_typeof(${field}) = jsonb_typeof(${operandParam}::jsonb) AND ${field} ${RANGE_OPERATORS[operator]} ${operandParam}::jsonb)`;
+      }
+    }
+  };
+
+  const clauses = Object.entries(filter || {}).map(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      const joined = condition.map(clause => compileFilter(clause, params)).join(key === '$and' ? ' AND ' : ' OR ');
+      return `(${joined || 'TRUE'})`;
+    }
+
+    const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+      ? condition
+      : { $eq: condition };
+    return Object.entries(operators).map(([operator, operand]) => compileComparison(key, operator, operand)).join(' AND ');
+  });
+
+  return clauses.length > 0 ? clauses.join(' AND ') : 'TRUE';
+}
+
+function createPgvectorStore({ pool } = {}) {
+  const db = pool || new Pool({
+    user: process.env.PGUSER,
+    password: process.env.POSTGRES_PASSWORD,
+    host: process.env.PGHOST,
+    port: process.env.PGPORT,
+    database: process.env.PGDATABASE,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  // Create the extension and table on first use
+  let schemaReady = null;
+  const ensureSchema = () => {
+    schemaReady ||= (async () => {
+      await db.query('CREATE EXTENSION IF NOT EXISTS vector');
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS vector_chunks (
+          id TEXT PRIMARY KEY,
+          embedding vector(${DIMENSIONS}) NOT NULL,
+          metadata JSONB NOT NULL DEFAULT '{}',
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.query('CREATE INDEX IF NOT EXISTS idx_vector_chunks_embedding ON vector_chunks USING hnsw (embedding vector_cosine_ops)');
+      await db.query('CREATE INDEX IF NOT EXISTS idx_vector_chunks_metadata ON vector_chunks USING gin (metadata)');
+    })().catch(error => {
+      schemaReady = null;
+      throw new Error(`Failed to prepare pgvector schema: ${error.message}`);
+    });
+    return schemaReady;
+  };
+
+  const deleteByIds = async (ids) => {
+    if (ids.length === 0) return;
+    await ensureSchema();
+    await db.query('DELETE FROM vector_chunks WHERE id = ANY($1::text[])', [ids]);
+  };
+
+  return {
+    backend: 'pgvector',
+
+    async upsert(vectors) {
+      await ensureSchema();
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+        for (const { id, values, metadata = {} } of vectors) {
+          await client.query(
+            `INSERT INTO vector_chunks (id, embedding, metadata)
+             VALUES ($1, $2::vector, $3)
+             ON CONFLICT (id)
+             DO UPDATE SET embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata, updated_at = CURRENT_TIMESTAMP`,
+            [id, toVectorLiteral(values), metadata]
+          );
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    async query({ vector, topK = 10, filter }) {
+      await ensureSchema();
+      const params = [toVectorLiteral(vector), topK];
+      const where = compileFilter(filter, params);
+      const result = await db.query(
+        `SELECT id, metadata, 1 - (embedding <=> $1::vector) AS score
+         FROM vector_chunks
+         WHERE ${where}
+         ORDER BY embedding <=> $1::vector
+         LIMIT $2`,
+        params
+      );
+      return { matches: result.rows.map(row => ({ id: row.id, score: Number(row.score), metadata: row.metadata })) };
+    },
+
+    async fetch(ids) {
+      await ensureSchema();
+      const result = await db.query('SELECT id, metadata FROM vector_chunks WHERE id = ANY($1::text[])', [ids]);
+      return Object.fromEntries(result.rows.map(row => [row.id, row]));
+    },
+
+    deleteByIds,
+
+    async deleteByFilter(filter, { prefix = '' } = {}) {
+      await ensureSchema();
+      const params = [];
+      const where = compileFilter(filter, params);
+      params.push(prefix);
+      const result = await db.query(`DELETE FROM vector_chunks WHERE ${where} AND starts_with(id, $${params.length})`, params);
+      return result.rowCount;
+    },
+
+    async listByPrefix(prefix = '') {
+      await ensureSchema();
+      const result = await db.query('SELECT id FROM vector_chunks WHERE starts_with(id, $1) ORDER BY id', [prefix]);
+      return result.rows.map(row => row.id);
+    },
+
+    async updateMetadata(ids, patch) {
+      if (ids.length === 0) return;
+      await ensureSchema();
+      await db.query(
+        'UPDATE vector_chunks SET metadata = metadata || $2::jsonb, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1::text[])',
+        [ids, patch]
+      );
+    },
+
+    // Ends the pool only when the adapter opened it
+    async close() {
+      if (!pool) await db.end();
+    }
+  };
+}
+
+module.exports = { createPgvectorStore, compileFilter };
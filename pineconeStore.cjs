@@ -0,0 +1,97 @@
+// pineconeStore.cjs
+// Pinecone adapter for the vector store interface (see vectorStore.cjs).
+
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { matchesFilter } = require('./vectorStore.cjs');
+
+// Pinecone limits upserts, fetches and deletes per request
+const BATCH_SIZE = 100;
+
+// Upload chunk ids start with conversation_<id>_ (see fileProcessor.mjs), so a conversation filter
+// narrows the ids to list
+const conversationPrefixOf = (filter = {}) => {
+  const condition = filter.conversationId;
+  const value = condition !== null && typeof condition === 'object' ? condition.$eq : condition;
+  return value !== undefined && value !== null ? `conversation_${value}_` : null;
+};
+
+const inBatches = async (items, handler) => {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    await handler(items.slice(i, i + BATCH_SIZE));
+  }
+};
+
+function createPineconeStore({
+  apiKey = process.env.PINECONE_API_KEY,
+  indexName = process.env.PINECONE_INDEX
+} = {}) {
+  if (!apiKey || apiKey.includes('your_') || !indexName || indexName.includes('your_')) {
+    throw new Error('Pinecone is not configured. Please check your PINECONE_API_KEY and PINECONE_INDEX in the .env file.');
+  }
+
+  const index = new Pinecone({ apiKey }).index(indexName);
+
+  const listByPrefix = async (prefix) => {
+    const ids = [];
+    let paginationToken;
+    do {
+      const page = await index.listPaginated({ prefix: prefix || undefined, paginationToken });
+      ids.push(...(page.vectors || []).map(vector => vector.id));
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
+    return ids;
+  };
+
+  const fetch = async (ids) => {
+    const records = {};
+    await inBatches(ids, async (batch) => {
+      const response = await index.fetch(batch);
+      Object.values(response.records || {}).forEach(record => {
+        records[record.id] = { id: record.id, metadata: record.metadata || {} };
+      });
+    });
+    return records;
+  };
+
+  const deleteByIds = (ids) => inBatches(ids, batch => index.deleteMany(batch));
+
+  return {
+    backend: 'pinecone',
+
+    upsert: (vectors) => inBatches(vectors, batch => index.upsert(batch)),
+
+    async query({ vector, topK = 10, filter }) {
+      const response = await index.query({ vector, topK, includeMetadata: true, filter });
+      return { matches: response.matches || [] };
+    },
+
+    fetch,
+    deleteByIds,
+
+    // Serverless indexes cannot delete by metadata, so ids under the prefix are listed and matched
+    // locally. Without a prefix or a conversation filter this would read the whole index, so it is refused.
+    async deleteByFilter(filter, { prefix = conversationPrefixOf(filter) } = {}) {
+      if (!prefix) {
+        throw new Error('Pinecone deleteByFilter needs a conversationId filter or an id prefix');
+      }
+      const records = await fetch(await listByPrefix(prefix));
+      const ids = Object.values(records).filter(record => matchesFilter(record.metadata, filter)).map(record => record.id);
+      await deleteByIds(ids);
+      return ids.length;
+    },
+
+    listByPrefix,
+
+    // Pinecone merges the given fields into the stored metadata
+    async updateMetadata(ids, patch) {
+      for (const id of ids) {
+        await index.update({ id, metadata: patch });
+      }
+    },
+
+    // The client holds no open connections
+    async close() {}
+  };
+}
+
+module.exports = { createPineconeStore };
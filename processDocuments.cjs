@@ -3,28 +3,22 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const pdfParse = require('pdf-parse-debugging-disabled');
-const { OpenAI } = require('openai');
-const { Pinecone } = require('@pinecone-database/pinecone');
+const { chunkLegislation, splitIntoChunks } = require('./legislationChunker.cjs');
+const { parseDocumentFilename, parseEffectiveDates } = require('./documentMetadata.cjs');
+const { getVectorStore } = require('./vectorStore.cjs');
+const { getEmbeddingService } = require('./embeddingService.cjs');
+const { getKeywordIndex } = require('./keywordIndex.cjs');
+const { cleanExtractedText, detectLanguage } = require('./arabicText.cjs');
 require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Initialize Pinecone
-const pinecone = new Pinecone({
-  apiKey: process.env.PINECONE_API_KEY
-});
-
 // Configuration
 const CONFIG = {
   chunking: {
     maxChunkSize: 1000,
+    maxArticleSize: 4000,
     overlap: 200,
   },
   embedding: {
-    model: "text-embedding-ada-002",
     batchSize: 100,
   },
   paths: {
@@ -34,7 +28,9 @@ const CONFIG = {
   }
 };
 
-const index = pinecone.index(process.env.PINECONE_INDEX);
+const vectorStore = getVectorStore();
+const embeddingService = getEmbeddingService();
+const keywordIndex = getKeywordIndex();
 
 // Function to parse PDF files
 async function parsePDF(filePath) {
@@ -49,11 +45,11 @@ async function parsePDF(filePath) {
     const dataBuffer = await fs.readFile(filePath);
     const data = await pdfParse(dataBuffer);
     
-    // Clean and prepare the text
-    const cleanedText = data.text
-      .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
-      .replace(/[^\x20-\x7E\s]/g, '') // Remove non-printable characters
-      .trim();
+    // Clean and prepare the text, keeping line breaks so Article headings can be found and
+    // keeping Arabic, normalised and in reading order
+    const cleanedText = cleanExtractedText(data.text);
+    
+    const fileMetadata = parseDocumentFilename(filePath);
     
     return {
       text: cleanedText,
@@ -61,6 +57,8 @@ async function parsePDF(filePath) {
         title: path.basename(filePath, '.pdf'),
         pages: data.numpages,
         source: filePath,
+        ...fileMetadata,
+        ...parseEffectiveDates(cleanedText, fileMetadata.instrumentType),
       }
     };
   } catch (error) {
@@ -92,45 +90,31 @@ async function saveProcessedHash(filePath, hash) {
   await fs.writeFile(CONFIG.paths.hashesFile, JSON.stringify(hashes, null, 2));
 }
 
-// Split text into chunks with overlap
-function splitIntoChunks(text, maxChunkSize, overlap) {
-  const chunks = [];
-  let startIndex = 0;
-
-  while (startIndex < text.length) {
-    let endIndex = startIndex + maxChunkSize;
-    
-    // Try to find a good breaking point (end of sentence)
-    if (endIndex < text.length) {
-      const nextPeriod = text.indexOf('.', endIndex - 50);
-      if (nextPeriod !== -1 && nextPeriod < endIndex + 50) {
-        endIndex = nextPeriod + 1;
-      }
-    }
-
-    chunks.push(text.slice(startIndex, endIndex).trim());
-    startIndex = endIndex - overlap;
+// Split a document into chunks: Article-aware for legislation, sentence windows otherwise
+function chunkDocument(text) {
+  const articleChunks = chunkLegislation(text, {
+    maxChunkSize: CONFIG.chunking.maxArticleSize,
+    overlap: CONFIG.chunking.overlap
+  });
+  if (articleChunks) {
+    return articleChunks;
   }
 
-  return chunks.filter(chunk => chunk.length > 0); // Remove empty chunks
+  return splitIntoChunks(
+    text.replace(/\s+/g, ' '),
+    CONFIG.chunking.maxChunkSize,
+    CONFIG.chunking.overlap
+  ).map(chunk => ({ text: chunk }));
 }
 
-// Create embeddings using Gemini
+// Create embeddings with the shared embedding service, which skips chunks it has embedded before
 async function createEmbeddings(chunks) {
   const embeddings = [];
   
   for (let i = 0; i < chunks.length; i += CONFIG.embedding.batchSize) {
     const batch = chunks.slice(i, i + CONFIG.embedding.batchSize);
     try {
-      const embeddingResults = await Promise.all(
-        batch.map(async (chunk) => {
-          const response = await openai.embeddings.create({
-            model: CONFIG.embedding.model,
-            input: chunk,
-          });
-          return response.data[0].embedding;
-        })
-      );
+      const embeddingResults = await embeddingService.embedTexts(batch);
       embeddings.push(...embeddingResults);
       console.log(`Processed embeddings batch ${Math.floor(i/CONFIG.embedding.batchSize) + 1} of ${Math.ceil(chunks.length/CONFIG.embedding.batchSize)}`);
     } catch (error) {
@@ -142,9 +126,12 @@ async function createEmbeddings(chunks) {
   return embeddings;
 }
 
-// Store document chunks and embeddings in Pinecone
-async function storeInPinecone(chunks, embeddings, metadata) {
-  const vectors = chunks.map((chunk, i) => {
+// Store document chunks and embeddings in the vector store
+async function storeVectors(chunks, embeddings, metadata) {
+  const idPrefix = `${metadata.title.replace(/[^a-zA-Z0-9-_]/g, '_')}-`;
+  const vectors = chunks.map(({ text, ...location }, i) => {
+    // Vector store metadata cannot hold nulls; chunks without letters carry no language
+    const language = detectLanguage(text);
     // Ensure the embedding exists and is valid
     if (!embeddings[i] || !Array.isArray(embeddings[i])) {
       console.error(`Invalid embedding at index ${i}:`, embeddings[i]);
@@ -152,11 +139,13 @@ async function storeInPinecone(chunks, embeddings, metadata) {
     }
     
     return {
-      id: `${metadata.title.replace(/[^a-zA-Z0-9-_]/g, '_')}-${i}`,
+      id: `${idPrefix}${i}`,
       values: embeddings[i],
       metadata: {
         ...metadata,
-        text: chunk,
+        ...location,
+        text,
+        ...(language ? { language } : {}),
         chunk_index: i,
       },
     };
@@ -166,7 +155,7 @@ async function storeInPinecone(chunks, embeddings, metadata) {
   for (let i = 0; i < vectors.length; i += 100) {
     const batch = vectors.slice(i, i + 100);
     try {
-      await index.upsert(batch);
+      await vectorStore.upsert(batch);
       console.log(`Successfully uploaded batch ${Math.floor(i/100) + 1} of ${Math.ceil(vectors.length/100)}`);
     } catch (error) {
       console.error('Error uploading batch:', error);
@@ -174,10 +163,50 @@ async function storeInPinecone(chunks, embeddings, metadata) {
       throw error;
     }
   }
+
+  // Index the same chunks for keyword search
+  try {
+    await keywordIndex.upsert(vectors.map(({ id, metadata }) => ({ id, text: metadata.text, metadata })));
+  } catch (error) {
+    console.warn('Could not add chunks to the keyword index:', error.message);
+  }
+
+  // Remove chunks left over from an earlier, longer version of the document
+  for (const store of [vectorStore, keywordIndex]) {
+    try {
+      const staleIds = (await store.listByPrefix(idPrefix))
+        .filter(id => /^\d+$/.test(id.slice(idPrefix.length)) && Number(id.slice(idPrefix.length)) >= vectors.length);
+      if (staleIds.length > 0) {
+        await store.deleteByIds(staleIds);
+        console.log(`Removed ${staleIds.length} stale chunks from the ${store.backend} index`);
+      }
+    } catch (error) {
+      console.warn(`Could not check the ${store.backend} index for stale chunks:`, error.message);
+    }
+  }
+}
+
+// Build the keyword index from chunks already in the vector store, without embedding anything again
+async function backfillKeywordIndex() {
+  const ids = await vectorStore.listByPrefix('');
+  console.log(`Found ${ids.length} chunks in the ${vectorStore.backend} vector store`);
+
+  for (let i = 0; i < ids.length; i += 100) {
+    const records = Object.values(await vectorStore.fetch(ids.slice(i, i + 100)));
+    await keywordIndex.upsert(
+      records
+        .filter(record => record.metadata?.text)
+        .map(record => ({ id: record.id, text: record.metadata.text, metadata: record.metadata }))
+    );
+    console.log(`Indexed keyword batch ${Math.floor(i/100) + 1} of ${Math.ceil(ids.length/100)}`);
+  }
+
+  console.log('\nKeyword index backfill completed!');
 }
 
-// Process a single document
-async function processDocument(filePath) {
+// Process a single document. With reindex, files already in the processed directory are
+// embedded again in place so existing vectors pick up new metadata.
+async function processDocument(filePath, { reindex = false } = {}) {
   console.log(`\nProcessing document: ${filePath}`);
   
   try {
@@ -187,7 +216,7 @@ async function processDocument(filePath) {
     const fileName = path.basename(filePath);
     
     // Check if file was already processed
-    if (processedHashes[fileName] === fileHash) {
+    if (!reindex && processedHashes[fileName] === fileHash) {
       console.log(`File ${fileName} was already processed (duplicate detected)`);
       
       // Move to processed directory without processing
@@ -207,20 +236,23 @@ async function processDocument(filePath) {
     
     // Split into chunks
     console.log('Splitting document into chunks...');
-    const chunks = splitIntoChunks(
-      document.text,
-      CONFIG.chunking.maxChunkSize,
-      CONFIG.chunking.overlap
-    );
-    console.log(`Created ${chunks.length} chunks`);
+    const chunks = chunkDocument(document.text);
+    const articleChunks = chunks.filter(chunk => chunk.article).length;
+    console.log(`Created ${chunks.length} chunks (${articleChunks} tagged with an Article)`);
     
     // Create embeddings
     console.log('Creating embeddings...');
-    const embeddings = await createEmbeddings(chunks);
+    const embeddings = await createEmbeddings(chunks.map(chunk => chunk.text));
     
-    // Store in Pinecone
-    console.log('Storing in Pinecone...');
-    await storeInPinecone(chunks, embeddings, document.metadata);
+    // Store in the vector store
+    console.log(`Storing in ${vectorStore.backend} vector store...`);
+    await storeVectors(chunks, embeddings, document.metadata);
+    
+    if (reindex) {
+      await saveProcessedHash(fileName, fileHash);
+      console.log(`Successfully reindexed: ${fileName}`);
+      return;
+    }
     
     // Move to processed directory and save hash
     const processedPath = path.join(CONFIG.paths.processedDir, fileName);
@@ -235,18 +267,21 @@ async function processDocument(filePath) {
   }
 }
 
-// Main processing function
+// Main processing function. Pass --reindex to re-embed everything in the processed directory.
 async function processAllDocuments() {
+  const reindex = process.argv.includes('--reindex');
+  const sourceDir = reindex ? CONFIG.paths.processedDir : CONFIG.paths.documentsDir;
+  
   try {
-    await fs.mkdir(CONFIG.paths.documentsDir, { recursive: true });
+    await fs.mkdir(sourceDir, { recursive: true });
     
-    const files = await fs.readdir(CONFIG.paths.documentsDir);
+    const files = await fs.readdir(sourceDir);
     const pdfFiles = files
       .filter(file => file.toLowerCase().endsWith('.pdf'))
-      .map(file => path.join(CONFIG.paths.documentsDir, file));
+      .map(file => path.join(sourceDir, file));
     
     if (pdfFiles.length === 0) {
-      console.log(`No PDF files found in ${CONFIG.paths.documentsDir}`);
+      console.log(`No PDF files found in ${sourceDir}`);
       return;
     }
     
@@ -256,7 +291,7 @@ async function processAllDocuments() {
     // Process each document
     for (const file of pdfFiles) {
       try {
-        await processDocument(file);
+        await processDocument(file, { reindex });
       } catch (error) {
         console.error(`Failed to process ${file}:`, error);
         // Continue with next file instead of stopping the entire process
@@ -271,5 +306,12 @@ async function processAllDocuments() {
   }
 }
 
-// Start processing
-processAllDocuments();
\ No newline at end of file
+// Start processing. Pass --keyword-index to only backfill the keyword index.
+if (process.argv.includes('--keyword-index')) {
+  backfillKeywordIndex().catch(error => {
+    console.error('Error backfilling keyword index:', error);
+    process.exit(1);
+  });
+} else {
+  processAllDocuments();
+}
\ No newline at end of file
@@ -0,0 +1,106 @@
+import { getChatProvider } from './llmProvider.cjs';
+import { detectLanguage } from './arabicText.cjs';
+
+/**
+ * Follow-up aware query rewriting.
+ * A follow-up such as "and what if it's a free zone company?" means little on its own, so before
+ * retrieval the latest message is rewritten into standalone search queries using the recent turns,
+ * the rolling summary and the names of the documents uploaded to the conversation.
+ */
+
+const MAX_QUERIES = 3;
+const RECENT_TURNS = 4;
+const MAX_TURN_CHARS = 1000;
+
+const REWRITE_PROMPT = `You turn the latest message of a UAE tax conversation into standalone search queries.
+Resolve pronouns and follow-ups using the earlier conversation, and keep exact legal terms, Article numbers,
+figures and document names. Write 1 to ${MAX_QUERIES} short queries; use more than one only when the message
+asks about several distinct things or refers to an uploaded document as well as the law.
+Reply with JSON only, in the form {"queries": ["...", "..."]}.`;
+
+// The knowledge base holds Arabic and English texts; Arabic questions search in both languages
+const ARABIC_PROMPT = `The latest message is in Arabic. Write each query in Arabic, each followed by its English
+translation using the official English legal terms, so up to ${MAX_QUERIES * 2} queries in all.`;
+
+// Set QUERY_REWRITING=false to search with the raw message only
+const rewritingEnabled = () => process.env.QUERY_REWRITING !== 'false';
+
+/**
+ * Pull the queries out of the model reply, tolerating code fences or text around the JSON
+ */
+const parseQueries = (reply) => {
+  const json = (reply.match(/\{[\s\S]*\}/) || [null])[0];
+  if (!json) return [];
+
+  try {
+    const { queries } = JSON.parse(json);
+    return Array.isArray(queries)
+      ? queries.filter(query => typeof query === 'string' && query.trim()).map(query => query.trim())
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Rewrite the latest message into standalone search queries.
+ * history: saved messages ({ role, content }), oldest first; summary: rolling summary of older turns;
+ * documents: [{ fileName }] uploaded to the conversation.
+ * Arabic messages also get English queries, since much of the knowledge base is English only.
+ * Returns the raw message when there is nothing to resolve it against or the rewrite fails.
+ */
+export const rewriteQueries = async ({ message, history = [], summary = null, documents = [] }) => {
+  // Arabic messages are rewritten even on their own, to add English queries
+  const arabic = detectLanguage(message) === 'ar';
+  if (!rewritingEnabled() || (history.length === 0 && documents.length === 0 && !arabic)) {
+    return [message];
+  }
+
+  const recentTurns = history
+    .slice(-RECENT_TURNS)
+    .map(turn => `${turn.role === 'user' ? 'Client' : 'Assistant'}: ${turn.content.slice(0, MAX_TURN_CHARS)}`)
+    .join('\n\n');
+
+  const context = [
+    summary ? `Summary of the earlier conversation:\n${summary}` : null,
+    recentTurns ? `Recent turns:\n${recentTurns}` : null,
+    documents.length > 0 ? `Uploaded documents:\n${documents.map(document => `- ${document.fileName}`).join('\n')}` : null,
+    `Latest message:\n${message}`
+  ].filter(Boolean).join('\n\n');
+
+  try {
+    const reply = await getChatProvider().complete({
+      messages: [
+        { role: 'system', content: arabic ? `${REWRITE_PROMPT}\n${ARABIC_PROMPT}` : REWRITE_PROMPT },
+        { role: 'user', content: context }
+      ],
+      temperature: 0,
+      maxTokens: arabic ? 400 : 200
+    });
+
+    const queries = [...new Set(parseQueries(reply))].slice(0, arabic ? MAX_QUERIES * 2 : MAX_QUERIES);
+    return queries.length > 0 ? queries : [message];
+  } catch (error) {
+    console.error('Error rewriting search queries, using the raw message:', error);
+    return [message];
+  }
+};
+
+/**
+ * Merge the result lists of several queries: each chunk keeps its best score and records
+ * which queries found it.
+ */
+export const mergeSearchResults = (resultLists, queries) => {
+  const merged = new Map();
+
+  resultLists.forEach((results, queryIndex) => {
+    results.forEach(result => {
+      const existing = merged.get(result.id);
+      const matchedQueries = [...(existing?.matchedQueries || []), queries[queryIndex]];
+      const best = !existing || result.score > existing.score ? result : existing;
+      merged.set(result.id, { ...best, matchedQueries });
+    });
+  });
+
+  return [...merged.values()].sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,142 @@
+import { getRerankProvider } from './llmProvider.cjs';
+import { STATUS_SCORE_FACTORS } from './supersession.mjs';
+
+/**
+ * Second-stage reranking of retrieved chunks.
+ * Retrieval over-fetches candidates from the knowledge base and the user's documents; this stage
+ * removes near-duplicates (such as the several copies of MD 73 in the corpus), scores every
+ * remaining chunk against the question with the configured reranker, drops anything below the
+ * minimum relevance and keeps the best chunks of each source up to its quota.
+ * Every candidate leaves with a reason it was kept or dropped, for the sources event.
+ */
+
+// Chunks sharing this share of their word trigrams are treated as copies of each other
+const NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+const wordTrigrams = (text) => {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const trigrams = new Set();
+  for (let i = 0; i + 2 < words.length; i++) {
+    trigrams.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  }
+  return trigrams;
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+// What the sources event reports about a dropped chunk
+const describeDropped = (citation, reason, extra = {}) => ({
+  chunkId: citation.chunkId,
+  type: citation.type,
+  title: citation.title,
+  reference: citation.reference,
+  retrievalScore: citation.retrievalScore ?? citation.score,
+  reason,
+  ...extra
+});
+
+/**
+ * Remove near-duplicate chunks, keeping the better-scored copy
+ */
+export const removeNearDuplicates = (candidates) => {
+  const unique = [];
+  const dropped = [];
+
+  [...candidates]
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      const trigrams = wordTrigrams(candidate.excerpt);
+      const original = unique
+        .map(kept => ({ kept, similarity: jaccard(kept.trigrams, trigrams) }))
+        .find(({ similarity }) => similarity >= NEAR_DUPLICATE_THRESHOLD);
+
+      if (original) {
+        dropped.push(describeDropped(candidate, 'near_duplicate', {
+          duplicateOf: original.kept.candidate.chunkId,
+          similarity: Number(original.similarity.toFixed(2))
+        }));
+      } else {
+        unique.push({ candidate, trigrams });
+      }
+    });
+
+  return { unique: unique.map(({ candidate }) => candidate), dropped };
+};
+
+/**
+ * Rerank candidate citations (see citations.mjs) against the question.
+ * quotas: maximum chunks per citation type, e.g. { user_document: 3, knowledge_base: 3 }.
+ * minScore: minimum relevance from 0 to 1; only applied when the reranker produced scores.
+ * Relevance is scaled by the supersession status so current law still outranks repealed law.
+ * If no reranker is configured or it fails, candidates keep their retrieval order and score.
+ * Returns { kept, dropped, reranker }; kept citations carry a selection explaining why.
+ */
+export const rerankCitations = async (query, candidates, { quotas = {}, minScore = 0 } = {}) => {
+  const { unique, dropped } = removeNearDuplicates(candidates);
+
+  let scores = null;
+  let reranker = 'none';
+  try {
+    const provider = getRerankProvider();
+    if (provider && unique.length > 0) {
+      scores = await provider.rerank({ query, documents: unique.map(citation => citation.excerpt) });
+      reranker = provider.name;
+    }
+  } catch (error) {
+    console.error('Error reranking retrieved chunks, keeping retrieval order:', error);
+  }
+
+  const ranked = unique
+    .map((citation, index) => {
+      const relevanceScore = scores ? Math.round((scores[index] || 0) * 1000) / 1000 : null;
+      const statusFactor = STATUS_SCORE_FACTORS[citation.status] ?? 1;
+      return {
+        ...citation,
+        retrievalScore: citation.score,
+        relevanceScore,
+        score: scores ? relevanceScore * statusFactor : citation.score
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const kept = [];
+  const keptPerType = {};
+  ranked.forEach(citation => {
+    if (scores && citation.relevanceScore < minScore) {
+      dropped.push(describeDropped(citation, 'below_threshold', { relevanceScore: citation.relevanceScore, minScore }));
+      return;
+    }
+
+    const rank = (keptPerType[citation.type] || 0) + 1;
+    const quota = quotas[citation.type] ?? Infinity;
+    if (rank > quota) {
+      dropped.push(describeDropped(citation, 'over_quota', { relevanceScore: citation.relevanceScore, quota }));
+      return;
+    }
+
+    keptPerType[citation.type] = rank;
+    kept.push({
+      ...citation,
+      selection: {
+        reason: scores ? 'reranked' : 'retrieval_order',
+        rank,
+        relevanceScore: citation.relevanceScore,
+        retrievalScore: citation.retrievalScore,
+        status: citation.status || null
+      }
+    });
+  });
+
+  console.log(`Reranking (${reranker}): kept ${kept.length} of ${candidates.length} candidates`, {
+    dropped: dropped.reduce((counts, { reason }) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {})
+  });
+
+  return { kept, dropped, reranker };
+};
@@ -1,8 +1,6 @@
 // server.mjs
 import express from 'express';
 import cors from 'cors';
-import { OpenAI } from 'openai';
-import { Pinecone } from '@pinecone-database/pinecone';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,10 +11,16 @@ import multer from 'multer';
 import fs from 'fs';
 import {
   processFile,
-  createDocumentEmbeddings,
   searchDocumentChunks,
+  searchKnowledgeBase,
+  resolveRetrievalOptions,
+  deleteDocumentVectors,
+  renameDocumentVectors,
+  hashFile,
   cleanupFile
 } from './fileProcessor.mjs';
+import { buildKnowledgeBaseFilter, resolveAsOf } from './documentMetadata.cjs';
+import { resolveResponseLanguage } from './arabicText.cjs';
 import {
   initDb,
   initDbSafe,
@@ -26,8 +30,63 @@ import {
   getConversationMessages,
   updateConversationTimestamp,
   updateConversation,
-  deleteConversation
+  deleteConversation,
+  getTrialBalanceAccounts,
+  updateTrialBalanceAccountCategory,
+  getAccountCategoryOverrides,
+  getDocumentTables,
+  createDocument,
+  findDocumentByHash,
+  markDocumentFailed,
+  getConversationDocuments,
+  getDocument,
+  renameDocument,
+  deleteDocument,
+  createUploadJob,
+  getUploadJob,
+  getInstrumentRelations,
+  createInstrumentRelation,
+  updateInstrumentRelation,
+  deleteInstrumentRelation,
+  seedInstrumentRelations,
+  getUsers,
+  getUserAccount,
+  createUser,
+  updateUser,
+  resetUserPassword,
+  recordLogin,
+  deleteUser
 } from './db.mjs';
+import { computeCorporateTax, CIT_RULES } from './taxComputation.mjs';
+import { classifyTrialBalance, savedTrialBalance, CT_CATEGORIES } from './accountClassifier.mjs';
+import {
+  buildKnowledgeBaseCitation,
+  buildDocumentCitation,
+  numberCitations,
+  formatCitationContext,
+  formatReference
+} from './citations.mjs';
+import {
+  SEED_RELATIONS,
+  validateRelation,
+  loadRelations,
+  invalidateRelations,
+  applySupersession
+} from './supersession.mjs';
+import { validateNewUser, validateUserUpdate, validatePassword, validateUserId } from './userAccounts.mjs';
+import { getChatProvider } from './llmProvider.cjs';
+import { planContextBudget, loadConversationMemory, buildHistory } from './conversationMemory.mjs';
+import { rewriteQueries, mergeSearchResults } from './queryRewriter.mjs';
+import { rerankCitations } from './reranker.mjs';
+import { runCleanupJob, startCleanupWorker } from './vectorCleanup.mjs';
+import { extractZipArchive } from './zipArchive.mjs';
+import {
+  uploadEvents,
+  FINAL_UPLOAD_STATUSES,
+  describeUploadJob,
+  wakeUploadWorker,
+  startUploadWorker
+} from './uploadWorker.mjs';
 import bcrypt from 'bcrypt';
 import pkg from 'pg';
 import jwt from 'jsonwebtoken';
@@ -113,6 +172,7 @@ const authLimiter = rateLimit({
 app.use('/api/', limiter);
 
 // Sanitize request data
+app.use('/api/tax', express.json({ limit: '1mb' })); // Trial balances posted as JSON are larger than chat payloads
 app.use(express.json({ limit: '10kb' })); // Limit JSON payload size
 
 // Security headers middleware
@@ -141,31 +201,6 @@ app.get('/api/test', (req, res) => {
   res.json({ message: 'CORS is working' });
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Initialize Pinecone with error handling
-const pinecone = new Pinecone({
-  apiKey: process.env.PINECONE_API_KEY
-});
-
-// Validate environment variables
-if (!process.env.PINECONE_INDEX) {
-  throw new Error('PINECONE_INDEX environment variable is not set');
-}
-
-const index = pinecone.index(process.env.PINECONE_INDEX);
-
-// Error handler for Pinecone operations
-const handlePineconeError = (error) => {
-  console.error('Pinecone error:', error);
-  if (error.message.includes('name')) {
-    throw new Error('Invalid Pinecone index configuration. Please check your PINECONE_INDEX environment variable.');
-  }
-  throw error;
-};
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   console.log('Health check received:', {
@@ -225,16 +260,37 @@ Your role is to provide **accurate, clear, and professional** answers strictly w
 - **Less Allowable Deductions:**
   - Depreciation: AED XXX
 - **Taxable Profit:** AED XXXX
-- **Exempt Threshold:** AED 375,000
-- **Taxable Amount:** AED XXXX - AED 375,000 = AED XXXX
-- **Tax Rate:** 9%
+- **Exempt Threshold:** AED ${CIT_RULES.zeroRateBand.toLocaleString('en-US')}
+- **Taxable Amount:** AED XXXX - AED ${CIT_RULES.zeroRateBand.toLocaleString('en-US')} = AED XXXX
+- **Tax Rate:** ${CIT_RULES.rate * 100}%
 - **CIT Due:** AED XXX
 
 ## **Document Context Usage**
 - When user documents are available in the context, prioritize them over asking for manual input
 - Reference specific line items, accounts, or figures from uploaded documents
 - If calculations require assumptions, clearly state them and base them on standard UAE tax practices
-- Always acknowledge when you're using data from uploaded documents vs. general knowledge`;
+- Always acknowledge when you're using data from uploaded documents vs. general knowledge
+
+## **Citations**
+- Each context block is labelled with a source id such as [S1]
+- Cite the source id in square brackets after every statement that relies on it, e.g. "... is non-deductible [S2]"
+- Only cite source ids that appear in the context
+
+## **Amended and Superseded Provisions**
+- Some sources carry a "Note:" saying the provision was amended, repealed or replaced by a later instrument
+- When you rely on such a source, say so explicitly and name the later instrument and its effective date
+- Prefer the current text when both the old and the new provision are in the context
+- When the context starts with "POSITION AS AT", answer for that date or tax period and state it in the first sentence
+
+## **Language**
+- Sources may be in Arabic or English; use both, whichever language the question is in
+- Answer in the language the question asks for, keeping source ids, Article numbers and figures unchanged
+- Where the Arabic and English texts of a law differ, say so and quote the relevant wording`;
+
+const ANSWER_LANGUAGE_INSTRUCTIONS = {
+  ar: 'Answer in Arabic (Modern Standard Arabic). Keep Article numbers and give the English name of key legal terms in brackets.',
+  en: 'Answer in English.'
+};
 
 // Configure database pool
 const pool = new Pool({
@@ -272,8 +328,18 @@ const initializeDatabase = async () => {
       await initDbSafe();
       console.log('Database initialization completed successfully');
     } else {
-      console.log('Database already initialized, skipping table creation to preserve existing data');
+      // initDbSafe only creates missing tables, so newer tables are added without touching existing data
+      console.log('Database already initialized, verifying newer tables without touching existing data');
+      await initDbSafe();
     }
+
+    // Known amendments and duplicates in the legislation corpus
+    await seedInstrumentRelations(SEED_RELATIONS);
+
+    // Retry vector cleanups of deleted conversations that have not completed yet
+    startCleanupWorker();
+    // Process queued uploads, including any interrupted by a restart
+    startUploadWorker();
   } catch (error) {
     console.error('Database initialization error:', error);
     // In production, we don't want to crash the server if DB check fails
@@ -291,7 +357,8 @@ if (!process.env.JWT_SECRET) {
   console.warn('⚠️  JWT_SECRET not set in environment variables. Using generated secret (sessions will not persist across restarts)');
 }
 
-// Authentication middleware
+// Authentication middleware. The account is checked on every request, so disabling or deleting a
+// user, changing their role or resetting their password takes effect on sessions already issued.
 const authenticateToken = (req, res, next) => {
   const token = req.cookies.authToken;
   
@@ -299,15 +366,39 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+
+    try {
+      const account = await getUserAccount(user.userId);
+      if (!account) {
+        return res.status(401).json({ error: 'Account not found' });
+      }
+      if (account.disabled_at) {
+        return res.status(403).json({ error: 'Account disabled' });
+      }
+      // Tokens are issued to the second; the password change is compared at the same precision
+      if (account.password_changed_at && Math.floor(new Date(account.password_changed_at).getTime() / 1000) > user.iat) {
+        return res.status(401).json({ error: 'Password changed, please log in again' });
+      }
+      req.user = { ...user, username: account.username, role: account.role };
+      next();
+    } catch (error) {
+      console.error('Error checking user account:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   });
 };
 
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+  next();
+};
+
 // New endpoints for conversation management
 app.get('/api/conversations', authenticateToken, async (req, res) => {
   try {
@@ -369,8 +460,11 @@ app.put('/api/conversations/:id', authenticateToken, async (req, res) => {
 app.delete('/api/conversations/:id', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    await deleteConversation(req.params.id, userId);
+    const cleanupJob = await deleteConversation(req.params.id, userId);
     res.json({ success: true });
+
+    // Remove the conversation's vectors after responding; failures are retried by the cleanup worker
+    runCleanupJob(cleanupJob).catch(error => console.error('Error cleaning up conversation vectors:', error));
   } catch (error) {
     console.error('Error deleting conversation:', error);
     if (error.message.includes('Unauthorized')) {
@@ -380,20 +474,50 @@ app.delete('/api/conversations/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Text formats have no magic number: they must contain no NUL bytes and, where the format has one,
+// open with the expected first character
+const looksLikeText = (buffer) => !buffer.subarray(0, 8192).includes(0);
+const textStartingWith = (pattern) => (buffer) =>
+  looksLikeText(buffer) && pattern.test(buffer.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart());
+
 // Enhanced file upload security
 const fileSignatures = {
   pdf: [0x25, 0x50, 0x44, 0x46], // %PDF
   xlsx: [0x50, 0x4B, 0x03, 0x04], // ZIP signature (XLSX is ZIP-based)
   xls: [0xD0, 0xCF, 0x11, 0xE0], // OLE2 signature
-  csv: null // CSV files don't have a consistent signature
+  csv: null, // CSV files don't have a consistent signature
+  zip: [0x50, 0x4B, 0x03, 0x04],
+  docx: [0x50, 0x4B, 0x03, 0x04], // DOCX is ZIP-based too
+  txt: looksLikeText,
+  md: looksLikeText,
+  json: textStartingWith(/^[[{]/),
+  xml: textStartingWith(/^</),
+  eml: textStartingWith(/^[\w-]+:/) // a header line
 };
 
+// Document types accepted for upload, by extension; ZIP archives are unpacked into these
+const documentTypes = {
+  '.pdf': 'pdf',
+  '.xlsx': 'xlsx',
+  '.xls': 'xls',
+  '.csv': 'csv',
+  '.docx': 'docx',
+  '.txt': 'txt',
+  '.md': 'md',
+  '.eml': 'eml',
+  '.json': 'json',
+  '.xml': 'xml'
+};
+
+const MAX_UPLOAD_FILES = 10;
+
 const validateFileSignature = (filePath, expectedType) => {
   try {
     const buffer = fs.readFileSync(filePath);
     const signature = fileSignatures[expectedType];
     
     if (!signature) return true; // Skip validation for CSV
+    if (typeof signature === 'function') return signature(buffer);
     
     for (let i = 0; i < signature.length; i++) {
       if (buffer[i] !== signature[i]) {
@@ -408,31 +532,43 @@ const validateFileSignature = (filePath, expectedType) => {
 };
 
 // Configure multer for file uploads with enhanced security
+const UPLOAD_DIR = 'uploads/';
 const upload = multer({
-  dest: 'uploads/',
+  dest: UPLOAD_DIR,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 1 // Only allow single file upload
+    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+    files: MAX_UPLOAD_FILES
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = [
       'application/pdf',
       'text/csv',
       'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'text/plain',
+      'text/markdown',
+      'text/x-markdown',
+      'message/rfc822',
+      'application/json',
+      'application/xml',
+      'text/xml',
+      'application/zip',
+      'application/x-zip-compressed',
+      'application/octet-stream' // sent by some browsers for .md and .eml; the content is checked by signature
     ];
     
-    const allowedExtensions = ['.pdf', '.csv', '.xlsx', '.xls'];
+    const allowedExtensions = [...Object.keys(documentTypes), '.zip'];
     const fileExtension = path.extname(file.originalname).toLowerCase();
     
     // Check file extension
     if (!allowedExtensions.includes(fileExtension)) {
-      return cb(new Error('Invalid file extension. Only PDF, CSV, and Excel files are allowed.'), false);
+      return cb(new Error('Invalid file extension. Only PDF, CSV, Excel, Word, text, Markdown, e-mail, JSON, XML and ZIP files are allowed.'), false);
     }
     
     // Check MIME type
     if (!allowedTypes.includes(file.mimetype)) {
-      return cb(new Error('Invalid file type. Only PDF, CSV, and Excel files are allowed.'), false);
+      return cb(new Error('Invalid file type. Only PDF, CSV, Excel, Word, text, Markdown, e-mail, JSON, XML and ZIP files are allowed.'), false);
     }
     
     // Relaxed filename validation - just check for dangerous characters
@@ -444,94 +580,166 @@ const upload = multer({
   }
 });
 
-// File upload endpoint
-app.post('/api/upload', authenticateToken, upload.single('document'), async (req, res) => {
+/**
+ * Check one uploaded (or unpacked) file, register it as a document and queue it for the upload
+ * worker. Never throws: the outcome is returned as the file's result, with the HTTP status it
+ * would have had on its own. Files that are not queued are removed.
+ */
+const queueUpload = async ({ filePath, fileName, fileSize }, { conversationId, userId }) => {
+  const rejected = (statusCode, error, extra = {}) => {
+    cleanupFile(filePath);
+    return { fileName, status: 'rejected', statusCode, error, ...extra };
+  };
+
+  const fileExtension = path.extname(fileName).toLowerCase();
+  const fileType = documentTypes[fileExtension];
+  if (!fileType) {
+    return rejected(400, 'Only PDF, CSV, Excel, Word, text, Markdown, e-mail, JSON and XML files are allowed');
+  }
+
+  if (!validateFileSignature(filePath, fileType)) {
+    return rejected(400, 'File content does not match the declared file type');
+  }
+
+  // Register the upload; the same file twice in one conversation is rejected by its hash
+  const contentHash = hashFile(filePath);
+  let document;
+  try {
+    document = await createDocument(conversationId, userId, { fileName, fileType, fileSize, contentHash });
+  } catch (error) {
+    if (error.message.includes('Unauthorized')) {
+      return rejected(403, 'Unauthorized access to conversation');
+    }
+    if (error.message.includes('duplicate key')) {
+      const existing = await findDocumentByHash(conversationId, contentHash).catch(() => null);
+      return rejected(409, 'This file has already been uploaded to the conversation', { status: 'duplicate', document: existing });
+    }
+    console.error('Error registering upload:', error);
+    return rejected(500, 'Failed to register uploaded file');
+  }
+
+  // Extraction and embedding run in the upload worker; the stored file is removed once it is indexed
+  try {
+    const job = await createUploadJob(document.id, filePath);
+    return {
+      fileName,
+      status: 'queued',
+      statusCode: 202,
+      jobId: job.id,
+      document: {
+        id: document.id,
+        status: document.status,
+        fileName: document.file_name,
+        fileType: document.file_type,
+        fileSize: Number(document.file_size)
+      },
+      upload: describeUploadJob(job)
+    };
+  } catch (error) {
+    console.error('Error queuing upload:', error);
+    // Keep the failure on record so the same file can be uploaded again
+    await markDocumentFailed(document.id, error.message).catch(() => {});
+    return rejected(500, 'Failed to queue uploaded file');
+  }
+};
+
+/**
+ * Unpack an uploaded ZIP archive and queue every document in it; refused entries are reported too
+ */
+const queueArchiveUpload = async (file, context) => {
+  const archive = file.originalname;
+  try {
+    if (!validateFileSignature(file.path, 'zip')) {
+      return [{ fileName: archive, status: 'rejected', statusCode: 400, error: 'File content does not match the declared file type' }];
+    }
+
+    let entries;
+    try {
+      entries = extractZipArchive(file.path, { outputDir: UPLOAD_DIR, archiveName: archive });
+    } catch (error) {
+      console.error('Error unpacking archive:', archive, error.message);
+      return [{ fileName: archive, status: 'rejected', statusCode: 400, error: error.message }];
+    }
+
+    const results = [];
+    for (const entry of entries) {
+      const result = entry.error
+        ? { fileName: entry.name, status: 'rejected', statusCode: 400, error: entry.error }
+        : await queueUpload({ filePath: entry.path, fileName: entry.name, fileSize: entry.size }, context);
+      results.push({ ...result, archive, source: entry.source });
+    }
+    return results.length > 0
+      ? results
+      : [{ fileName: archive, status: 'rejected', statusCode: 400, error: 'The archive contains no files' }];
+  } finally {
+    cleanupFile(file.path);
+  }
+};
+
+// File upload endpoint: one or more files in the "document" field, ZIP archives included.
+// Every file (and every file inside an archive) is reported separately in files.
+app.post('/api/upload', authenticateToken, upload.array('document', MAX_UPLOAD_FILES), async (req, res) => {
+  const uploadedFiles = req.files || [];
   try {
     const userId = req.user.userId;
     console.log('=== UPLOAD DEBUG START ===');
     console.log('User ID:', userId);
-    console.log('File received:', req.file ? req.file.originalname : 'No file');
+    console.log('Files received:', uploadedFiles.map(file => file.originalname));
     console.log('Headers:', req.headers);
 
-    if (!req.file) {
+    if (uploadedFiles.length === 0) {
       console.log('ERROR: No file uploaded');
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Validate file signature
-    const fileExtension = path.extname(req.file.originalname).toLowerCase();
-    console.log('File extension:', fileExtension);
-    
-    let expectedType;
-    switch (fileExtension) {
-      case '.pdf': expectedType = 'pdf'; break;
-      case '.xlsx': expectedType = 'xlsx'; break;
-      case '.xls': expectedType = 'xls'; break;
-      case '.csv': expectedType = 'csv'; break;
-      default: expectedType = null;
-    }
-
-    if (expectedType && !validateFileSignature(req.file.path, expectedType)) {
-      console.log('ERROR: File signature validation failed');
-      cleanupFile(req.file.path);
-      return res.status(400).json({ error: 'File content does not match the declared file type' });
-    }
-
     // Get conversationId from headers or request body
     const conversationId = req.headers['x-conversation-id'] || req.body.conversationId;
     console.log('Conversation ID:', conversationId);
     
     if (!conversationId) {
       console.log('ERROR: No conversation ID provided');
-      cleanupFile(req.file.path);
+      uploadedFiles.forEach(file => cleanupFile(file.path));
       return res.status(400).json({ error: 'Conversation ID is required for file upload' });
     }
 
-    console.log('Processing uploaded file:', req.file.originalname, 'for conversation:', conversationId);
-    
-    // Process the file
-    console.log('Starting file processing...');
-    const processedData = await processFile(req.file.path, req.file.originalname);
-    console.log('File processed successfully:', {
-      fileName: processedData.originalName,
-      type: processedData.type,
-      textLength: processedData.text?.length || 0
-    });
-    
-    // Create embeddings and store in Pinecone with correct conversationId
-    console.log('Starting embedding creation...');
-    const embeddingResult = await createDocumentEmbeddings(processedData, conversationId);
-    console.log('Embeddings created successfully:', {
+    const results = [];
+    for (const file of [...uploadedFiles]) {
+      // Once handed over, a file is queued or already removed
+      uploadedFiles.shift();
+      if (path.extname(file.originalname).toLowerCase() === '.zip') {
+        results.push(...await queueArchiveUpload(file, { conversationId, userId }));
+      } else {
+        results.push(await queueUpload(
+          { filePath: file.path, fileName: file.originalname, fileSize: file.size },
+          { conversationId, userId }
+        ));
+      }
+    }
+
+    const queued = results.filter(result => result.status === 'queued');
+    if (queued.length > 0) {
+      wakeUploadWorker();
+    }
+
+    console.log('=== UPLOAD QUEUED ===', {
       conversationId,
-      chunksCreated: embeddingResult.chunksCreated,
-      vectorIds: embeddingResult.vectorIds.slice(0, 3) // Log first 3 vector IDs
+      queued: queued.length,
+      rejected: results.length - queued.length
     });
-    
-    // Clean up the temporary file
-    cleanupFile(req.file.path);
-    
-    console.log('=== UPLOAD SUCCESS ===');
-    res.json({
-      success: true,
-      document: {
-        fileName: processedData.originalName,
-        fileType: processedData.type,
-        fileSize: processedData.fileSize,
-        processedAt: processedData.processedAt,
-        chunksCreated: embeddingResult.chunksCreated,
-        metadata: processedData.metadata
-      }
+
+    // 202 when anything was queued, otherwise the status of the first refusal
+    res.status(queued.length > 0 ? 202 : results[0].statusCode).json({
+      success: queued.length > 0,
+      files: results.map(({ statusCode, ...result }) => result)
     });
 
   } catch (error) {
     console.error('=== UPLOAD ERROR ===');
-    console.error('Error processing file upload:', error);
+    console.error('Error queuing file upload:', error);
     console.error('Error stack:', error.stack);
     
-    // Clean up file on error
-    if (req.file) {
-      cleanupFile(req.file.path);
-    }
+    // Clean up files not yet handed over on error
+    uploadedFiles.forEach(file => cleanupFile(file.path));
     
     res.status(500).json({ 
       error: error.message || 'Failed to process uploaded file' 
@@ -539,35 +747,464 @@ app.post('/api/upload', authenticateToken, upload.single('document'), async (req
   }
 });
 
-// Search user documents endpoint
+// Status and progress of an upload
+app.get('/api/uploads/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await getUploadJob(req.params.id, req.user.userId);
+    res.json(describeUploadJob(job));
+  } catch (error) {
+    console.error('Error fetching upload job:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    res.status(500).json({ error: 'Failed to fetch upload status' });
+  }
+});
+
+// Upload progress as server-sent events: the current state first, then every change until the
+// upload is indexed or has failed for good
+app.get('/api/uploads/:id/events', authenticateToken, async (req, res) => {
+  let job;
+  try {
+    job = await getUploadJob(req.params.id, req.user.userId);
+  } catch (error) {
+    console.error('Error fetching upload job:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    return res.status(500).json({ error: 'Failed to fetch upload status' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const sendSSE = (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const eventName = `job:${job.id}`;
+  const onUpdate = (state) => {
+    sendSSE({ type: 'progress', ...state });
+    if (FINAL_UPLOAD_STATUSES.includes(state.status)) {
+      uploadEvents.off(eventName, onUpdate);
+      res.end();
+    }
+  };
+
+  uploadEvents.on(eventName, onUpdate);
+  req.on('close', () => uploadEvents.off(eventName, onUpdate));
+  onUpdate(describeUploadJob(job));
+});
+
+// Documents uploaded to a conversation
+app.get('/api/conversations/:id/documents', authenticateToken, async (req, res) => {
+  try {
+    const documents = await getConversationDocuments(req.params.id, req.user.userId);
+    res.json(documents);
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: 'Unauthorized access to conversation' });
+    }
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+app.patch('/api/documents/:id', authenticateToken, async (req, res) => {
+  try {
+    const fileName = typeof req.body.fileName === 'string' ? req.body.fileName.trim() : '';
+    if (!fileName || fileName.length > 255 || /[<>:"|?*\x00-\x1f\/\\]/.test(fileName)) {
+      return res.status(400).json({ error: 'A valid fileName is required' });
+    }
+
+    const { document, vectorIds } = await renameDocument(req.params.id, req.user.userId, fileName);
+    await renameDocumentVectors(vectorIds, fileName);
+    res.json(document);
+  } catch (error) {
+    console.error('Error renaming document:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (error.message.includes('duplicate key')) {
+      return res.status(409).json({ error: 'Another document in this conversation already has that name' });
+    }
+    res.status(500).json({ error: 'Failed to rename document' });
+  }
+});
+
+// Deleting a document removes its vectors first, so a failure leaves it listed to retry
+app.delete('/api/documents/:id', authenticateToken, async (req, res) => {
+  try {
+    const document = await getDocument(req.params.id, req.user.userId);
+    await deleteDocumentVectors(document.vector_ids);
+    const { filePaths } = await deleteDocument(document.id, req.user.userId);
+    filePaths.forEach(cleanupFile);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+});
+
+// Search user documents and/or the knowledge base.
+// scope: 'documents' (default), 'knowledge_base' or 'all'; filters, asOfDate and taxPeriod
+// narrow knowledge base results.
 app.post('/api/search-documents', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { query, conversationId, topK = 5 } = req.body;
+    const { query, conversationId, topK = 5, scope = 'documents', filters = {}, asOfDate, taxPeriod } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
 
-    if (!conversationId) {
+    if (!['documents', 'knowledge_base', 'all'].includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be documents, knowledge_base or all' });
+    }
+
+    if (scope !== 'knowledge_base' && !conversationId) {
       return res.status(400).json({ error: 'Conversation ID is required' });
     }
 
-    const results = await searchDocumentChunks(query, conversationId, topK);
+    const asOf = resolveAsOf({ asOfDate, taxPeriod });
+
+    // retrieval.knowledgeBaseTopK and retrieval.documentTopK override topK for their source
+    const retrieval = req.body.retrieval || {};
+    const { keywordWeight, knowledgeBaseTopK, documentTopK } = resolveRetrievalOptions(retrieval);
+    const documentLimit = retrieval.documentTopK !== undefined ? documentTopK : topK;
+    const knowledgeBaseLimit = retrieval.knowledgeBaseTopK !== undefined ? knowledgeBaseTopK : topK;
+
+    const [documentResults, knowledgeBaseMatches, relations] = await Promise.all([
+      scope === 'knowledge_base' ? [] : searchDocumentChunks(query, conversationId, documentLimit, { keywordWeight }),
+      scope === 'documents' ? [] : searchKnowledgeBase(query, { topK: knowledgeBaseLimit, filters, asOf, keywordWeight }),
+      scope === 'documents' ? [] : loadRelations()
+    ]);
+
+    const results = [
+      ...documentResults.map(result => ({ source: 'user_document', ...result, reference: formatReference(result) })),
+      ...applySupersession(knowledgeBaseMatches, relations, asOf).map(match => ({
+        source: 'knowledge_base',
+        id: match.id,
+        score: match.score,
+        vectorScore: match.vectorScore,
+        keywordScore: match.keywordScore,
+        status: match.status,
+        supersession: match.supersession,
+        ...match.metadata
+      }))
+    ].sort((a, b) => b.score - a.score);
     
     res.json({
       success: true,
+      asOf,
       results
     });
 
   } catch (error) {
     console.error('Error searching documents:', error);
-    res.status(500).json({ 
+    const status = error.message?.startsWith('Invalid filter') || error.message?.startsWith('Invalid retrieval option') ? 400 : 500;
+    res.status(status).json({ 
       error: error.message || 'Failed to search documents' 
     });
   }
 });
 
+// Deterministic Corporate Tax computation from an uploaded spreadsheet, a JSON trial balance or the
+// accounts saved for a conversation upload. PDFs may need OCR, which runs in the upload worker and not
+// inside a request: they are uploaded to the conversation and computed from by conversationId and fileName.
+app.post('/api/tax/corporate/compute', authenticateToken, upload.single('document'), async (req, res) => {
+  try {
+    let trialBalance = req.body.trialBalance;
+    let options = req.body.options || {};
+
+    if (req.file) {
+      const fileExtension = path.extname(req.file.originalname).toLowerCase();
+      const expectedType = fileExtension.slice(1);
+
+      if (fileExtension === '.pdf') {
+        cleanupFile(req.file.path);
+        return res.status(400).json({ error: 'PDF statements are read by the upload queue: upload the PDF to the conversation, then compute with its conversationId and fileName' });
+      }
+
+      if (!['.csv', '.xlsx', '.xls'].includes(fileExtension)) {
+        cleanupFile(req.file.path);
+        return res.status(400).json({ error: 'Only CSV and Excel trial balances can be used for tax computation' });
+      }
+
+      if (!validateFileSignature(req.file.path, expectedType)) {
+        cleanupFile(req.file.path);
+        return res.status(400).json({ error: 'File content does not match the declared file type' });
+      }
+
+      const processedData = await processFile(req.file.path, req.file.originalname);
+      cleanupFile(req.file.path);
+      trialBalance = classifyTrialBalance(processedData, await getAccountCategoryOverrides());
+
+      // Multipart requests carry options as a JSON string field
+      if (typeof options === 'string') {
+        options = JSON.parse(options);
+      }
+    }
+
+    // Fall back to a trial balance already uploaded to the conversation
+    if (!trialBalance && req.body.conversationId) {
+      const accounts = await getTrialBalanceAccounts(req.body.conversationId, req.user.userId, req.body.fileName);
+      trialBalance = savedTrialBalance(accounts);
+    }
+
+    if (!trialBalance || trialBalance.length === 0) {
+      return res.status(400).json({ error: 'A trial balance file, JSON trial balance or uploaded conversation trial balance is required' });
+    }
+
+    const computation = computeCorporateTax(trialBalance, options);
+    console.log('Corporate Tax computed:', {
+      userId: req.user.userId,
+      inputHash: computation.inputHash,
+      taxDue: computation.taxDue
+    });
+
+    res.json({ success: true, computation });
+  } catch (error) {
+    console.error('Error computing corporate tax:', error);
+
+    if (req.file) {
+      cleanupFile(req.file.path);
+    }
+
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: 'Unauthorized access to conversation' });
+    }
+    if (error.message.includes('Invalid trial balance') || error instanceof SyntaxError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message || 'Failed to compute corporate tax' });
+  }
+});
+
+// Corporate Tax categories available for account mapping
+app.get('/api/tax/categories', authenticateToken, (req, res) => {
+  res.json(Object.entries(CT_CATEGORIES).map(([key, { label, kind }]) => ({ key, label, kind })));
+});
+
+// Classified trial balance accounts uploaded to a conversation
+app.get('/api/conversations/:id/trial-balance', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const accounts = await getTrialBalanceAccounts(req.params.id, userId, req.query.fileName);
+    res.json(accounts);
+  } catch (error) {
+    console.error('Error fetching trial balance accounts:', error);
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: 'Unauthorized access to conversation' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parsed spreadsheet tables uploaded to a conversation
+app.get('/api/conversations/:id/tables', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const tables = await getDocumentTables(req.params.id, userId, req.query.fileName);
+    res.json(tables);
+  } catch (error) {
+    console.error('Error fetching document tables:', error);
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: 'Unauthorized access to conversation' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Correct an account's category; the correction is reused for later uploads
+app.patch('/api/trial-balance/accounts/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { category } = req.body;
+    if (typeof category !== 'string' || !Object.hasOwn(CT_CATEGORIES, category)) {
+      return res.status(400).json({ error: `Category must be one of: ${Object.keys(CT_CATEGORIES).join(', ')}` });
+    }
+
+    const account = await updateTrialBalanceAccountCategory(req.params.id, userId, category);
+    res.json(account);
+  } catch (error) {
+    console.error('Error updating account category:', error);
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: 'Unauthorized access to trial balance account' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Supersession registry: list relations (any user) and maintain them (administrators)
+app.get('/api/instrument-relations', authenticateToken, async (req, res) => {
+  try {
+    const relations = await getInstrumentRelations();
+    res.json({ relations });
+  } catch (error) {
+    console.error('Error fetching instrument relations:', error);
+    res.status(500).json({ error: 'Failed to fetch instrument relations' });
+  }
+});
+
+app.post('/api/admin/instrument-relations', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const relation = await createInstrumentRelation(validateRelation(req.body), req.user.userId);
+    invalidateRelations();
+    res.status(201).json({ relation });
+  } catch (error) {
+    console.error('Error creating instrument relation:', error);
+    if (error.message.startsWith('Invalid relation')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('duplicate key')) {
+      return res.status(409).json({ error: 'This relation already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create instrument relation' });
+  }
+});
+
+app.put('/api/admin/instrument-relations/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const relation = await updateInstrumentRelation(req.params.id, validateRelation(req.body));
+    invalidateRelations();
+    res.json({ relation });
+  } catch (error) {
+    console.error('Error updating instrument relation:', error);
+    if (error.message.startsWith('Invalid relation')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Instrument relation not found' });
+    }
+    if (error.message.includes('duplicate key')) {
+      return res.status(409).json({ error: 'This relation already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update instrument relation' });
+  }
+});
+
+app.delete('/api/admin/instrument-relations/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await deleteInstrumentRelation(req.params.id);
+    invalidateRelations();
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting instrument relation:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Instrument relation not found' });
+    }
+    res.status(500).json({ error: 'Failed to delete instrument relation' });
+  }
+});
+
+// User management: admins list, create, disable, re-enable, re-role and delete accounts and reset passwords
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const users = await getUsers();
+    res.json({ users });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await createUser(validateNewUser(req.body));
+    console.log(`User ${user.username} (${user.role}) created by ${req.user.username}`);
+    res.status(201).json({ user });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    if (error.message.startsWith('Invalid user')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('duplicate key')) {
+      return res.status(409).json({ error: 'A user with this username already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+app.patch('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const userId = validateUserId(req.params.id);
+    const update = validateUserUpdate(req.body);
+    if (userId === Number(req.user.userId)) {
+      throw new Error('Invalid user: you cannot change the role or status of your own account');
+    }
+    const user = await updateUser(userId, update);
+    console.log(`User ${user.username} updated by ${req.user.username}:`, update);
+    res.json({ user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    if (error.message.startsWith('Invalid user')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (error.message.includes('Last active admin')) {
+      return res.status(409).json({ error: 'The last active admin cannot be demoted or disabled' });
+    }
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.post('/api/admin/users/:id/password', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await resetUserPassword(validateUserId(req.params.id), validatePassword(req.body.password));
+    console.log(`Password of ${user.username} reset by ${req.user.username}`);
+    res.json({ user });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    if (error.message.startsWith('Invalid user')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const userId = validateUserId(req.params.id);
+    if (userId === Number(req.user.userId)) {
+      return res.status(400).json({ error: 'Invalid user: you cannot delete your own account' });
+    }
+    const cleanupJobs = await deleteUser(userId);
+    console.log(`User ${userId} deleted by ${req.user.username} with ${cleanupJobs.length} conversations`);
+    res.status(204).send();
+
+    // Remove the vectors of the user's conversations after responding; failures are retried by the cleanup worker
+    cleanupJobs.forEach(job =>
+      runCleanupJob(job).catch(error => console.error('Error cleaning up conversation vectors:', error)));
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    if (error.message.startsWith('Invalid user')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (error.message.includes('Last active admin')) {
+      return res.status(409).json({ error: 'The last active admin cannot be deleted' });
+    }
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Candidates fetched per wanted chunk, for supersession and reranking to choose from
+const RERANK_CANDIDATE_FACTOR = 3;
+
 // Update the existing chat endpoint to work with conversations
 app.post('/api/chat', authenticateToken, async (req, res) => {
   console.log('Received chat request');
@@ -577,6 +1214,31 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
   
+  // Reject bad knowledge base filters, dates, retrieval options and answer languages before the event stream starts
+  let asOf, retrieval, responseLanguage;
+  try {
+    asOf = resolveAsOf({ asOfDate: req.body.asOfDate, taxPeriod: req.body.taxPeriod });
+    buildKnowledgeBaseFilter(req.body.filters, asOf);
+    retrieval = resolveRetrievalOptions(req.body.retrieval);
+    responseLanguage = resolveResponseLanguage(req.body.responseLanguage, req.body.message);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // History comes from the saved messages of the owner, not from the client
+  let memory = { messages: [], summary: null, throughMessageId: null };
+  if (req.body.conversationId) {
+    try {
+      memory = await loadConversationMemory(req.body.conversationId, req.user.userId);
+    } catch (error) {
+      console.error('Error loading conversation history:', error);
+      if (error.message.includes('Unauthorized')) {
+        return res.status(403).json({ error: 'Unauthorized access to conversation' });
+      }
+      return res.status(500).json({ error: 'Failed to load conversation history' });
+    }
+  }
+  
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
@@ -588,7 +1250,7 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
   };
 
   try {
-    const { message, conversationId, history = [] } = req.body;
+    const { message, conversationId, filters = {} } = req.body;
     const userId = req.user.userId;
 
     let currentConversationId = conversationId;
@@ -596,6 +1258,7 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
       // Create a new conversation if none exists
       const conversation = await createConversation(userId, message.slice(0, 50) + '...');
       currentConversationId = conversation.id;
+      memory.conversationId = currentConversationId;
       sendSSE({ type: 'conversation', id: currentConversationId });
     }
 
@@ -610,37 +1273,86 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
     const conversationIdString = String(currentConversationId);
     // console.log('Converted conversation ID for search:', conversationIdString, 'Type:', typeof conversationIdString);
 
-    const embedding = await openai.embeddings.create({
-      model: "text-embedding-ada-002",
-      input: message,
+    // Uploads still in the upload worker cannot be searched yet; the client and the model are told
+    const conversationDocuments = conversationId
+      ? await getConversationDocuments(conversationIdString, userId).catch(() => [])
+      : [];
+    const indexingDocuments = conversationDocuments
+      .filter(document => document.status === 'processing')
+      .map(document => ({ id: document.id, fileName: document.file_name }));
+    if (indexingDocuments.length > 0) {
+      sendSSE({ type: 'indexing', documents: indexingDocuments });
+    }
+
+    // Rewrite follow-ups into standalone search queries using the recent turns and uploaded documents
+    const documents = conversationDocuments
+      .filter(document => document.status === 'ready')
+      .map(document => ({ fileName: document.file_name }));
+    const searchQueries = await rewriteQueries({
+      message,
+      history: memory.messages,
+      summary: memory.summary,
+      documents
     });
-    console.log('Generated embeddings');
-
-    // Search both general knowledge and user documents
-    const [generalQuery, userDocsQuery] = await Promise.all([
-      index.query({
-        vector: embedding.data[0].embedding,
-        topK: 3,
-        includeMetadata: true,
-        filter: {
-          conversationId: { $exists: false }  // Only get general knowledge, not user docs
-        }
-      }),
-      searchDocumentChunks(message, conversationIdString, 3)  // Use string version
+    console.log('Search queries:', searchQueries);
+
+    // Search both general knowledge (narrowed by any instrument filters) and user documents with
+    // every query, fusing keyword and vector results with the requested weighting.
+    // Three times the wanted chunks are fetched as candidates for supersession and reranking.
+    const { keywordWeight, knowledgeBaseTopK, documentTopK, minScore } = retrieval;
+    const [knowledgeBaseLists, userDocLists, relations] = await Promise.all([
+      Promise.all(searchQueries.map(query =>
+        searchKnowledgeBase(query, { topK: knowledgeBaseTopK * RERANK_CANDIDATE_FACTOR, filters, asOf, keywordWeight }))),
+      Promise.all(searchQueries.map(query =>
+        searchDocumentChunks(query, conversationIdString, documentTopK * RERANK_CANDIDATE_FACTOR, { keywordWeight }))),  // Use string version
+      loadRelations().catch(error => {
+        console.error('Error loading instrument relations, continuing without them:', error);
+        return [];
+      })
     ]);
+    const userDocsQuery = mergeSearchResults(userDocLists, searchQueries);
+    const generalMatches = applySupersession(mergeSearchResults(knowledgeBaseLists, searchQueries), relations, asOf);
+
+    console.log('Retrieved candidates from the knowledge base and user documents');
+    console.log('General knowledge candidates:', generalMatches.length);
+    console.log('User document candidates:', userDocsQuery.length);
+    console.log('User documents found:', [...new Set(userDocsQuery.map(doc => doc.fileName))]);
+
+    // Rerank the candidates against the question and its rewrites, dropping near-duplicates,
+    // weak matches and anything over each source's quota
+    const reranking = await rerankCitations(
+      [message, ...searchQueries.filter(query => query !== message)].join('\n'),
+      [...userDocsQuery.map(buildDocumentCitation), ...generalMatches.map(buildKnowledgeBaseCitation)],
+      { quotas: { user_document: documentTopK, knowledge_base: knowledgeBaseTopK }, minScore }
+    );
 
-    console.log('Retrieved context from Pinecone and user documents');
-    console.log('General knowledge matches:', generalQuery.matches.length);
-    console.log('User document matches:', userDocsQuery.length);
-    console.log('User documents found:', userDocsQuery.map(doc => doc.fileName));
+    // Number every surviving chunk (user documents first) so the answer can cite it and reviewers
+    // can open it later, then keep as many as fit the retrieval share of the prompt budget
+    const ranked = numberCitations([
+      ...reranking.kept.filter(citation => citation.type === 'user_document'),
+      ...reranking.kept.filter(citation => citation.type === 'knowledge_base')
+    ]);
+    const { citations, retrievalTokens, historyBudget } = planContextBudget({
+      systemPrompt: SYSTEM_PROMPT,
+      question: message,
+      citations: ranked
+    });
+    console.log(`Context budget: ${citations.length} chunks (~${retrievalTokens} tokens), ~${historyBudget} tokens left for history`);
+
+    const dropped = [
+      ...reranking.dropped,
+      ...ranked.slice(citations.length).map(({ chunkId, type, title, reference, retrievalScore, relevanceScore }) =>
+        ({ chunkId, type, title, reference, retrievalScore, relevanceScore, reason: 'over_budget' }))
+    ];
 
-    // Combine general knowledge and user document context
-    const generalContext = generalQuery.matches
-      .map(match => `Content: ${match.metadata?.text || 'No content available'}\nSource: ${match.metadata?.source || 'Unknown'}`)
+    const userDocContext = citations
+      .filter(citation => citation.type === 'user_document')
+      .map(formatCitationContext)
       .join('\n\n');
 
-    const userDocContext = userDocsQuery
-      .map(match => `User Document (${match.fileName}): ${match.text}`)
+    const generalContext = citations
+      .filter(citation => citation.type === 'knowledge_base')
+      .map(formatCitationContext)
       .join('\n\n');
 
     // Prioritize user documents by putting them first and making them more prominent
@@ -652,55 +1364,62 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
       combinedContext += `=== GENERAL KNOWLEDGE BASE ===\n\n${generalContext}`;
     }
 
+    if (indexingDocuments.length > 0) {
+      combinedContext += `\n\n=== DOCUMENTS STILL BEING INDEXED ===\n` +
+        `${indexingDocuments.map(document => document.fileName).join(', ')}: uploaded but not yet searchable. ` +
+        'If the question depends on them, say they are still being processed rather than asking for the data again.';
+    }
+
+    // Answers for a specific date or tax period say so up front
+    if (asOf) {
+      combinedContext = `=== POSITION AS AT ${asOf.asOfDate} (${asOf.label}) ===\n` +
+        'Only provisions in force for this date are included. State this date at the start of your answer.\n\n' +
+        combinedContext;
+    }
+
     console.log('Combined context length:', combinedContext.length);
     console.log('User document context included:', userDocContext.length > 0);
     if (userDocContext.length > 0) {
       console.log('User document content preview:', userDocContext.substring(0, 200) + '...');
     }
 
-    const sources = [...new Set([
-      ...generalQuery.matches
-        .map(match => match.metadata?.source ? path.basename(match.metadata.source) : null)
-        .filter(Boolean),
-      ...userDocsQuery.map(match => match.fileName)
-    ])];
+    if (asOf) {
+      sendSSE({ type: 'as_of', asOf });
+    }
+    sendSSE({
+      type: 'sources',
+      sources: citations,
+      reranking: { reranker: reranking.reranker, minScore, dropped }
+    });
 
-    const conversationHistory = history.map(msg => ({
-      role: msg.sender === 'user' ? 'user' : 'assistant',
-      content: msg.text
-    }));
+    const conversationHistory = await buildHistory(memory, historyBudget);
+    const question = `${message}\n\n${ANSWER_LANGUAGE_INSTRUCTIONS[responseLanguage]}`;
 
-    console.log('Creating OpenAI stream...');
-    const stream = await openai.chat.completions.create({
-      model: "gpt-4-turbo",
+    const chatProvider = getChatProvider();
+    console.log(`Creating ${chatProvider.name} stream (${chatProvider.chatModel})...`);
+    const stream = chatProvider.streamChat({
       messages: [
         { role: "system", content: SYSTEM_PROMPT },
         ...conversationHistory,
         { 
           role: "user", 
           content: userDocContext.length > 0 
-            ? `I have uploaded documents that contain relevant data. Please analyze the uploaded documents first before asking for additional information.\n\nContext:\n${combinedContext}\n\nQuestion: ${message}`
-            : `Context:\n${combinedContext}\n\nQuestion: ${message}`
+            ? `I have uploaded documents that contain relevant data. Please analyze the uploaded documents first before asking for additional information.\n\nContext:\n${combinedContext}\n\nQuestion: ${question}`
+            : `Context:\n${combinedContext}\n\nQuestion: ${question}`
         }
-      ],
-      temperature: 0.3, // Lower temperature for accuracy in legal/tax responses
-      max_tokens: 1000,
-      stream: true
+      ]
     });
     
 
     console.log('Starting to stream response...');
     let assistantMessage = '';
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        assistantMessage += content;
-        sendSSE({ type: 'content', content });
-      }
+    for await (const content of stream) {
+      assistantMessage += content;
+      sendSSE({ type: 'content', content });
     }
 
-    // Save assistant message
-    await addMessage(currentConversationId, 'assistant', assistantMessage);
+    // Save assistant message with the exact sources it was based on and the queries that found them
+    await addMessage(currentConversationId, 'assistant', assistantMessage, { sources: citations, asOf, searchQueries, responseLanguage });
     await updateConversationTimestamp(currentConversationId);
 
     sendSSE({ type: 'done' });
@@ -776,7 +1495,7 @@ app.post('/api/login', authLimiter, async (req, res) => {
 
     // Query user from database
     const result = await pool.query(
-      'SELECT id, username, password_hash FROM users WHERE username = $1',
+      'SELECT id, username, password_hash, role, disabled_at FROM users WHERE username = $1',
       [username]
     );
 
@@ -791,12 +1510,20 @@ app.post('/api/login', authLimiter, async (req, res) => {
 
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
+    if (isValidPassword && user.disabled_at) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Account disabled' 
+      });
+    }
+
     if (isValidPassword) {
-      // Create JWT token
+      // Create JWT token; the role is checked again against the database on each request
       const token = jwt.sign(
         { 
           userId: user.id.toString(),
-          username: user.username 
+          username: user.username,
+          role: user.role
         }, 
         JWT_SECRET, 
         { expiresIn: '24h' }
@@ -811,10 +1538,13 @@ app.post('/api/login', authLimiter, async (req, res) => {
         path: '/'
       });
 
+      recordLogin(user.id).catch(error => console.error('Error recording login:', error));
+
       res.json({ 
         success: true,
         userId: user.id.toString(),
-        username: user.username
+        username: user.username,
+        role: user.role
       });
     } else {
       res.status(401).json({ 
@@ -849,7 +1579,8 @@ app.get('/api/verify-token', authenticateToken, (req, res) => {
     valid: true, 
     user: { 
       userId: req.user.userId, 
-      username: req.user.username 
+      username: req.user.username,
+      role: req.user.role
     } 
   });
 });
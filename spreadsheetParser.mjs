@@ -0,0 +1,230 @@
+import fs from 'fs';
+import xlsx from 'xlsx';
+import csv from 'csv-parser';
+
+/**
+ * Structure-preserving spreadsheet parser.
+ * Detects header rows, merged cells, numeric versus text columns and subtotal/total rows,
+ * and produces chunks that repeat the header context with every block of rows.
+ */
+
+// How many leading rows are scanned for a header row
+const HEADER_SCAN_ROWS = 25;
+
+// Share of non-empty cells that must be numeric for a column to count as numeric
+const NUMERIC_COLUMN_RATIO = 0.8;
+
+const TOTAL_ROW_PATTERN = /^(grand\s+)?total\b|^net\s+(profit|loss|income|assets)\b|^gross\s+profit\b|\btotal$/i;
+const SUBTOTAL_ROW_PATTERN = /^sub[\s-]?total\b/i;
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+export const isNumeric = (value) =>
+  typeof value === 'number' ||
+  (typeof value === 'string' && /^\(?-?(AED\s*)?[\d,]+(\.\d+)?\)?%?(\s*(dr|cr)\.?)?$/i.test(value.trim()));
+
+// Column labels of comparative statements: 2024, FY2024, 2023/24, "2024 AED", "Q1 2024"
+const PERIOD_LABEL_PATTERN = /^((FY|CY|YE|YTD|[QH][1-4])\s*)?'?(19|20)\d{2}(\s*[-\/]\s*\d{2,4})?(\s*\(?(AED|USD|restated|audited|unaudited)\)?)?$/i;
+
+const isPeriodLabel = (value) => (typeof value === 'number'
+  ? Number.isInteger(value) && value >= 1900 && value <= 2099
+  : PERIOD_LABEL_PATTERN.test(String(value ?? '').trim()));
+
+const formatCell = (value) => {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (isEmpty(value)) return '';
+  return String(value).trim();
+};
+
+/**
+ * Find the header row: the first row of distinct text labels with numbers in the rows below it.
+ * Years and periods count as labels when they are the only figures of the row, so the header of
+ * a comparative statement ("Line item | 2024 | 2023") is found; a row with any other figure is data.
+ */
+const detectHeaderRow = (rows) => {
+  const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+
+  for (let i = 0; i < limit; i++) {
+    const filled = rows[i].filter(cell => !isEmpty(cell));
+    const periods = filled.every(cell => !isNumeric(cell) || isPeriodLabel(cell));
+    // Merged titles repeat one value across the row, so count distinct labels
+    const cells = [...new Set(filled.map(formatCell))];
+    const textCells = cells.filter(cell => !isNumeric(cell) || (periods && isPeriodLabel(cell)));
+    // A row of years alone is a group heading over the header, as in merged "2024 | 2023" rows
+    if (!cells.some(cell => !isNumeric(cell))) continue;
+    if (textCells.length < 2 || textCells.length / cells.length < 0.6) continue;
+
+    const below = rows.slice(i + 1).filter(row => row.some(cell => !isEmpty(cell))).slice(0, 5);
+    if (below.some(row => row.some(cell => isNumeric(cell) && !isPeriodLabel(cell)))) return i;
+  }
+
+  return -1;
+};
+
+/**
+ * Classify a column as numeric or text from its data rows
+ */
+const detectColumnType = (rows, column) => {
+  const values = rows.map(row => row[column]).filter(value => !isEmpty(value));
+  if (values.length === 0) return 'empty';
+  const numeric = values.filter(isNumeric).length;
+  return numeric / values.length >= NUMERIC_COLUMN_RATIO ? 'numeric' : 'text';
+};
+
+/**
+ * Analyse a rectangular array of rows into the structured table format.
+ * headerRow may be given when it is known, as for tables built from records.
+ */
+export const analyseTable = (name, rawRows, merges = [], { headerRow: knownHeaderRow } = {}) => {
+  const width = Math.max(0, ...rawRows.map(row => row.length));
+  const rows = rawRows.map(row => Array.from({ length: width }, (_, col) => row[col] ?? null));
+
+  // Fill merged ranges with their top-left value so every cell carries its label
+  merges.forEach(({ start, end }) => {
+    const value = rows[start.row]?.[start.col];
+    for (let r = start.row; r <= end.row && r < rows.length; r++) {
+      for (let c = start.col; c <= end.col; c++) {
+        if (r !== start.row || c !== start.col) rows[r][c] = value;
+      }
+    }
+  });
+
+  const headerRow = knownHeaderRow ?? detectHeaderRow(rows);
+  const dataRows = rows.slice(headerRow + 1);
+
+  let headers = rows[headerRow] ? rows[headerRow].map(formatCell) : [];
+  // Merged group headings above the header row become prefixes ("2024 Debit", "2023 Debit")
+  const groupRow = headerRow > 0 ? rows[headerRow - 1] : null;
+  const groupMerged = groupRow && merges.some(({ start, end }) => start.row === headerRow - 1 && end.col > start.col);
+  if (groupMerged) {
+    headers = headers.map((header, col) => [formatCell(groupRow[col]), header].filter(Boolean).join(' '));
+  }
+
+  const columns = Array.from({ length: width }, (_, index) => ({
+    index,
+    name: headers[index] || `Column ${index + 1}`,
+    type: detectColumnType(dataRows, index)
+  })).filter(column => column.type !== 'empty' || headers[column.index]);
+
+  const numericColumns = new Set(columns.filter(column => column.type === 'numeric').map(column => column.index));
+
+  const rowTypes = rows.map((row, index) => {
+    if (index === headerRow) return 'header';
+    if (row.every(isEmpty)) return 'empty';
+    if (index < headerRow) return 'title';
+
+    const label = row.find(cell => !isEmpty(cell) && !isNumeric(cell));
+    if (label && SUBTOTAL_ROW_PATTERN.test(String(label).trim())) return 'subtotal';
+    if (label && TOTAL_ROW_PATTERN.test(String(label).trim())) return 'total';
+    if (!row.some((cell, col) => numericColumns.has(col) && !isEmpty(cell))) return 'section';
+    return 'data';
+  });
+
+  return {
+    name,
+    headerRow,
+    headers,
+    columns,
+    merges,
+    rows: rows.map(row => row.map(cell => (cell instanceof Date ? formatCell(cell) : cell))),
+    rowTypes
+  };
+};
+
+/**
+ * Parse every sheet of an Excel workbook
+ */
+export const parseWorkbook = (filePath) => {
+  const workbook = xlsx.readFile(filePath, { cellDates: true });
+
+  return workbook.SheetNames.map(sheetName => {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet['!ref']) return analyseTable(sheetName, []);
+
+    // Merges are absolute; rows from sheet_to_json start at the used range origin
+    const origin = xlsx.utils.decode_range(worksheet['!ref']).s;
+    const rows = xlsx.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: null, blankrows: true });
+    const merges = (worksheet['!merges'] || []).map(({ s, e }) => ({
+      start: { row: s.r - origin.r, col: s.c - origin.c },
+      end: { row: e.r - origin.r, col: e.c - origin.c }
+    }));
+
+    return analyseTable(sheetName, rows, merges);
+  });
+};
+
+/**
+ * Build a table from records (objects of field values), such as the entries of a JSON or XML
+ * ledger export. Columns follow the order fields first appear in.
+ */
+export const recordsToTable = (name, records) => {
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const rows = records.map(record => headers.map(header => record[header] ?? null));
+  return analyseTable(name, [headers, ...rows], [], { headerRow: 0 });
+};
+
+/**
+ * Parse a CSV file into a single table
+ */
+export const parseCSVTable = (filePath, name = 'CSV') =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ headers: false }))
+      .on('data', (data) => rows.push(Object.values(data)))
+      .on('end', () => resolve(analyseTable(name, rows)))
+      .on('error', reject);
+  });
+
+const renderRow = (table, index) => {
+  const cells = table.rows[index].map(formatCell);
+  const marker = table.rowTypes[index] === 'total' || table.rowTypes[index] === 'subtotal'
+    ? ` [${table.rowTypes[index].toUpperCase()}]`
+    : '';
+  return `Row ${index + 1}${marker}: ${table.columns.map(column => cells[column.index]).join(' | ')}`;
+};
+
+/**
+ * Split a table into text chunks that never break a row and always carry the header context.
+ * Each chunk records the sheet and row range it covers.
+ */
+export const chunkTable = (table, maxChars = 4000) => {
+  const title = table.rows
+    .filter((_, index) => table.rowTypes[index] === 'title')
+    .map(row => [...new Set(row.map(formatCell).filter(Boolean))].join(' '))
+    .join(' / ');
+  const columnLine = `Columns: ${table.columns.map(column => `${column.name} (${column.type})`).join(' | ')}`;
+
+  const bodyIndexes = table.rows
+    .map((_, index) => index)
+    .filter(index => !['header', 'title', 'empty'].includes(table.rowTypes[index]));
+
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const first = current[0].index + 1;
+    const last = current[current.length - 1].index + 1;
+    const heading = `=== Sheet: ${table.name} (rows ${first}-${last}) ===`;
+    chunks.push({
+      text: [heading, title && `Title: ${title}`, columnLine, ...current.map(row => row.text)].filter(Boolean).join('\n'),
+      sheet: table.name,
+      rows: `${first}-${last}`
+    });
+    current = [];
+    currentLength = 0;
+  };
+
+  const headerLength = columnLine.length + title.length + table.name.length + 40;
+  bodyIndexes.forEach(index => {
+    const text = renderRow(table, index);
+    if (current.length > 0 && headerLength + currentLength + text.length > maxChars) flush();
+    current.push({ index, text });
+    currentLength += text.length + 1;
+  });
+  flush();
+
+  return chunks;
+};
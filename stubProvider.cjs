@@ -0,0 +1,65 @@
+// stubProvider.cjs
+// Deterministic offline provider for tests and demos (see llmProvider.cjs). No keys or network:
+// embeddings are hashed bags of words, so texts sharing words land close together, chat
+// answers restate the question and list the sources they were given, and reranking scores the
+// share of query words found in each passage.
+
+const crypto = require('crypto');
+
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+function createStubProvider({ chatModel, embeddingModel }) {
+  const dimensions = Number(process.env.VECTOR_DIMENSIONS || 1536);
+
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    tokenize(text).forEach(token => {
+      const hash = crypto.createHash('sha256').update(token).digest();
+      const position = hash.readUInt32BE(0) % dimensions;
+      vector[position] += hash[4] & 1 ? 1 : -1;
+    });
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  };
+
+  const answer = (messages) => {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const question = (lastUser.match(/Question:\s*([\s\S]*)$/) || [null, lastUser])[1].trim();
+    const sources = [...new Set(lastUser.match(/\[S\d+\]/g) || [])];
+    return [
+      `Stub answer (${chatModel}) to: "${question.slice(0, 200)}".`,
+      sources.length > 0 ? `Based on ${sources.join(', ')}.` : 'No sources were provided.'
+    ].join(' ');
+  };
+
+  return {
+    name: 'stub',
+    chatModel,
+    embeddingModel,
+
+    async *streamChat({ messages }) {
+      for (const word of answer(messages).split(/(?<= )/)) {
+        yield word;
+      }
+    },
+
+    async complete({ messages }) {
+      return answer(messages);
+    },
+
+    async rerank({ query, documents }) {
+      const queryTokens = new Set(tokenize(query).filter(token => token.length > 2));
+      return documents.map(document => {
+        if (queryTokens.size === 0) return 0;
+        const documentTokens = new Set(tokenize(document));
+        return [...queryTokens].filter(token => documentTokens.has(token)).length / queryTokens.size;
+      });
+    },
+
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+module.exports = { createStubProvider };
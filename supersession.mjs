@@ -0,0 +1,210 @@
+import { INSTRUMENT_TYPES, toDateNumber } from './documentMetadata.cjs';
+import { getInstrumentRelations } from './db.mjs';
+
+/**
+ * Supersession registry helpers.
+ * Relations record that a source instrument amends, repeals or replaces a target instrument
+ * (optionally only some of its Articles), or that a file is a duplicate copy of an instrument.
+ * Retrieval uses them to flag and down-rank passages that are no longer current.
+ */
+
+export const RELATION_TYPES = ['amends', 'repeals', 'replaces', 'duplicates'];
+
+// Score multipliers applied to matches from instruments that are no longer fully current
+const AMENDED_SCORE_FACTOR = 0.9;
+const SUPERSEDED_SCORE_FACTOR = 0.5;
+
+export const STATUS_SCORE_FACTORS = {
+  current: 1,
+  amended: AMENDED_SCORE_FACTOR,
+  superseded: SUPERSEDED_SCORE_FACTOR
+};
+
+// Relations taken from the text of the instruments in the corpus
+export const SEED_RELATIONS = [
+  {
+    sourceInstrument: 'FDL-60-2023',
+    relation: 'amends',
+    targetInstrument: 'FDL-47-2022',
+    targetArticles: ['1', '3', '65'],
+    notes: 'Adds the Top-up Tax and Multinational Enterprise definitions to Article 1, adds Clause 3 to Article 3 and replaces Article 65.'
+  },
+  {
+    sourceInstrument: 'MD-261-2024',
+    relation: 'replaces',
+    targetInstrument: 'MD-127-2023',
+    effectiveDate: '2023-06-01',
+    notes: 'MD 261 of 2024 repeals MD 127 of 2023 and applies from 1 June 2023.'
+  },
+  {
+    sourceInstrument: 'CD-100-2023',
+    relation: 'replaces',
+    targetInstrument: 'CD-55-2023',
+    effectiveDate: '2023-06-01',
+    notes: 'CD 100 of 2023 repeals CD 55 of 2023 and applies from 1 June 2023.'
+  },
+  {
+    sourceInstrument: 'CD-35-2025',
+    relation: 'replaces',
+    targetInstrument: 'CD-56-2023',
+    effectiveDate: '2025-01-01',
+    notes: 'CD 56 of 2023 continues to apply to Tax Periods that commenced before 1 January 2025.'
+  },
+  {
+    sourceInstrument: 'CD-34-2025',
+    relation: 'replaces',
+    targetInstrument: 'CD-81-2023',
+    effectiveDate: '2025-01-01',
+    notes: 'CD 81 of 2023 continues to apply to Tax Periods that commenced before 1 January 2025.'
+  },
+  {
+    sourceInstrument: 'MD-73-2023',
+    relation: 'duplicates',
+    targetInstrument: 'MD-73-2023',
+    targetDocument: '230426 (Art 21)  MD 73 of 2023 on Small Business Relief',
+    notes: 'Identical copy of MD 73 of 2023.'
+  },
+  {
+    sourceInstrument: 'MD-261-2024',
+    relation: 'duplicates',
+    targetInstrument: 'MD-261-2024',
+    targetDocument: '250121 MD 261 of 2024 Unincorp Partnership, Foreign Partnership and Family Foundation-FTA',
+    notes: 'FTA-published copy of the Ministry of Finance text.'
+  },
+  {
+    sourceInstrument: 'FDL-60-2023',
+    relation: 'duplicates',
+    targetInstrument: 'FDL-60-2023',
+    targetDocument: '1 231206  FDL 60 of 2023 amending FDL 47 of CT',
+    notes: 'Identical copy of FDL 60 of 2023.'
+  }
+];
+
+/**
+ * Human-readable name for an instrument id, e.g. "MD-127-2023" -> "Ministerial Decision No. 127 of 2023"
+ */
+export const describeInstrument = (instrumentId) => {
+  const match = String(instrumentId).match(/^([A-Z_]+)-(\d+)-(\d{4})$/);
+  if (!match || !INSTRUMENT_TYPES[match[1]]) return instrumentId;
+  return `${INSTRUMENT_TYPES[match[1]].label} No. ${match[2]} of ${match[3]}`;
+};
+
+/**
+ * Validate and normalise a relation from an API request body
+ */
+export const validateRelation = (body = {}) => {
+  const sourceInstrument = String(body.sourceInstrument || '').trim();
+  const targetInstrument = String(body.targetInstrument || '').trim();
+  const relation = String(body.relation || '').trim().toLowerCase();
+
+  if (!sourceInstrument || !targetInstrument) {
+    throw new Error('Invalid relation: sourceInstrument and targetInstrument are required');
+  }
+  if (!RELATION_TYPES.includes(relation)) {
+    throw new Error(`Invalid relation: relation must be one of ${RELATION_TYPES.join(', ')}`);
+  }
+  if (relation === 'duplicates' && !body.targetDocument) {
+    throw new Error('Invalid relation: duplicates relations need the targetDocument title of the duplicate copy');
+  }
+  if (body.effectiveDate && !/^\d{4}-\d{2}-\d{2}$/.test(body.effectiveDate)) {
+    throw new Error('Invalid relation: effectiveDate must be a YYYY-MM-DD date');
+  }
+  if (body.targetArticles && !Array.isArray(body.targetArticles)) {
+    throw new Error('Invalid relation: targetArticles must be an array of Article numbers');
+  }
+
+  return {
+    sourceInstrument,
+    relation,
+    targetInstrument,
+    targetDocument: body.targetDocument || null,
+    targetArticles: body.targetArticles && body.targetArticles.length > 0 ? body.targetArticles.map(String) : null,
+    effectiveDate: body.effectiveDate || null,
+    notes: body.notes || null
+  };
+};
+
+// Relations change rarely, so they are cached between chat requests
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let cachedRelations = null;
+let cachedAt = 0;
+
+export const loadRelations = async () => {
+  if (!cachedRelations || Date.now() - cachedAt > CACHE_TTL_MS) {
+    cachedRelations = await getInstrumentRelations();
+    cachedAt = Date.now();
+  }
+  return cachedRelations;
+};
+
+export const invalidateRelations = () => {
+  cachedRelations = null;
+};
+
+const coversArticle = (relation, article) =>
+  !relation.target_articles || relation.target_articles.length === 0 || (article && relation.target_articles.includes(String(article)));
+
+/**
+ * One-line note for the prompt explaining why a passage may not be current
+ */
+const describeSupersession = (supersession = []) =>
+  supersession
+    .map(entry => {
+      const verb = { amends: 'amended', repeals: 'repealed', replaces: 'repealed and replaced' }[entry.relation];
+      const articles = entry.articles ? ` (Article${entry.articles.length > 1 ? 's' : ''} ${entry.articles.join(', ')})` : '';
+      const effective = entry.effectiveDate ? ` with effect from ${entry.effectiveDate}` : '';
+      return `This provision was ${verb}${articles} by ${entry.byLabel}${effective}.${entry.notes ? ` ${entry.notes}` : ''}`;
+    })
+    .join(' ');
+
+/**
+ * Annotate knowledge base matches with their supersession status and re-rank them.
+ * Duplicate copies and repeated passages are dropped; amended passages are flagged and
+ * lightly down-ranked; repealed or replaced passages are flagged and strongly down-ranked.
+ * Each match gains status ('current' | 'amended' | 'superseded'), supersession and supersessionNote.
+ * With an asOf date or tax period, relations only count once effective by the start of the period.
+ */
+export const applySupersession = (matches, relations, asOf = null) => {
+  const seenText = new Set();
+  const inEffect = (relation) =>
+    !asOf || !relation.effective_date || toDateNumber(relation.effective_date) <= toDateNumber(asOf.periodStart);
+
+  return matches
+    .filter(match => {
+      const metadata = match.metadata || {};
+      const duplicate = relations.some(relation =>
+        relation.relation === 'duplicates' && relation.target_document === metadata.title);
+      if (duplicate || seenText.has(metadata.text)) return false;
+      seenText.add(metadata.text);
+      return true;
+    })
+    .map(match => {
+      const metadata = match.metadata || {};
+      const affecting = relations.filter(relation =>
+        relation.relation !== 'duplicates' &&
+        inEffect(relation) &&
+        relation.target_instrument === metadata.instrumentId &&
+        coversArticle(relation, metadata.article));
+
+      if (affecting.length === 0) return { ...match, status: 'current', supersession: [], supersessionNote: null };
+
+      const superseded = affecting.some(relation => relation.relation !== 'amends');
+      const supersession = affecting.map(relation => ({
+        relation: relation.relation,
+        by: relation.source_instrument,
+        byLabel: describeInstrument(relation.source_instrument),
+        articles: relation.target_articles,
+        effectiveDate: relation.effective_date,
+        notes: relation.notes
+      }));
+
+      return {
+        ...match,
+        score: match.score * (superseded ? SUPERSEDED_SCORE_FACTOR : AMENDED_SCORE_FACTOR),
+        status: superseded ? 'superseded' : 'amended',
+        supersession,
+        supersessionNote: describeSupersession(supersession)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { CT_CATEGORIES, parseAmount, guessCategory, extractAccounts } from './accountClassifier.mjs';
+
+/**
+ * Deterministic UAE Corporate Tax computation (Federal Decree-Law No. 47 of 2022).
+ * All arithmetic is done in integer fils so the same trial balance and options
+ * always produce the same figures.
+ */
+
+// Statutory parameters used by the computation
+export const CIT_RULES = {
+  version: '2024.1',
+  currency: 'AED',
+  rate: 0.09,
+  zeroRateBand: 375000,
+  entertainmentDisallowedShare: 0.5,
+  interestEbitdaCap: 0.3,
+  interestDeMinimis: 12000000,
+  lossReliefCap: 0.75,
+  smallBusinessReliefRevenue: 3000000
+};
+
+const fromFils = (fils) => Math.round(fils) / 100;
+
+// Multiply by a rate without floating-point drift (rates are held to 4 decimal places)
+const applyRate = (fils, rate) => Math.round((fils * Math.round(rate * 10000)) / 10000);
+
+/**
+ * Normalise a JSON trial balance or processed spreadsheet into accounts with balances in fils
+ */
+export const normaliseTrialBalance = (input) => {
+  let accounts;
+  if (Array.isArray(input)) {
+    accounts = input;
+  } else if (input && Array.isArray(input.accounts)) {
+    accounts = input.accounts;
+  } else if (input && Array.isArray(input.tables)) {
+    accounts = extractAccounts(input.tables).accounts;
+  } else {
+    throw new Error('Invalid trial balance: expected an accounts array or processed spreadsheet tables');
+  }
+
+  const normalised = accounts
+    .filter(account => account && String(account.name ?? '').trim())
+    .map(account => {
+      const hasBalance = account.balance !== undefined && account.balance !== null && account.balance !== '';
+      const balance = hasBalance ? parseAmount(account.balance) : parseAmount(account.debit) - parseAmount(account.credit);
+      const category = account.category || guessCategory(account.name);
+      return {
+        name: String(account.name).trim(),
+        code: account.code ? String(account.code) : undefined,
+        category: category && Object.hasOwn(CT_CATEGORIES, category) ? category : null,
+        balance
+      };
+    });
+
+  if (normalised.length === 0) {
+    throw new Error('Invalid trial balance: no accounts found');
+  }
+
+  return normalised;
+};
+
+/**
+ * Compute UAE Corporate Tax from a trial balance.
+ * Balances are debit-positive; income accounts therefore carry negative balances.
+ */
+export const computeCorporateTax = (trialBalance, options = {}) => {
+  const accounts = normaliseTrialBalance(trialBalance);
+  const {
+    taxLossesBroughtForward = 0,
+    electSmallBusinessRelief = false,
+    addBackProvisions = false,
+    transferPricingAdjustment = 0
+  } = options;
+
+  const totals = {};
+  const accountsByCategory = {};
+  const unclassified = [];
+
+  accounts.forEach(account => {
+    if (!account.category) {
+      unclassified.push(account);
+      return;
+    }
+    totals[account.category] = (totals[account.category] || 0) + account.balance;
+    (accountsByCategory[account.category] ||= []).push(account.name);
+  });
+
+  const total = (category) => totals[category] || 0;
+  const incomeOf = (category) => -total(category);
+
+  const profitAndLoss = Object.keys(totals).filter(category => CT_CATEGORIES[category].kind !== 'balance_sheet');
+  const accountingProfit = -profitAndLoss.reduce((sum, category) => sum + totals[category], 0);
+  const revenue = incomeOf('revenue');
+
+  const lineItems = [];
+  const assumptions = [];
+  const addLine = (section, key, label, fils, reference, accountNames = []) => {
+    lineItems.push({ section, key, label, amount: fromFils(fils), reference, accounts: accountNames });
+    return fils;
+  };
+
+  addLine('profit', 'accounting_profit', 'Net profit before tax (per trial balance)', accountingProfit, null,
+    profitAndLoss.flatMap(category => accountsByCategory[category]));
+
+  // Add-backs of non-deductible expenditure
+  const addBacks = [];
+  const addBack = (key, label, fils, reference, category) => {
+    if (fils > 0) addBacks.push(addLine('add_back', key, label, fils, reference, accountsByCategory[category] || []));
+  };
+
+  addBack('entertainment', `Entertainment (${CIT_RULES.entertainmentDisallowedShare * 100}% non-deductible)`,
+    applyRate(total('entertainment'), CIT_RULES.entertainmentDisallowedShare), 'Article 32', 'entertainment');
+  addBack('fines_penalties', 'Fines and penalties', total('fines_penalties'), 'Article 33', 'fines_penalties');
+  addBack('donations', 'Donations to non-qualifying entities', total('donations'), 'Article 33', 'donations');
+  addBack('corporate_tax', 'Corporate Tax expense', total('corporate_tax'), 'Article 33', 'corporate_tax');
+
+  if (total('donations') > 0) {
+    assumptions.push('Donations are assumed to be made to entities that are not Qualifying Public Benefit Entities.');
+  }
+
+  if (addBackProvisions) {
+    addBack('provisions', 'Provisions not yet incurred', total('provisions'), 'Article 28', 'provisions');
+    assumptions.push('Provisions charged in the period are treated as not yet incurred and added back.');
+  } else if (total('provisions') !== 0) {
+    assumptions.push('Provisions are treated as deductible as charged in the accounts.');
+  }
+
+  const tpAdjustment = parseAmount(transferPricingAdjustment);
+  if (tpAdjustment > 0) {
+    addBack('transfer_pricing', 'Transfer pricing adjustment', tpAdjustment, 'Article 34', 'related_party');
+  } else if (total('related_party') !== 0) {
+    assumptions.push('Related-party charges are assumed to be at arm\'s length; no transfer pricing adjustment made.');
+  }
+
+  // Deductions for exempt income
+  const deductions = [];
+  const exemptDividends = incomeOf('exempt_dividends');
+  if (exemptDividends > 0) {
+    deductions.push(addLine('deduction', 'exempt_dividends', 'Exempt dividends and participation income',
+      exemptDividends, 'Articles 22 and 23', accountsByCategory.exempt_dividends));
+    assumptions.push('Dividend income is assumed to qualify for exemption under Articles 22 or 23.');
+  }
+
+  // General Interest Deduction Limitation Rule
+  const netInterest = total('interest_expense') - incomeOf('interest_income');
+  const preInterestIncome = accountingProfit + addBacks.reduce((a, b) => a + b, 0) - deductions.reduce((a, b) => a + b, 0);
+  if (netInterest > parseAmount(CIT_RULES.interestDeMinimis)) {
+    const ebitda = preInterestIncome + netInterest + total('depreciation');
+    const allowance = Math.max(parseAmount(CIT_RULES.interestDeMinimis), applyRate(ebitda, CIT_RULES.interestEbitdaCap));
+    addBack('interest_limitation', 'Net interest expenditure above the deductible limit',
+      netInterest - allowance, 'Article 30', 'interest_expense');
+    assumptions.push('Disallowed net interest can be carried forward for up to 10 tax periods; the carry-forward is not tracked here.');
+  }
+
+  const totalAddBacks = addBacks.reduce((a, b) => a + b, 0);
+  const totalDeductions = deductions.reduce((a, b) => a + b, 0);
+  const adjustedProfit = addLine('taxable_income', 'adjusted_profit', 'Taxable income before loss relief',
+    accountingProfit + totalAddBacks - totalDeductions, null);
+
+  let taxableIncome = adjustedProfit;
+  const smallBusinessRelief = electSmallBusinessRelief && revenue <= parseAmount(CIT_RULES.smallBusinessReliefRevenue);
+  if (electSmallBusinessRelief && !smallBusinessRelief) {
+    assumptions.push(`Small Business Relief was requested but revenue exceeds AED ${CIT_RULES.smallBusinessReliefRevenue.toLocaleString('en-US')}.`);
+  }
+
+  if (smallBusinessRelief) {
+    addLine('taxable_income', 'small_business_relief', 'Small Business Relief election', -Math.max(taxableIncome, 0), 'Article 21');
+    taxableIncome = 0;
+    assumptions.push('Small Business Relief elected; the taxable person is treated as having no taxable income and losses are not utilised.');
+  } else {
+    const lossesAvailable = parseAmount(taxLossesBroughtForward);
+    if (lossesAvailable > 0 && taxableIncome > 0) {
+      const relief = Math.min(lossesAvailable, applyRate(taxableIncome, CIT_RULES.lossReliefCap));
+      addLine('taxable_income', 'loss_relief', 'Tax losses brought forward utilised', -relief, 'Article 37');
+      taxableIncome -= relief;
+    }
+  }
+
+  addLine('taxable_income', 'taxable_income', 'Taxable income', taxableIncome, null);
+
+  const band = parseAmount(CIT_RULES.zeroRateBand);
+  const exemptBand = Math.min(Math.max(taxableIncome, 0), band);
+  const taxableAtRate = Math.max(taxableIncome - band, 0);
+  const taxDue = applyRate(taxableAtRate, CIT_RULES.rate);
+
+  addLine('tax', 'exempt_band', 'Taxable income at 0%', exemptBand, 'Article 3; Cabinet Decision No. 116 of 2022');
+  addLine('tax', 'taxable_at_rate', `Taxable income at ${CIT_RULES.rate * 100}%`, taxableAtRate, 'Article 3');
+  addLine('tax', 'tax_due', 'Corporate Tax due', taxDue, 'Article 3');
+
+  assumptions.push('Depreciation and amortisation are deductible as charged in the accounts; no separate tax depreciation applies.');
+  assumptions.push('The taxable person is assumed to be a resident juridical person that is not a Qualifying Free Zone Person.');
+  if (unclassified.length > 0) {
+    assumptions.push(`${unclassified.length} account(s) could not be classified and were excluded from the computation.`);
+  }
+
+  const inputHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ accounts, options: { taxLossesBroughtForward, electSmallBusinessRelief, addBackProvisions, transferPricingAdjustment } }))
+    .digest('hex');
+
+  return {
+    currency: CIT_RULES.currency,
+    rulesVersion: CIT_RULES.version,
+    inputHash,
+    accountingProfit: fromFils(accountingProfit),
+    totalAddBacks: fromFils(totalAddBacks),
+    totalDeductions: fromFils(totalDeductions),
+    taxableIncome: fromFils(taxableIncome),
+    exemptBand: fromFils(exemptBand),
+    taxableAtRate: fromFils(taxableAtRate),
+    rate: CIT_RULES.rate,
+    taxDue: fromFils(taxDue),
+    lineItems,
+    assumptions,
+    unclassifiedAccounts: unclassified.map(account => ({ name: account.name, balance: fromFils(account.balance) }))
+  };
+};
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guessCategory, classifyTrialBalance, detectColumns, parseAmount, savedTrialBalance } from '../accountClassifier.mjs';
+import { computeCorporateTax } from '../taxComputation.mjs';
+
+test('balance sheet and equity accounts named after P&L items stay on the balance sheet', () => {
+  const names = [
+    'Accumulated depreciation',
+    'Accumulated amortisation - software',
+    'Dividends paid',
+    'Dividends declared',
+    'Accrued income',
+    'Deferred income',
+    'Income tax payable',
+    'Corporate tax payable',
+    'Interest payable',
+    'Sales tax payable',
+    'Interest receivable',
+    'Accrued expenses',
+    'Prepaid rent'
+  ];
+  names.forEach(name => assert.equal(guessCategory(name), 'balance_sheet', name));
+});
+
+test('P&L accounts keep their categories', () => {
+  const expected = {
+    'Sales': 'revenue',
+    'Cost of sales': 'cogs',
+    'Depreciation': 'depreciation',
+    'Amortisation of intangibles': 'depreciation',
+    'Dividend income': 'exempt_dividends',
+    'Dividends received': 'exempt_dividends',
+    'Interest income': 'interest_income',
+    'Interest on bank loan': 'interest_expense',
+    'Corporate tax expense': 'corporate_tax',
+    'Deferred tax expense': 'corporate_tax',
+    'Income tax charge': 'corporate_tax',
+    'Corporate tax': 'corporate_tax',
+    'Gain on disposal': 'other_income',
+    'Staff salaries': 'operating_expenses',
+    'Client entertainment': 'entertainment',
+    'Traffic fines': 'fines_penalties'
+  };
+  Object.entries(expected).forEach(([name, category]) => assert.equal(guessCategory(name), category, name));
+});
+
+test('contra and distribution accounts do not change accounting profit', () => {
+  const result = computeCorporateTax([
+    { name: 'Sales', credit: 2000000 },
+    { name: 'Cost of sales', debit: 800000 },
+    { name: 'Depreciation', debit: 100000 },
+    { name: 'Accumulated depreciation', credit: 500000 },
+    { name: 'Dividends paid', debit: 300000 },
+    { name: 'Corporate tax payable', credit: 50000 }
+  ]);
+  assert.equal(result.accountingProfit, 1100000);
+  assert.equal(result.totalAddBacks, 0);
+  assert.equal(result.totalDeductions, 0);
+});
+
+test('stored overrides apply only to known categories', () => {
+  const processed = {
+    tables: [{
+      name: 'TB',
+      rows: [
+        ['Account name', 'Debit', 'Credit'],
+        ['Sales', null, 1000],
+        ['Consulting', 200, null],
+        ['Constructor', 50, null],
+        ['Odd account', 10, null]
+      ]
+    }]
+  };
+  const { accounts } = classifyTrialBalance(processed, {
+    consulting: 'related_party',
+    'odd account': 'toString'
+  });
+  const byName = Object.fromEntries(accounts.map(account => [account.name, account]));
+
+  assert.equal(byName.Sales.category, 'revenue');
+  assert.equal(byName.Sales.source, 'rule');
+  assert.equal(byName.Consulting.category, 'related_party');
+  assert.equal(byName.Consulting.source, 'override');
+  assert.equal(byName.Constructor.source, null);
+  assert.equal(byName['Odd account'].source, null);
+});
+
+test('saved accounts from several files of a conversation are not added together', () => {
+  // Rows as getTrialBalanceAccounts returns them: a trial balance and the audited income statement
+  const saved = [
+    { file_name: 'tb-2024.xlsx', account_code: '4000', account_name: 'Sales', balance: -2000000, category: 'revenue' },
+    { file_name: 'tb-2024.xlsx', account_code: '5000', account_name: 'Cost of sales', balance: 800000, category: 'cogs' },
+    { file_name: 'financial-statements.pdf', account_code: null, account_name: 'Revenue', balance: -2000000, category: 'revenue' },
+    { file_name: 'financial-statements.pdf', account_code: null, account_name: 'Cost of sales', balance: 800000, category: 'cogs' }
+  ];
+  assert.throws(
+    () => savedTrialBalance(saved),
+    /^Error: Invalid trial balance: accounts are saved from 2 files in this conversation; choose one with fileName: tb-2024\.xlsx, financial-statements\.pdf$/
+  );
+
+  const trialBalance = savedTrialBalance(saved.filter(account => account.file_name === 'tb-2024.xlsx'));
+  assert.deepEqual(trialBalance[0], { code: '4000', name: 'Sales', balance: -2000000, category: 'revenue' });
+  assert.equal(computeCorporateTax(trialBalance).accountingProfit, 1200000);
+});
+
+test('columns are found from the header row', () => {
+  const columns = detectColumns([
+    ['ABC Trading LLC'],
+    ['Code', 'Account name', 'Debit', 'Credit'],
+    ['4000', 'Sales', null, 1000]
+  ]);
+  assert.deepEqual(
+    { headerRow: columns.headerRow, code: columns.code, name: columns.name, debit: columns.debit, credit: columns.credit },
+    { headerRow: 1, code: 0, name: 1, debit: 2, credit: 3 }
+  );
+});
+
+test('ledger amounts are parsed to fils', () => {
+  assert.equal(parseAmount('1,234.50'), 123450);
+  assert.equal(parseAmount('(1,234.50)'), -123450);
+  assert.equal(parseAmount('500 Cr'), -50000);
+  assert.equal(parseAmount('500 Dr'), 50000);
+  assert.equal(parseAmount(''), 0);
+});
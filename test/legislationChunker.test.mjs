@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkLegislation, splitIntoChunks } from '../legislationChunker.cjs';
+
+const LAW = [
+  'Federal Decree-Law No. 47 of 2022',
+  'Chapter One: General Provisions',
+  'Article 1 - Definitions',
+  'In applying the provisions of this Decree-Law, the following words shall have the meanings set out below.',
+  'State: The United Arab Emirates.',
+  'Article 2 - Objective',
+  'This Decree-Law imposes Corporate Tax on Taxable Persons.',
+  'Chapter Two: Imposition of Corporate Tax',
+  'Article 3 - Imposition of Corporate Tax and Applicable Rates',
+  '1. Corporate Tax shall be imposed on Taxable Income at the following rates:',
+  'a. 0% for Taxable Income not exceeding the threshold.',
+  'b. 9% for Taxable Income exceeding the threshold.',
+  '2. The threshold shall be specified in a decision issued by the Cabinet.'
+].join('\n');
+
+test('legislation is chunked per Article with chapter and Article metadata', () => {
+  const chunks = chunkLegislation(LAW);
+  const articles = chunks.filter(chunk => chunk.article);
+
+  assert.deepEqual(articles.map(chunk => chunk.article), ['1', '2', '3']);
+  assert.equal(articles[2].articleTitle, 'Imposition of Corporate Tax and Applicable Rates');
+  assert.equal(articles[0].chapter, '1');
+  assert.equal(articles[2].chapter, '2');
+  assert.match(articles[2].text, /9% for Taxable Income exceeding the threshold/);
+  assert.doesNotMatch(articles[1].text, /Article 3/);
+});
+
+test('long Articles are split on clauses, each chunk repeating the Article heading', () => {
+  const clauses = Array.from({ length: 6 }, (_, index) =>
+    `${index + 1}. ${'The Taxable Person shall keep records for the Tax Period. '.repeat(5)}`);
+  const text = [
+    'Article 1 - Scope', 'Short scope text.',
+    'Article 2 - Definitions', 'Short definitions text.',
+    'Article 3 - Records', ...clauses
+  ].join('\n');
+
+  const chunks = chunkLegislation(text, { maxChunkSize: 700 }).filter(chunk => chunk.article === '3');
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.match(chunk.text, /^Article 3 - Records\n/);
+    assert.ok(chunk.clause);
+  });
+  assert.ok(chunks.every(chunk => chunk.text.length <= 700 + 'Article 3 - Records\n'.length));
+});
+
+test('guides that only quote Articles are not chunked as legislation', () => {
+  const guide = [
+    'Corporate Tax Guide',
+    'This guide explains Article 20 of the Corporate Tax Law.',
+    'Article 9 is discussed in a later section.',
+    'Article 3 sets out the rates.',
+    'Article 1 defines the terms used.'
+  ].join('\n');
+  assert.equal(chunkLegislation(guide), null);
+});
+
+test('plain splitting keeps chunks within the size and overlaps them', () => {
+  const text = Array.from({ length: 40 }, (_, index) => `Sentence number ${index + 1} of the guidance.`).join(' ');
+  const chunks = splitIntoChunks(text, 300, 50);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(chunk.length <= 300));
+  assert.ok(chunks.join(' ').includes('Sentence number 40'));
+});
@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Offline backends: stub embeddings, in-process vector store, no keyword index or embedding cache.
+// Set before the modules load, as they read the environment when first used.
+Object.assign(process.env, {
+  VECTOR_STORE: 'memory',
+  VECTOR_STORE_FILE: '',
+  KEYWORD_INDEX: 'none',
+  EMBEDDING_PROVIDER: 'stub',
+  LLM_PROVIDER: 'stub',
+  EMBEDDING_CACHE: 'none',
+  VECTOR_DIMENSIONS: '256'
+});
+
+const {
+  processFile,
+  createDocumentEmbeddings,
+  searchDocumentChunks,
+  searchKnowledgeBase,
+  deleteDocumentVectors
+} = await import('../fileProcessor.mjs');
+const { getVectorStore } = await import('../vectorStore.cjs');
+const { embedTexts } = await import('../embeddingService.cjs');
+const { getChatProvider } = await import('../llmProvider.cjs');
+const { buildDocumentCitation, numberCitations, formatCitationContext } = await import('../citations.mjs');
+
+let workDir;
+
+const upload = async (name, content, conversationId) => {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, content);
+  const processed = await processFile(filePath, name);
+  return createDocumentEmbeddings(processed, conversationId);
+};
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retrieval-test-'));
+  await upload('entertainment.txt', 'Client entertainment expenditure is 50 percent non-deductible for corporate tax.', '42');
+  await upload('payroll.txt', 'Monthly payroll summary: salaries, wages and end of service gratuity accruals.', '42');
+  await upload('other-client.txt', 'Client entertainment for another conversation.', '43');
+
+  // A knowledge base chunk has no conversationId
+  const [values] = await embedTexts(['Article 32 entertainment expenditure deduction limit']);
+  await getVectorStore().upsert([{
+    id: 'Corporate_Tax_Law-0',
+    values,
+    metadata: { text: 'Article 32 entertainment expenditure deduction limit', instrumentType: 'FDL', title: 'Corporate Tax Law' }
+  }]);
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('uploaded chunks are stored under the conversation prefix with their metadata', async () => {
+  const ids = await getVectorStore().listByPrefix('conversation_42_');
+  assert.equal(ids.length, 2);
+
+  const records = await getVectorStore().fetch(ids);
+  Object.values(records).forEach(({ metadata }) => {
+    assert.equal(metadata.conversationId, '42');
+    assert.equal(metadata.language, 'en');
+    assert.ok(metadata.text);
+  });
+});
+
+test('document search ranks the matching chunk first and stays within the conversation', async () => {
+  const results = await searchDocumentChunks('entertainment non-deductible', '42', 5);
+  assert.equal(results[0].fileName, 'entertainment.txt');
+  assert.ok(results.every(result => result.id.startsWith('conversation_42_')));
+
+  assert.deepEqual(await searchDocumentChunks('entertainment', '99', 5), []);
+});
+
+test('retrieved chunks reach the chat model as numbered sources', async () => {
+  const results = await searchDocumentChunks('entertainment non-deductible', '42', 1);
+  const citations = numberCitations(results.map(buildDocumentCitation));
+  const context = citations.map(formatCitationContext).join('\n\n');
+  assert.match(context, /^\[S1\] User Document \(entertainment\.txt\): Client entertainment/);
+
+  let answer = '';
+  for await (const content of getChatProvider().streamChat({
+    messages: [{ role: 'user', content: `Context:\n${context}\n\nQuestion: Is entertainment deductible?` }]
+  })) {
+    answer += content;
+  }
+  assert.match(answer, /Is entertainment deductible\?/);
+  assert.match(answer, /Based on \[S1\]/);
+});
+
+test('knowledge base search excludes uploaded documents', async () => {
+  const matches = await searchKnowledgeBase('entertainment expenditure', { topK: 5 });
+  assert.deepEqual(matches.map(match => match.id), ['Corporate_Tax_Law-0']);
+});
+
+test('knowledge base filters narrow the search and reject unknown values', async () => {
+  assert.equal((await searchKnowledgeBase('entertainment', { topK: 5, filters: { instrumentTypes: ['CD'] } })).length, 0);
+  await assert.rejects(searchKnowledgeBase('entertainment', { filters: { instrumentTypes: ['nonsense'] } }), /Invalid filter/);
+});
+
+test('null knowledge base filters mean none and other non-objects are refused', async () => {
+  const matches = await searchKnowledgeBase('entertainment expenditure', { topK: 5, filters: null });
+  assert.deepEqual(matches.map(match => match.id), ['Corporate_Tax_Law-0']);
+  await assert.rejects(searchKnowledgeBase('entertainment', { filters: 'FDL' }), /^Error: Invalid filter: filters must be an object$/);
+  await assert.rejects(searchKnowledgeBase('entertainment', { filters: ['FDL'] }), /^Error: Invalid filter: filters must be an object$/);
+});
+
+test('deleting by filter only touches ids under the prefix', async () => {
+  const store = getVectorStore();
+  const deleted = await store.deleteByFilter({ fileName: { $eq: 'other-client.txt' } }, { prefix: 'conversation_42_' });
+  assert.equal(deleted, 0);
+  assert.equal((await store.listByPrefix('conversation_43_')).length, 1);
+
+  assert.equal(await store.deleteByFilter({ conversationId: { $eq: '43' } }, { prefix: 'conversation_43_' }), 1);
+  assert.deepEqual(await store.listByPrefix('conversation_43_'), []);
+});
+
+test('deleted document vectors are no longer found', async () => {
+  const ids = await getVectorStore().listByPrefix('conversation_42_');
+  await deleteDocumentVectors(ids);
+  assert.deepEqual(await searchDocumentChunks('entertainment', '42', 5), []);
+});
+
+test('adapters end only the database pools they opened', async () => {
+  const { createPgvectorStore } = await import('../pgvectorStore.cjs');
+  const { createKeywordIndex } = await import('../keywordIndex.cjs');
+  let ended = 0;
+  const pool = { end: async () => { ended += 1; } };
+
+  await createPgvectorStore({ pool }).close();
+  await createKeywordIndex('postgres', { pool }).close();
+  assert.equal(ended, 0);
+
+  await createPgvectorStore().close();
+  await createKeywordIndex('postgres').close();
+  await getVectorStore().close();
+});
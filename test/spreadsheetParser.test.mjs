@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyseTable, chunkTable } from '../spreadsheetParser.mjs';
+
+test('a header of text labels is found above the figures', () => {
+  const table = analyseTable('TB', [
+    ['ABC Trading LLC'],
+    ['Trial balance as at 31 December 2024'],
+    ['Account', 'Debit', 'Credit'],
+    ['Sales', null, 1000],
+    ['Rent', 400, null],
+    ['Total', 400, 1000]
+  ]);
+  assert.equal(table.headerRow, 2);
+  assert.deepEqual(table.headers, ['Account', 'Debit', 'Credit']);
+  assert.deepEqual(table.rowTypes, ['title', 'title', 'header', 'data', 'data', 'total']);
+});
+
+test('year column labels form the header of a comparative statement', () => {
+  const table = analyseTable('Income statement', [
+    ['Line item', '2024', '2023'],
+    ['Revenue', 1000, 900],
+    ['Cost of sales', '(400)', '(350)'],
+    ['Gross profit', 600, 550]
+  ]);
+  assert.equal(table.headerRow, 0);
+  assert.deepEqual(table.columns.map(column => column.name), ['Line item', '2024', '2023']);
+
+  const [chunk] = chunkTable(table);
+  assert.match(chunk.text, /Columns: Line item \(text\) \| 2024 \(numeric\) \| 2023 \(numeric\)/);
+  assert.doesNotMatch(chunk.text, /Row 1: Line item/);
+  assert.match(chunk.text, /Row 2: Revenue \| 1000 \| 900/);
+});
+
+test('numeric year cells and period labels count as headers', () => {
+  const numericYears = analyseTable('Sheet1', [
+    ['Statement of financial position'],
+    ['Notes', 'Item', 2024, 2023],
+    [5, 'Cash', 1200, 800]
+  ]);
+  assert.equal(numericYears.headerRow, 1);
+  assert.deepEqual(numericYears.headers, ['Notes', 'Item', '2024', '2023']);
+
+  const periods = analyseTable('Sheet2', [
+    ['Description', 'FY2024', '2024 AED', '2023/24'],
+    ['Revenue', 1000, 1000, 950]
+  ]);
+  assert.equal(periods.headerRow, 0);
+});
+
+test('a row with an amount besides a year-like figure is data, not a header', () => {
+  const table = analyseTable('Sheet1', [
+    ['Revenue', 2024, 1500],
+    ['Costs', 300, 200]
+  ]);
+  assert.equal(table.headerRow, -1);
+  assert.deepEqual(table.columns.map(column => column.name), ['Column 1', 'Column 2', 'Column 3']);
+});
+
+test('merged group headings prefix the column headers', () => {
+  const table = analyseTable('TB', [
+    ['', '2024', '2024', '2023', '2023'],
+    ['Account', 'Debit', 'Credit', 'Debit', 'Credit'],
+    ['Sales', null, 1000, null, 900]
+  ], [
+    { start: { row: 0, col: 1 }, end: { row: 0, col: 2 } },
+    { start: { row: 0, col: 3 }, end: { row: 0, col: 4 } }
+  ]);
+  assert.equal(table.headerRow, 1);
+  assert.deepEqual(table.headers, ['Account', '2024 Debit', '2024 Credit', '2023 Debit', '2023 Credit']);
+});
+
+test('chunks never split a row and repeat the header context', () => {
+  const rows = [['Account', 'Balance'], ...Array.from({ length: 50 }, (_, index) => [`Account ${index + 1}`, index * 100])];
+  const chunks = chunkTable(analyseTable('TB', rows), 400);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.match(chunk.text, /^=== Sheet: TB \(rows \d+-\d+\) ===\nColumns: Account \(text\) \| Balance \(numeric\)/));
+  assert.equal(chunks.flatMap(chunk => chunk.text.split('\n').filter(line => line.startsWith('Row '))).length, 50);
+  assert.equal(chunks[0].rows.split('-')[0], '2');
+});
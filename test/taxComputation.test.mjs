@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCorporateTax, normaliseTrialBalance } from '../taxComputation.mjs';
+
+// Reference trial balance: debit-positive, income as credits
+const REFERENCE_TRIAL_BALANCE = [
+  { name: 'Sales', credit: 2000000, category: 'revenue' },
+  { name: 'Dividend income', credit: 100000, category: 'exempt_dividends' },
+  { name: 'Cost of sales', debit: 800000, category: 'cogs' },
+  { name: 'Client entertainment', debit: 40000, category: 'entertainment' },
+  { name: 'Traffic fines', debit: 5000, category: 'fines_penalties' },
+  { name: 'Corporate tax expense', debit: 30000, category: 'corporate_tax' },
+  { name: 'Trade receivables', debit: 600000, category: 'balance_sheet' },
+  { name: 'Share capital', credit: 300000, category: 'balance_sheet' }
+];
+
+const lineItem = (result, key) => result.lineItems.find(item => item.key === key);
+
+test('reference trial balance gives the expected computation', () => {
+  const result = computeCorporateTax(REFERENCE_TRIAL_BALANCE);
+
+  assert.equal(result.accountingProfit, 1225000);
+  assert.equal(result.totalAddBacks, 55000);
+  assert.equal(result.totalDeductions, 100000);
+  assert.equal(result.taxableIncome, 1180000);
+  assert.equal(result.exemptBand, 375000);
+  assert.equal(result.taxableAtRate, 805000);
+  assert.equal(result.taxDue, 72450);
+  assert.deepEqual(result.unclassifiedAccounts, []);
+});
+
+test('line items pin the add-backs, exempt income and the 0% band', () => {
+  const result = computeCorporateTax(REFERENCE_TRIAL_BALANCE);
+
+  assert.deepEqual(
+    result.lineItems.map(({ section, key, amount, reference }) => ({ section, key, amount, reference })),
+    [
+      { section: 'profit', key: 'accounting_profit', amount: 1225000, reference: null },
+      { section: 'add_back', key: 'entertainment', amount: 20000, reference: 'Article 32' },
+      { section: 'add_back', key: 'fines_penalties', amount: 5000, reference: 'Article 33' },
+      { section: 'add_back', key: 'corporate_tax', amount: 30000, reference: 'Article 33' },
+      { section: 'deduction', key: 'exempt_dividends', amount: 100000, reference: 'Articles 22 and 23' },
+      { section: 'taxable_income', key: 'adjusted_profit', amount: 1180000, reference: null },
+      { section: 'taxable_income', key: 'taxable_income', amount: 1180000, reference: null },
+      { section: 'tax', key: 'exempt_band', amount: 375000, reference: 'Article 3; Cabinet Decision No. 116 of 2022' },
+      { section: 'tax', key: 'taxable_at_rate', amount: 805000, reference: 'Article 3' },
+      { section: 'tax', key: 'tax_due', amount: 72450, reference: 'Article 3' }
+    ]
+  );
+  assert.deepEqual(lineItem(result, 'accounting_profit').accounts.sort(), [
+    'Client entertainment', 'Corporate tax expense', 'Cost of sales', 'Dividend income', 'Sales', 'Traffic fines'
+  ]);
+});
+
+test('the same input always produces the same input hash', () => {
+  const first = computeCorporateTax(REFERENCE_TRIAL_BALANCE);
+  const second = computeCorporateTax(REFERENCE_TRIAL_BALANCE.map(account => ({ ...account })));
+  assert.equal(first.inputHash, second.inputHash);
+  assert.notEqual(first.inputHash, computeCorporateTax(REFERENCE_TRIAL_BALANCE, { taxLossesBroughtForward: 1000 }).inputHash);
+});
+
+test('income within the 375,000 band carries no tax', () => {
+  const result = computeCorporateTax([
+    { name: 'Sales', credit: 500000, category: 'revenue' },
+    { name: 'Rent', debit: 150000, category: 'operating_expenses' }
+  ]);
+  assert.equal(result.taxableIncome, 350000);
+  assert.equal(result.exemptBand, 350000);
+  assert.equal(result.taxableAtRate, 0);
+  assert.equal(result.taxDue, 0);
+});
+
+test('inherited object keys are not accepted as categories', () => {
+  const accounts = normaliseTrialBalance([
+    { name: 'Odd account', debit: 100, category: 'toString' },
+    { name: 'Other odd account', debit: 100, category: 'constructor' }
+  ]);
+  assert.deepEqual(accounts.map(account => account.category), [null, null]);
+
+  const result = computeCorporateTax([
+    { name: 'Sales', credit: 1000, category: 'revenue' },
+    { name: 'Odd account', debit: 400, category: 'toString' }
+  ]);
+  assert.equal(result.accountingProfit, 1000);
+  assert.deepEqual(result.unclassifiedAccounts, [{ name: 'Odd account', balance: 400 }]);
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateUserId } from '../userAccounts.mjs';
+
+test('user ids from the route are parsed to numbers', () => {
+  assert.equal(validateUserId('5'), 5);
+  // Padded forms of an id compare equal to it, so an admin cannot reach their own account through them
+  assert.equal(validateUserId('05'), 5);
+});
+
+test('ids that are not positive integers are refused', () => {
+  [' 5', '5 ', '5abc', '-5', '0', '1.5', 'abc', '', '99999999999'].forEach(value =>
+    assert.throws(() => validateUserId(value), /^Error: Invalid user: id must be a positive integer$/, JSON.stringify(value)));
+});
@@ -0,0 +1,155 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { extractZipArchive, readZipEntries } from '../zipArchive.mjs';
+
+/**
+ * Build a ZIP archive in memory. Entries: { name, data, deflate, declaredSize, encrypted }.
+ * CRCs are left at zero; the reader does not check them.
+ */
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data, deflate = false, declaredSize, encrypted = false }) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const content = Buffer.from(data);
+    const stored = deflate ? zlib.deflateRawSync(content) : content;
+    const size = declaredSize ?? content.length;
+    const flags = 0x800 | (encrypted ? 0x1 : 0);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, stored);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+let workDir;
+let outputDir;
+
+const writeZip = (entries, name = 'upload.zip') => {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, buildZip(entries));
+  return filePath;
+};
+
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+  outputDir = path.join(workDir, 'out');
+  fs.mkdirSync(outputDir);
+});
+
+afterEach(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('entries are unpacked to random names inside the output directory', () => {
+  const files = extractZipArchive(writeZip([
+    { name: 'reports/tb.csv', data: 'Account,Debit\nSales,100\n', deflate: true },
+    { name: '../../escape.txt', data: 'zip slip' },
+    { name: '__MACOSX/._tb.csv', data: 'resource fork' },
+    { name: 'folder/', data: '' }
+  ]), { outputDir });
+
+  assert.deepEqual(files.map(({ name, source }) => ({ name, source })), [
+    { name: 'tb.csv', source: 'upload.zip/reports/tb.csv' },
+    { name: 'escape.txt', source: 'upload.zip/../../escape.txt' }
+  ]);
+  files.forEach(file => assert.equal(path.dirname(file.path), outputDir));
+  assert.equal(fs.readFileSync(files[0].path, 'utf8'), 'Account,Debit\nSales,100\n');
+  assert.equal(fs.readdirSync(outputDir).length, 2);
+  assert.ok(!fs.existsSync(path.join(workDir, '..', 'escape.txt')));
+});
+
+test('too many entries are refused and nothing is left behind', () => {
+  const entries = Array.from({ length: 4 }, (_, index) => ({ name: `file-${index}.txt`, data: 'x' }));
+  assert.throws(
+    () => extractZipArchive(writeZip(entries), { outputDir, limits: { maxEntries: 3, maxTotalBytes: 1024, maxDepth: 2 } }),
+    /Invalid archive: more than 3 entries/
+  );
+  assert.deepEqual(fs.readdirSync(outputDir), []);
+});
+
+test('archives unpacking past the size limit are refused', () => {
+  const limits = { maxEntries: 10, maxTotalBytes: 1024, maxDepth: 2 };
+  assert.throws(
+    () => extractZipArchive(writeZip([
+      { name: 'a.txt', data: 'a'.repeat(600), deflate: true },
+      { name: 'b.txt', data: 'b'.repeat(600), deflate: true }
+    ]), { outputDir, limits }),
+    /Invalid archive: unpacks to more than/
+  );
+  assert.deepEqual(fs.readdirSync(outputDir), []);
+});
+
+test('entries inflating past their declared size are refused', () => {
+  assert.throws(
+    () => extractZipArchive(writeZip([{ name: 'bomb.txt', data: '0'.repeat(100000), deflate: true, declaredSize: 100 }]), { outputDir }),
+    /Invalid archive: bomb.txt/
+  );
+});
+
+test('nested archives are unpacked up to the depth limit', () => {
+  const inner = buildZip([{ name: 'inner.txt', data: 'inner' }]);
+  const middle = buildZip([{ name: 'inner.zip', data: inner }, { name: 'middle.txt', data: 'middle' }]);
+  const files = extractZipArchive(writeZip([{ name: 'middle.zip', data: middle }]), { outputDir });
+
+  assert.deepEqual(files.map(({ name, error }) => ({ name, error })), [
+    { name: 'inner.zip', error: 'Archives nested more than 2 deep are not unpacked' },
+    { name: 'middle.txt', error: undefined }
+  ]);
+  assert.equal(files[1].source, 'upload.zip/middle.zip/middle.txt');
+});
+
+test('encrypted entries are reported, not unpacked', () => {
+  const files = extractZipArchive(writeZip([{ name: 'secret.pdf', data: 'x', encrypted: true }]), { outputDir });
+  assert.deepEqual(files, [{ name: 'secret.pdf', source: 'upload.zip/secret.pdf', error: 'Encrypted archive entries are not supported' }]);
+});
+
+test('named entries are read into memory', () => {
+  const entries = readZipEntries(writeZip([
+    { name: 'word/document.xml', data: '<w:document/>', deflate: true },
+    { name: 'word/styles.xml', data: '<w:styles/>' }
+  ], 'doc.docx'), ['word/document.xml', 'docProps/core.xml']);
+
+  assert.deepEqual([...entries.keys()], ['word/document.xml']);
+  assert.equal(entries.get('word/document.xml').toString(), '<w:document/>');
+});
+
+test('files that are not archives are refused', () => {
+  const filePath = path.join(workDir, 'fake.zip');
+  fs.writeFileSync(filePath, 'not a zip file at all, just text');
+  assert.throws(() => extractZipArchive(filePath, { outputDir }), /Invalid archive: end of central directory not found/);
+});
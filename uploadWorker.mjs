@@ -0,0 +1,177 @@
+import { EventEmitter } from 'events';
+import { processFile, createDocumentEmbeddings, deleteDocumentVectors, cleanupFile } from './fileProcessor.mjs';
+import { classifyTrialBalance } from './accountClassifier.mjs';
+import {
+  failStalledUploadJobs,
+  claimUploadJob,
+  updateUploadJobProgress,
+  failUploadJob,
+  markDocumentReady,
+  markDocumentFailed,
+  saveDocumentTables,
+  saveTrialBalanceAccounts,
+  getAccountCategoryOverrides
+} from './db.mjs';
+
+/**
+ * Background processing of uploaded documents.
+ * The upload route stores the file and queues an upload job in Postgres; this worker claims jobs
+ * one at a time, parses, embeds and indexes the file, and records each stage on the job so clients
+ * can poll it or follow it over SSE. A failed attempt is retried with backoff until MAX_ATTEMPTS,
+ * after which the document is marked failed with the reason.
+ */
+
+const MAX_ATTEMPTS = 3;
+const POLL_INTERVAL_MS = 5 * 1000;
+const CANCELLED = 'Upload cancelled';
+
+// Emits 'job:<id>' with the public state of the job (see describeUploadJob) on every change
+export const uploadEvents = new EventEmitter();
+uploadEvents.setMaxListeners(0);
+
+export const FINAL_UPLOAD_STATUSES = ['indexed', 'failed'];
+
+/**
+ * Public state of an upload job
+ */
+export const describeUploadJob = (job) => ({
+  jobId: job.id,
+  documentId: job.document_id,
+  conversationId: job.conversation_id,
+  fileName: job.file_name,
+  status: job.status,
+  processedChunks: job.processed_chunks,
+  totalChunks: job.total_chunks,
+  attempts: job.attempts,
+  maxAttempts: MAX_ATTEMPTS,
+  error: job.last_error,
+  retryAt: job.status === 'queued' && job.last_error ? job.next_attempt_at : null,
+  // Set once indexed: low OCR confidence, unreadable pages
+  warnings: job.text_quality?.warnings || [],
+  textQuality: job.text_quality || null,
+  updatedAt: job.updated_at
+});
+
+const publish = (job) => {
+  uploadEvents.emit(`job:${job.id}`, describeUploadJob(job));
+};
+
+const saveExtractedTables = async (job, processedData) => {
+  if (!processedData.tables) return;
+
+  await saveDocumentTables(job.conversation_id, job.file_name, processedData.tables);
+
+  // Classify trial balance accounts so the mapping can be reviewed and reused
+  const overrides = await getAccountCategoryOverrides();
+  const classification = classifyTrialBalance(processedData, overrides);
+  if (classification.accounts.length > 0) {
+    await saveTrialBalanceAccounts(job.conversation_id, job.file_name, classification.accounts);
+    console.log(`Upload job ${job.id}: classified ${classification.accounts.length} trial balance accounts`, {
+      unclassified: classification.unclassified
+    });
+  }
+};
+
+/**
+ * Parse, embed and index one claimed upload job
+ */
+export const processUploadJob = async (job) => {
+  // Every progress update doubles as a check that the document has not been deleted meanwhile
+  const report = async (progress) => {
+    const updated = await updateUploadJobProgress(job.id, progress);
+    if (!updated) throw new Error(CANCELLED);
+    publish(updated);
+  };
+
+  try {
+    console.log(`Upload job ${job.id}: processing ${job.file_name} (attempt ${job.attempts} of ${MAX_ATTEMPTS})`);
+    publish(job);
+
+    // OCR reports after every scanned page, refreshing the job lock so another server does not
+    // re-claim a long scanned PDF while it is still being read
+    const processedData = await processFile(job.file_path, job.file_name, { onProgress: report });
+    await saveExtractedTables(job, processedData);
+
+    // Chunk metadata carries the conversation id as a string, as the searches expect
+    const embeddingResult = await createDocumentEmbeddings(processedData, String(job.conversation_id), {
+      onProgress: report
+    });
+
+    const document = await markDocumentReady(job.document_id, {
+      chunkCount: embeddingResult.chunksCreated,
+      vectorIds: embeddingResult.vectorIds,
+      textQuality: processedData.textQuality
+    });
+    if (!document) {
+      await deleteDocumentVectors(embeddingResult.vectorIds);
+      throw new Error(CANCELLED);
+    }
+
+    await report({ status: 'indexed' });
+    cleanupFile(job.file_path);
+    console.log(`Upload job ${job.id}: indexed ${embeddingResult.chunksCreated} chunks of ${job.file_name}`);
+  } catch (error) {
+    if (error.message.includes(CANCELLED)) {
+      console.log(`Upload job ${job.id}: document was deleted, stopping`);
+      cleanupFile(job.file_path);
+      return;
+    }
+
+    console.error(`Upload job ${job.id} failed (attempt ${job.attempts} of ${MAX_ATTEMPTS}):`, error);
+    const failed = await failUploadJob(job.id, error.message, MAX_ATTEMPTS);
+    if (!failed) {
+      cleanupFile(job.file_path);
+      return;
+    }
+
+    if (failed.status === 'failed') {
+      // Keep the failure on record so the same file can be uploaded again
+      await markDocumentFailed(job.document_id, error.message);
+      cleanupFile(job.file_path);
+    }
+    publish(failed);
+  }
+};
+
+// Jobs run one at a time; a wake-up while draining is picked up by the running loop
+let draining = false;
+
+const drainUploadJobs = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    // Jobs that stalled on their last attempt are failed rather than claimed again
+    const stalled = await failStalledUploadJobs(MAX_ATTEMPTS);
+    stalled.forEach(job => {
+      console.error(`Upload job ${job.id} failed: no progress on attempt ${job.attempts} of ${MAX_ATTEMPTS}`);
+      cleanupFile(job.file_path);
+      publish(job);
+    });
+
+    let job;
+    while ((job = await claimUploadJob(MAX_ATTEMPTS))) {
+      await processUploadJob(job);
+    }
+  } catch (error) {
+    console.error('Error processing upload jobs:', error);
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Start on queued jobs now rather than at the next poll
+ */
+export const wakeUploadWorker = () => {
+  setImmediate(drainUploadJobs);
+};
+
+/**
+ * Poll for due and stalled upload jobs. The timer does not keep the process alive.
+ */
+export const startUploadWorker = () => {
+  const timer = setInterval(drainUploadJobs, POLL_INTERVAL_MS);
+  timer.unref();
+  wakeUploadWorker();
+  return timer;
+};
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+/**
+ * User roles and validation of account changes, shared by the admin API and the manageUsers.mjs CLI.
+ * Admins manage accounts and the instrument relations registry; senior reviewers and staff use the
+ * assistant. Every account has exactly one role.
+ */
+
+export const USER_ROLES = ['admin', 'senior_reviewer', 'staff'];
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,50}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+
+export const validateUsername = (username) => {
+  const trimmed = String(username || '').trim();
+  if (!USERNAME_PATTERN.test(trimmed)) {
+    throw new Error('Invalid user: username must be 3 to 50 letters, digits, dots, dashes or underscores');
+  }
+  return trimmed;
+};
+
+export const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Invalid user: password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    throw new Error(`Invalid user: password must be at most ${MAX_PASSWORD_LENGTH} bytes`);
+  }
+  return password;
+};
+
+export const validateRole = (role) => {
+  const normalised = String(role || '').trim().toLowerCase();
+  if (!USER_ROLES.includes(normalised)) {
+    throw new Error(`Invalid user: role must be one of ${USER_ROLES.join(', ')}`);
+  }
+  return normalised;
+};
+
+/**
+ * Parse a user id from a route parameter. Postgres would read "05" or " 5" as 5, so ids are compared
+ * as numbers, never as the strings sent.
+ */
+export const validateUserId = (value) => {
+  const id = Number.parseInt(value, 10);
+  if (!/^\d+$/.test(String(value)) || id < 1 || id > 2147483647) {
+    throw new Error('Invalid user: id must be a positive integer');
+  }
+  return id;
+};
+
+/**
+ * Validate a new account from an API request body; the role defaults to staff
+ */
+export const validateNewUser = (body = {}) => ({
+  username: validateUsername(body.username),
+  password: validatePassword(body.password),
+  role: validateRole(body.role || 'staff')
+});
+
+/**
+ * Validate a change to an account: { role, disabled }, either or both
+ */
+export const validateUserUpdate = (body = {}) => {
+  const update = {};
+  if (body.role !== undefined) update.role = validateRole(body.role);
+  if (body.disabled !== undefined) {
+    if (typeof body.disabled !== 'boolean') {
+      throw new Error('Invalid user: disabled must be true or false');
+    }
+    update.disabled = body.disabled;
+  }
+  if (Object.keys(update).length === 0) {
+    throw new Error('Invalid user: nothing to update; send role and/or disabled');
+  }
+  return update;
+};
+
+/**
+ * A random password for accounts created or reset from the command line
+ */
+export const generatePassword = () => crypto.randomBytes(15).toString('base64url');
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import { getVectorStore } from './vectorStore.cjs';
+import { getKeywordIndex } from './keywordIndex.cjs';
+import {
+  getDueCleanupJobs,
+  completeCleanupJob,
+  failCleanupJob,
+  getExistingConversationIds,
+  getRegisteredVectorIds
+} from './db.mjs';
+
+/**
+ * Cleanup of vectors and stored upload files left behind by deleted conversations.
+ * Deleting a conversation queues a cleanup job in the same transaction (see deleteConversation);
+ * the job is run straight away and retried with backoff until the vector store and keyword index
+ * confirm the deletion. reconcileOrphanedVectors sweeps up anything older or missed.
+ */
+
+const MAX_ATTEMPTS = 6;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Every uploaded chunk id starts with this, including those from before the document registry
+const conversationPrefix = (conversationId) => `conversation_${conversationId}_`;
+const CONVERSATION_ID_PATTERN = /^conversation_(\d+)_/;
+
+const deleteEverywhere = async (ids) => {
+  if (ids.length === 0) return;
+  await getVectorStore().deleteByIds(ids);
+  await getKeywordIndex().deleteByIds(ids);
+};
+
+/**
+ * Delete every vector and keyword index entry of a conversation: the registered vector ids plus
+ * anything else under the conversation's id prefix
+ */
+export const purgeConversationVectors = async (conversationId, vectorIds = []) => {
+  const prefix = conversationPrefix(conversationId);
+  const [vectorIdsByPrefix, keywordIdsByPrefix] = await Promise.all([
+    getVectorStore().listByPrefix(prefix),
+    getKeywordIndex().listByPrefix(prefix)
+  ]);
+
+  const ids = [...new Set([...vectorIds, ...vectorIdsByPrefix, ...keywordIdsByPrefix])];
+  await deleteEverywhere(ids);
+  return ids.length;
+};
+
+/**
+ * Run one cleanup job, recording success or scheduling a retry
+ */
+export const runCleanupJob = async (job) => {
+  try {
+    // Uploads that were still queued or being indexed when the conversation was deleted
+    (job.file_paths || []).forEach(filePath => fs.rmSync(filePath, { force: true }));
+
+    const deleted = await purgeConversationVectors(job.conversation_id, job.vector_ids);
+    await completeCleanupJob(job.id);
+    console.log(`Cleanup job ${job.id}: removed ${deleted} vectors of conversation ${job.conversation_id}`);
+    return true;
+  } catch (error) {
+    console.error(`Cleanup job ${job.id} failed (attempt ${job.attempts + 1} of ${MAX_ATTEMPTS}):`, error);
+    await failCleanupJob(job.id, error.message, MAX_ATTEMPTS).catch(updateError =>
+      console.error(`Could not record the failure of cleanup job ${job.id}:`, updateError));
+    return false;
+  }
+};
+
+/**
+ * Run every cleanup job whose next attempt is due
+ */
+export const processDueCleanupJobs = async () => {
+  const jobs = await getDueCleanupJobs();
+  for (const job of jobs) {
+    await runCleanupJob(job);
+  }
+  return jobs.length;
+};
+
+/**
+ * Retry due cleanup jobs in the background. The timer does not keep the process alive.
+ */
+export const startCleanupWorker = () => {
+  const timer = setInterval(() => {
+    processDueCleanupJobs().catch(error => console.error('Error processing cleanup jobs:', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Find and purge vectors whose conversation (or its owner) no longer exists.
+ * With unregistered, vectors of live conversations that no document in the registry claims are
+ * purged too; this catches uploads stored under the wrong conversation id before the registry existed.
+ * Vectors of an upload still in progress are not registered yet, so run that mode while uploads are quiet.
+ * With dryRun, nothing is deleted. Returns a summary of what was (or would be) removed.
+ */
+export const reconcileOrphanedVectors = async ({ dryRun = false, unregistered = false } = {}) => {
+  const [vectorIds, keywordIds] = await Promise.all([
+    getVectorStore().listByPrefix('conversation_'),
+    getKeywordIndex().listByPrefix('conversation_')
+  ]);
+  const ids = [...new Set([...vectorIds, ...keywordIds])];
+
+  const conversationIds = [...new Set(ids.map(id => Number(id.match(CONVERSATION_ID_PATTERN)?.[1])).filter(Boolean))];
+  const existing = await getExistingConversationIds(conversationIds);
+  const registered = unregistered ? await getRegisteredVectorIds() : null;
+
+  const orphaned = ids.filter(id => {
+    const conversationId = Number(id.match(CONVERSATION_ID_PATTERN)?.[1]);
+    if (!conversationId) return false;
+    if (!existing.has(conversationId)) return true;
+    return unregistered && !registered.has(id);
+  });
+
+  const orphanedConversations = [...new Set(orphaned.map(id => Number(id.match(CONVERSATION_ID_PATTERN)[1])))];
+  console.log(`Reconcile: ${orphaned.length} orphaned of ${ids.length} conversation vectors, ` +
+    `across conversations ${orphanedConversations.join(', ') || '(none)'}`);
+
+  if (!dryRun) {
+    await deleteEverywhere(orphaned);
+  }
+
+  return { scanned: ids.length, orphaned: orphaned.length, conversations: orphanedConversations, dryRun };
+};
@@ -0,0 +1,91 @@
+// vectorStore.cjs
+// Backend-neutral vector store. Every adapter implements:
+//   upsert(vectors)                        vectors: [{ id, values, metadata }]
+//   query({ vector, topK, filter })        -> { matches: [{ id, score, metadata }] }
+//   fetch(ids)                             -> { [id]: { id, metadata } }
+//   deleteByIds(ids)
+//   deleteByFilter(filter, { prefix })     -> number of vectors deleted; with prefix, only among ids
+//                                          starting with it
+//   listByPrefix(prefix)                   -> [id, ...]
+//   updateMetadata(ids, patch)             merges patch into the metadata of each vector
+//   close()                                releases connections the adapter opened
+// Filters use the Pinecone metadata filter syntax ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+// $exists, $and, $or) whichever backend is configured.
+//
+// VECTOR_STORE selects the backend: pinecone (default), pgvector or memory.
+
+const COMPARISONS = {
+  $eq: (value, operand) => value === operand,
+  $ne: (value, operand) => value !== operand,
+  $gt: (value, operand) => value !== undefined && value > operand,
+  $gte: (value, operand) => value !== undefined && value >= operand,
+  $lt: (value, operand) => value !== undefined && value < operand,
+  $lte: (value, operand) => value !== undefined && value <= operand,
+  $in: (value, operand) => operand.includes(value),
+  $nin: (value, operand) => !operand.includes(value),
+  $exists: (value, operand) => (value !== undefined) === operand
+};
+
+/**
+ * Evaluate a Pinecone-style metadata filter against one metadata object
+ */
+function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesFilter(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesFilter(metadata, clause));
+
+    const value = metadata[key];
+    const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+      ? condition
+      : { $eq: condition };
+
+    return Object.entries(operators).every(([operator, operand]) => {
+      const compare = COMPARISONS[operator];
+      if (!compare) throw new Error(`Unsupported filter operator: ${operator}`);
+      // List metadata (e.g. tags) matches when any element does, as in Pinecone
+      if (Array.isArray(value) && operator !== '$exists') return value.some(item => compare(item, operand));
+      return compare(value, operand);
+    });
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Create a vector store for the given backend
+ */
+function createVectorStore(backend = process.env.VECTOR_STORE || 'pinecone', options = {}) {
+  switch (backend) {
+    case 'pinecone':
+      return require('./pineconeStore.cjs').createPineconeStore(options);
+    case 'pgvector':
+      return require('./pgvectorStore.cjs').createPgvectorStore(options);
+    case 'memory':
+      return require('./memoryStore.cjs').createMemoryStore(options);
+    default:
+      throw new Error(`Unknown VECTOR_STORE backend: ${backend}. Use pinecone, pgvector or memory.`);
+  }
+}
+
+// One store per process so every module shares the same client or in-memory index
+let sharedStore = null;
+
+function getVectorStore() {
+  if (!sharedStore) {
+    sharedStore = createVectorStore();
+    console.log(`Vector store backend: ${sharedStore.backend}`);
+  }
+  return sharedStore;
+}
+
+module.exports = { createVectorStore, getVectorStore, matchesFilter, cosineSimilarity };
@@ -0,0 +1,121 @@
+/**
+ * Minimal, lenient XML reader for uploaded documents (DOCX parts and XML ledger exports).
+ * Builds a plain element tree; only the predefined and numeric character entities are decoded,
+ * so DOCTYPE declarations and external entities are never expanded.
+ */
+
+const TOKEN_PATTERN = new RegExp([
+  '<!--[\\s\\S]*?-->', // comment
+  '<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>', // 1: CDATA text
+  '<\\?[\\s\\S]*?\\?>', // processing instruction or declaration
+  '<!DOCTYPE(?:[^>\\[]|\\[[\\s\\S]*?\\])*>', // doctype, internal subset included
+  '<\\/([^\\s>]+)\\s*>', // 2: closing tag
+  '<([^\\s>\\/!?]+)((?:\\s+[^\\s=>\\/]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>', // 3: name, 4: attributes, 5: self-closing
+  '([^<]+)' // 6: text
+].join('|'), 'g');
+
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] ?? match;
+  });
+
+/**
+ * Parse XML text into its root element: { name, attributes, children }, where children are
+ * elements or text strings. Mismatched closing tags are tolerated.
+ */
+export const parseXml = (text) => {
+  const document = { name: '#document', attributes: {}, children: [] };
+  const stack = [document];
+
+  for (const match of text.replace(/^\uFEFF/, '').matchAll(TOKEN_PATTERN)) {
+    const [, cdata, closing, name, attributeText, selfClosing, textContent] = match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (textContent !== undefined) {
+      parent.children.push(decodeEntities(textContent));
+    } else if (name !== undefined) {
+      const attributes = {};
+      for (const [, key, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted);
+      }
+      const element = { name, attributes, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (closing !== undefined) {
+      const open = stack.map(element => element.name).lastIndexOf(closing);
+      if (open > 0) stack.length = open;
+    }
+  }
+
+  const root = document.children.find(child => typeof child !== 'string');
+  if (!root) {
+    throw new Error('Invalid XML: no root element');
+  }
+  return root;
+};
+
+// Element name without its namespace prefix ("w:p" -> "p")
+export const localName = (element) => element.name.slice(element.name.indexOf(':') + 1);
+
+export const childElements = (element) => element.children.filter(child => typeof child !== 'string');
+
+export const textContent = (element) =>
+  element.children.map(child => (typeof child === 'string' ? child : textContent(child))).join('');
+
+const isLeaf = (element) => childElements(element).length === 0;
+
+/**
+ * Repeated record elements, such as the <Account> entries of a ledger export, as
+ * [{ name, records }] where each record maps attribute and leaf child names to their text.
+ * Values outside any record set are returned as fields: [{ path, value }].
+ */
+export const findXmlRecordSets = (root) => {
+  const recordSets = [];
+  const fields = [];
+
+  const visit = (element, path) => {
+    const children = childElements(element);
+    Object.entries(element.attributes).forEach(([key, value]) => fields.push({ path: `${path}@${key}`, value }));
+
+    if (children.length === 0) {
+      const value = textContent(element).trim();
+      if (value) fields.push({ path, value });
+      return;
+    }
+
+    const groups = new Map();
+    children.forEach(child => groups.set(localName(child), [...(groups.get(localName(child)) || []), child]));
+
+    groups.forEach((members, name) => {
+      const recordLike = members.length > 1 &&
+        members.every(member => !isLeaf(member) || Object.keys(member.attributes).length > 0) &&
+        members.every(member => childElements(member).every(isLeaf));
+
+      if (recordLike) {
+        recordSets.push({
+          name: `${path}/${name}`,
+          records: members.map(member => ({
+            ...member.attributes,
+            ...Object.fromEntries(childElements(member).map(field => [localName(field), textContent(field).trim()]))
+          }))
+        });
+      } else {
+        members.forEach((member, index) =>
+          visit(member, members.length > 1 ? `${path}/${name}[${index + 1}]` : `${path}/${name}`));
+      }
+    });
+  };
+
+  visit(root, localName(root));
+  return { recordSets, fields };
+};
@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+/**
+ * Safe unpacking of uploaded ZIP archives.
+ * Entries are read from the central directory and written to fresh random file names, so entry
+ * paths never reach the file system (no zip-slip). Limits on the number of entries, their total
+ * unpacked size and the nesting of archives within archives are enforced while unpacking, against
+ * the sizes the archive declares and the bytes actually inflated (no zip bombs).
+ * Only stored and deflated entries are supported; encrypted and ZIP64 archives are refused.
+ * The same reader opens ZIP-based document formats such as DOCX (see readZipEntries).
+ */
+
+export const ZIP_LIMITS = {
+  maxEntries: 50,
+  maxTotalBytes: 100 * 1024 * 1024,
+  maxDepth: 2
+};
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+const invalid = (reason) => new Error(`Invalid archive: ${reason}`);
+
+const findEndOfCentralDirectory = (buffer) => {
+  const last = buffer.length - 22;
+  for (let offset = last; offset >= Math.max(0, last - MAX_COMMENT_LENGTH); offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw invalid('end of central directory not found');
+};
+
+/**
+ * List the entries of a ZIP archive held in memory
+ */
+const readCentralDirectory = (buffer) => {
+  if (buffer.length < 22) throw invalid('file is too short');
+
+  const end = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw invalid('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw invalid('corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const nameBytes = buffer.subarray(offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      // Bit 11 marks UTF-8 names; older tools use the DOS code page, read here as latin1
+      name: nameBytes.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      encrypted: Boolean(flags & 0x1),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const readEntryData = (buffer, entry, maxBytes) => {
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+    throw invalid(`corrupt local header for ${entry.name}`);
+  }
+
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const compressed = buffer.subarray(start, start + entry.compressedSize);
+  if (compressed.length !== entry.compressedSize) {
+    throw invalid(`${entry.name} is truncated`);
+  }
+
+  let data;
+  if (entry.method === STORED) {
+    data = compressed;
+  } else {
+    try {
+      // Never inflate past what the archive declared, whatever the data claims
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, Math.min(entry.size, maxBytes)) });
+    } catch (error) {
+      throw invalid(`${entry.name} could not be inflated (${error.code || error.message})`);
+    }
+  }
+
+  if (data.length !== entry.size) {
+    throw invalid(`${entry.name} does not match its declared size`);
+  }
+  return data;
+};
+
+// Folders, macOS resource forks and hidden files are not documents
+const isIgnored = (entryName) =>
+  entryName.endsWith('/') || entryName.startsWith('__MACOSX/') || path.posix.basename(entryName).startsWith('.');
+
+const unpack = (buffer, { outputDir, limits, depth, budget, archiveName }) => {
+  const files = [];
+
+  for (const entry of readCentralDirectory(buffer)) {
+    budget.entries += 1;
+    if (budget.entries > limits.maxEntries) {
+      throw invalid(`more than ${limits.maxEntries} entries`);
+    }
+    if (isIgnored(entry.name)) continue;
+
+    const name = path.posix.basename(entry.name.replace(/\\/g, '/'));
+    const source = `${archiveName}/${entry.name}`;
+
+    if (entry.encrypted) {
+      files.push({ name, source, error: 'Encrypted archive entries are not supported' });
+      continue;
+    }
+    if (entry.method !== STORED && entry.method !== DEFLATED) {
+      files.push({ name, source, error: `Unsupported compression method ${entry.method}` });
+      continue;
+    }
+    if (budget.bytes + entry.size > limits.maxTotalBytes) {
+      throw invalid(`unpacks to more than ${Math.round(limits.maxTotalBytes / (1024 * 1024))}MB`);
+    }
+
+    const data = readEntryData(buffer, entry, limits.maxTotalBytes - budget.bytes);
+    budget.bytes += data.length;
+
+    if (path.extname(name).toLowerCase() === '.zip') {
+      if (depth + 1 >= limits.maxDepth) {
+        files.push({ name, source, error: `Archives nested more than ${limits.maxDepth} deep are not unpacked` });
+      } else {
+        files.push(...unpack(data, { outputDir, limits, depth: depth + 1, budget, archiveName: source }));
+      }
+      continue;
+    }
+
+    const filePath = path.join(outputDir, crypto.randomBytes(16).toString('hex'));
+    fs.writeFileSync(filePath, data);
+    budget.written.push(filePath);
+    files.push({ name, source, path: filePath, size: data.length });
+  }
+
+  return files;
+};
+
+/**
+ * Unpack a ZIP archive into outputDir.
+ * Returns one entry per contained file: { name, source, path, size } for unpacked files, or
+ * { name, source, error } for entries that were refused. Nested archives are unpacked in place up to
+ * limits.maxDepth. Breaking the entry or size limits, or a corrupt archive, throws "Invalid archive"
+ * after removing anything already unpacked.
+ */
+export const extractZipArchive = (filePath, { outputDir, archiveName = path.basename(filePath), limits = ZIP_LIMITS }) => {
+  const budget = { entries: 0, bytes: 0, written: [] };
+
+  try {
+    return unpack(fs.readFileSync(filePath), { outputDir, limits, depth: 0, budget, archiveName });
+  } catch (error) {
+    budget.written.forEach(file => fs.rmSync(file, { force: true }));
+    throw error;
+  }
+};
+
+/**
+ * Read the named entries of a ZIP-based file into memory, e.g. the XML parts of a DOCX document.
+ * Returns a Map of entry name to Buffer; names missing from the archive are absent.
+ */
+export const readZipEntries = (filePath, names, limits = ZIP_LIMITS) => {
+  const buffer = fs.readFileSync(filePath);
+  const entries = new Map();
+  let bytes = 0;
+
+  for (const entry of readCentralDirectory(buffer)) {
+    if (!names.includes(entry.name)) continue;
+    if (entry.encrypted || (entry.method !== STORED && entry.method !== DEFLATED)) {
+      throw invalid(`${entry.name} is encrypted or uses an unsupported compression method`);
+    }
+    if (bytes + entry.size > limits.maxTotalBytes) {
+      throw invalid(`unpacks to more than ${Math.round(limits.maxTotalBytes / (1024 * 1024))}MB`);
+    }
+
+    const data = readEntryData(buffer, entry, limits.maxTotalBytes - bytes);
+    bytes += data.length;
+    entries.set(entry.name, data);
+  }
+  return entries;
+};